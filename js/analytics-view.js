@@ -0,0 +1,469 @@
+/**
+ * Analytics View for HealthCare Compass
+ * Market analytics for the hospitals that pass the dashboard's search and
+ * filters: facility counts, utilization, revenue and market share, grouped
+ * by city or by three-digit ZIP prefix (ZIP3). Shown in the dashboard's
+ * Analytics tab, so the same filter controls apply.
+ */
+
+class AnalyticsView {
+  /**
+   * @param {HospitalService} hospitalService - Hospital service holding the filtered results
+   */
+  constructor(hospitalService) {
+    this.hospitalService = hospitalService;
+    this.hospitals = []; // Filtered results, see setHospitals
+    this.groupBy = 'city'; // 'city' or 'zip3'
+    this.selectedArea = 'all'; // Area key, or 'all' for every area
+    this.maxAreas = 15; // Areas shown in the per-area charts
+    this.maxShareHospitals = 10; // Hospitals named in the market-share chart; the rest are grouped as "Other"
+    this.charts = {};
+
+    // DOM elements
+    this.tabButtons = document.querySelectorAll('[data-dashboard-tab]');
+    this.resultsElement = document.getElementById('dashboardResults');
+    this.viewElement = document.getElementById('analyticsPanel');
+    this.groupBySelect = document.getElementById('analyticsGroupBy');
+    this.areaSelect = document.getElementById('analyticsArea');
+    this.summaryElement = document.getElementById('analyticsSummary');
+    this.canvases = {
+      facilities: document.getElementById('analyticsFacilitiesChart'),
+      utilization: document.getElementById('analyticsUtilizationChart'),
+      revenue: document.getElementById('analyticsRevenueChart'),
+      share: document.getElementById('analyticsShareChart')
+    };
+
+    this.initEventListeners();
+  }
+
+  /**
+   * Listen for the dashboard tabs and the grouping controls
+   */
+  initEventListeners() {
+    this.tabButtons.forEach(button => {
+      button.addEventListener('click', () => this.showTab(button.dataset.dashboardTab));
+    });
+
+    if (this.groupBySelect) {
+      this.groupBySelect.addEventListener('change', () => {
+        this.groupBy = this.groupBySelect.value;
+        this.selectedArea = 'all';
+        this.render();
+      });
+    }
+
+    if (this.areaSelect) {
+      this.areaSelect.addEventListener('change', () => {
+        this.selectedArea = this.areaSelect.value;
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * Switch the dashboard between the search results and the analytics
+   * @param {string} tab - 'results' or 'analytics'
+   */
+  showTab(tab) {
+    if (!this.viewElement) return;
+    const showAnalytics = tab === 'analytics';
+    this.viewElement.hidden = !showAnalytics;
+    if (this.resultsElement) this.resultsElement.hidden = showAnalytics;
+    this.tabButtons.forEach(button => {
+      const active = button.dataset.dashboardTab === tab;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-selected', String(active));
+    });
+
+    if (showAnalytics) {
+      this.render();
+    } else if (window.mapService) {
+      // The map couldn't measure itself while hidden
+      window.mapService.render();
+    }
+  }
+
+  /**
+   * Whether the analytics tab is showing
+   * @returns {boolean} True if visible
+   */
+  isVisible() {
+    return Boolean(this.viewElement && !this.viewElement.hidden);
+  }
+
+  /**
+   * Replace the hospitals being analyzed; called whenever the filters change
+   * @param {Array} hospitals - Filtered hospitals
+   */
+  setHospitals(hospitals) {
+    this.hospitals = hospitals;
+    // Charts are drawn when the tab is opened, so there is no work while it's hidden
+    if (this.isVisible()) this.render();
+  }
+
+  /**
+   * Draw the summary and charts for the selected area
+   */
+  render() {
+    if (!this.viewElement) return;
+
+    const areas = this.groupByArea(this.hospitals);
+    if (this.selectedArea !== 'all' && !areas.some(area => area.key === this.selectedArea)) {
+      // The filters removed every hospital in the area
+      this.selectedArea = 'all';
+    }
+    this.populateAreaSelect(areas);
+
+    const area = areas.find(entry => entry.key === this.selectedArea) || null;
+    const hospitals = area ? area.hospitals : this.hospitals;
+    this.renderSummary(area ? area.label : 'All areas', this.summarize(hospitals));
+
+    this.updateChart('facilities', this.createFacilitiesChart(areas));
+    this.updateChart('utilization', this.createUtilizationChart(areas));
+    this.updateChart('revenue', this.createRevenueChart(hospitals));
+    this.updateChart('share', this.createShareChart(hospitals));
+  }
+
+  /**
+   * Area a hospital belongs to under the current grouping
+   * @param {Object} hospital - Hospital
+   * @returns {Object|null} {key, label}, or null if the hospital has no ZIP code to group by
+   */
+  getArea(hospital) {
+    if (this.groupBy === 'zip3') {
+      const zip = String(hospital.ZIP || '');
+      return zip.length >= 3 ? { key: zip.substring(0, 3), label: `${zip.substring(0, 3)}xx` } : null;
+    }
+    // The same city name appears in more than one state
+    const key = `${hospital.CITY}, ${hospital.STATE}`;
+    return { key, label: key };
+  }
+
+  /**
+   * Group hospitals by area
+   * @param {Array} hospitals - Hospitals
+   * @returns {Array} [{key, label, hospitals, ...summary}] with the most facilities first
+   */
+  groupByArea(hospitals) {
+    const groups = new Map();
+    hospitals.forEach(hospital => {
+      const area = this.getArea(hospital);
+      if (!area) return;
+      if (!groups.has(area.key)) groups.set(area.key, { ...area, hospitals: [] });
+      groups.get(area.key).hospitals.push(hospital);
+    });
+
+    return [...groups.values()]
+      .map(group => ({ ...group, ...this.summarize(group.hospitals) }))
+      .sort((a, b) => b.count - a.count || b.totalUtilization - a.totalUtilization || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Totals and medians for a set of hospitals
+   * A revenue of 0 means none was reported, so it's left out of the revenue figures
+   * @param {Array} hospitals - Hospitals
+   * @returns {Object} {count, totalUtilization, medianUtilization, revenues (sorted), totalRevenue, medianRevenue}
+   */
+  summarize(hospitals) {
+    const utilization = hospitals.map(h => h.UTILIZATION || 0).sort((a, b) => a - b);
+    const revenues = hospitals.map(h => h.REVENUE || 0).filter(revenue => revenue > 0).sort((a, b) => a - b);
+    return {
+      count: hospitals.length,
+      totalUtilization: utilization.reduce((sum, value) => sum + value, 0),
+      medianUtilization: this.getMedian(utilization),
+      revenues,
+      totalRevenue: revenues.reduce((sum, value) => sum + value, 0),
+      medianRevenue: this.getMedian(revenues)
+    };
+  }
+
+  /**
+   * Median of sorted values
+   * @param {Array} values - Numbers in ascending order
+   * @returns {number|null} Median, or null for no values
+   */
+  getMedian(values) {
+    if (values.length === 0) return null;
+    const middle = values.length >> 1;
+    return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+  }
+
+  /**
+   * Fill the area dropdown, keeping the selection
+   * @param {Array} areas - Result of groupByArea
+   */
+  populateAreaSelect(areas) {
+    if (!this.areaSelect) return;
+    this.areaSelect.innerHTML = `
+      <option value="all">All areas (${areas.length})</option>
+      ${areas.map(area => `<option value="${HtmlUtils.escape(area.key)}">${HtmlUtils.escape(area.label)} (${area.count})</option>`).join('')}
+    `;
+    this.areaSelect.value = this.selectedArea;
+  }
+
+  /**
+   * Show the headline figures for the selected area
+   * @param {string} label - Area name
+   * @param {Object} summary - Result of summarize
+   */
+  renderSummary(label, summary) {
+    if (!this.summaryElement) return;
+    const reported = `${summary.revenues.length} of ${summary.count}`;
+    this.summaryElement.innerHTML = `
+      ${this.createFact('Area', label)}
+      ${this.createFact('Facilities', summary.count.toLocaleString())}
+      ${this.createFact('Total utilization', `${summary.totalUtilization.toLocaleString()} encounters`)}
+      ${this.createFact('Median utilization', summary.medianUtilization === null ? 'None' : `${Math.round(summary.medianUtilization).toLocaleString()} encounters`)}
+      ${this.createFact('Revenue reported by', `${reported} facilities`)}
+      ${this.createFact('Median revenue', summary.medianRevenue === null ? 'Not reported' : this.formatMoney(summary.medianRevenue))}
+    `;
+  }
+
+  /**
+   * Build one summary figure
+   * @param {string} label - Figure name
+   * @param {string} value - Figure value
+   * @returns {string} HTML
+   */
+  createFact(label, value) {
+    return `
+      <div class="detail-fact">
+        <span class="detail-fact-label">${label}</span>
+        <span>${HtmlUtils.escape(value)}</span>
+      </div>`;
+  }
+
+  /**
+   * Areas with the most facilities; the selected area is highlighted
+   * @param {Array} areas - Result of groupByArea
+   * @returns {Object} Chart.js config
+   */
+  createFacilitiesChart(areas) {
+    const shown = areas.slice(0, this.maxAreas);
+    return this.createAreaBarConfig(shown, 'Facilities by Area', [{
+      label: 'Facilities',
+      data: shown.map(area => area.count),
+      backgroundColor: shown.map(area => this.getAreaColor(area, 0.7)),
+      borderColor: shown.map(area => this.getAreaColor(area, 1.0)),
+      borderWidth: 1
+    }], {
+      y: { beginAtZero: true, title: { display: true, text: 'Facilities' }, ticks: { precision: 0 } }
+    });
+  }
+
+  /**
+   * Areas with the most utilization: total as bars, the median facility's as a line on its own axis
+   * @param {Array} areas - Result of groupByArea
+   * @returns {Object} Chart.js config
+   */
+  createUtilizationChart(areas) {
+    const shown = [...areas].sort((a, b) => b.totalUtilization - a.totalUtilization).slice(0, this.maxAreas);
+    return this.createAreaBarConfig(shown, 'Utilization by Area', [
+      {
+        label: 'Total encounters',
+        data: shown.map(area => area.totalUtilization),
+        backgroundColor: shown.map(area => this.getAreaColor(area, 0.7)),
+        borderColor: shown.map(area => this.getAreaColor(area, 1.0)),
+        borderWidth: 1,
+        yAxisID: 'y'
+      },
+      {
+        type: 'line',
+        label: 'Median per facility',
+        data: shown.map(area => area.medianUtilization),
+        borderColor: 'rgba(255, 87, 34, 1)',
+        backgroundColor: 'rgba(255, 87, 34, 1)',
+        yAxisID: 'y1'
+      }
+    ], {
+      y: { beginAtZero: true, title: { display: true, text: 'Total encounters' } },
+      y1: { beginAtZero: true, position: 'right', title: { display: true, text: 'Median per facility' }, grid: { drawOnChartArea: false } }
+    });
+  }
+
+  /**
+   * Shared config for the per-area bar charts
+   * @param {Array} areas - Areas to chart
+   * @param {string} title - Chart title
+   * @param {Array} datasets - Chart.js datasets
+   * @param {Object} scales - Chart.js y scales
+   * @returns {Object} Chart.js config
+   */
+  createAreaBarConfig(areas, title, datasets, scales) {
+    return {
+      type: 'bar',
+      data: {
+        labels: areas.map(area => area.label),
+        datasets
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: { display: true, text: title, font: { size: 16 } },
+          legend: { display: datasets.length > 1 }
+        },
+        scales: {
+          x: { ticks: { autoSkip: false, maxRotation: 60 } },
+          ...scales
+        }
+      }
+    };
+  }
+
+  /**
+   * Histogram of reported revenue in the selected area
+   * @param {Array} hospitals - Hospitals in the area
+   * @returns {Object} Chart.js config
+   */
+  createRevenueChart(hospitals) {
+    const { revenues } = this.summarize(hospitals);
+    const bins = this.createBins(revenues);
+    return {
+      type: 'bar',
+      data: {
+        labels: bins.map(bin => (bin.from === bin.to ?
+          this.formatMoney(bin.from) :
+          `${this.formatMoney(bin.from)}–${this.formatMoney(bin.to)}`)),
+        datasets: [{
+          label: 'Facilities',
+          data: bins.map(bin => bin.count),
+          backgroundColor: 'rgba(33, 150, 243, 0.7)',
+          borderColor: 'rgba(33, 150, 243, 1)',
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: revenues.length ? `Revenue Distribution (${revenues.length} reporting)` : 'Revenue Distribution: no revenue reported',
+            font: { size: 16 }
+          },
+          legend: { display: false }
+        },
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: 'Facilities' }, ticks: { precision: 0 } }
+        }
+      }
+    };
+  }
+
+  /**
+   * Split values into equal-width bins, about the square root of the number of values
+   * @param {Array} values - Numbers in ascending order
+   * @returns {Array} [{from, to, count}]
+   */
+  createBins(values) {
+    if (values.length === 0) return [];
+    const min = values[0];
+    const max = values[values.length - 1];
+    const count = max > min ? Math.min(12, Math.max(1, Math.round(Math.sqrt(values.length)))) : 1;
+    const width = (max - min) / count;
+    const bins = Array.from({ length: count }, (_, index) => ({
+      from: min + width * index,
+      to: index === count - 1 ? max : min + width * (index + 1),
+      count: 0
+    }));
+    values.forEach(value => {
+      (bins.find(bin => value <= bin.to) || bins[bins.length - 1]).count++;
+    });
+    return bins;
+  }
+
+  /**
+   * Ranked share of the area's encounters by facility
+   * @param {Array} hospitals - Hospitals in the area
+   * @returns {Object} Chart.js config
+   */
+  createShareChart(hospitals) {
+    const total = hospitals.reduce((sum, h) => sum + (h.UTILIZATION || 0), 0);
+    const ranked = hospitals
+      .filter(h => h.UTILIZATION > 0)
+      .sort((a, b) => b.UTILIZATION - a.UTILIZATION);
+    const shown = ranked.slice(0, this.maxShareHospitals);
+    const rest = ranked.slice(this.maxShareHospitals).reduce((sum, h) => sum + h.UTILIZATION, 0);
+
+    const labels = shown.map(h => h.NAME);
+    const shares = shown.map(h => h.UTILIZATION / total * 100);
+    if (rest > 0) {
+      labels.push(`Other (${ranked.length - shown.length} facilities)`);
+      shares.push(rest / total * 100);
+    }
+
+    return {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Share of encounters',
+          data: shares,
+          backgroundColor: labels.map((_, index) => (index < shown.length ? 'rgba(33, 150, 243, 0.7)' : 'rgba(158, 158, 158, 0.7)')),
+          borderWidth: 0
+        }]
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: total > 0 ? 'Market Share by Utilization' : 'Market Share: no utilization reported',
+            font: { size: 16 }
+          },
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: context => `${context.raw.toFixed(1)}% of encounters`
+            }
+          }
+        },
+        scales: {
+          x: { beginAtZero: true, ticks: { callback: value => `${value}%` } }
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a chart, or redraw it with a new config
+   * @param {string} name - Chart name, a key of this.canvases
+   * @param {Object} config - Chart.js config
+   */
+  updateChart(name, config) {
+    const canvas = this.canvases[name];
+    if (!canvas) return;
+    const chart = this.charts[name];
+    if (chart) {
+      chart.data = config.data;
+      chart.options = config.options;
+      chart.update();
+    } else {
+      this.charts[name] = new Chart(canvas.getContext('2d'), config);
+    }
+  }
+
+  /**
+   * Bar color for an area: highlighted when it's the selected area
+   * @param {Object} area - Area
+   * @param {number} alpha - Alpha transparency (0-1)
+   * @returns {string} RGBA color string
+   */
+  getAreaColor(area, alpha) {
+    return area.key === this.selectedArea ? `rgba(255, 87, 34, ${alpha})` : `rgba(33, 150, 243, ${alpha})`;
+  }
+
+  /**
+   * Short dollar amount, e.g. $12.5M
+   * @param {number} value - Dollars
+   * @returns {string} Formatted amount
+   */
+  formatMoney(value) {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}k`;
+    return `$${Math.round(value)}`;
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,177 @@
+/**
+ * Local Auth Backend for HealthCare Compass
+ * A mock authentication server that runs in the browser, so sign-in works
+ * offline and in tests. Accounts and sessions are kept in localStorage and
+ * passwords are stored as salted PBKDF2 hashes. It implements the backend
+ * interface AuthService expects; a real server can replace it.
+ */
+
+class LocalAuthBackend {
+  /**
+   * @param {Object} options - {sessionMinutes, iterations}
+   */
+  constructor({ sessionMinutes = 8 * 60, iterations = 100000 } = {}) {
+    this.sessionMinutes = sessionMinutes; // How long a token stays valid
+    this.iterations = iterations; // PBKDF2 rounds per password hash
+    this.usersKey = 'authUsers'; // localStorage key: email -> {email, name, salt, hash, createdAt}
+    this.sessionsKey = 'authSessions'; // localStorage key: token -> {email, expiresAt}
+  }
+
+  /**
+   * Create an account and sign it in
+   * @param {Object} details - {name, email, password}
+   * @returns {Promise} Promise that resolves with {token, user, expiresAt}
+   */
+  async register({ name, email, password }) {
+    const users = this.read(this.usersKey);
+    const key = this.normalizeEmail(email);
+    if (users[key]) throw new Error('An account with that email already exists.');
+
+    const salt = this.createRandomHex(16);
+    users[key] = {
+      email: key,
+      name: String(name || '').trim() || key.split('@')[0],
+      salt,
+      hash: await this.hashPassword(password, salt),
+      createdAt: new Date().toISOString()
+    };
+    this.write(this.usersKey, users);
+    return this.createSession(users[key]);
+  }
+
+  /**
+   * Check a password and start a session
+   * @param {Object} credentials - {email, password}
+   * @returns {Promise} Promise that resolves with {token, user, expiresAt}
+   */
+  async login({ email, password }) {
+    const user = this.read(this.usersKey)[this.normalizeEmail(email)];
+    // The same message either way, so the form doesn't reveal which emails have accounts
+    if (!user || await this.hashPassword(password, user.salt) !== user.hash) {
+      throw new Error('Incorrect email or password.');
+    }
+    return this.createSession(user);
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token
+   * @returns {Promise} Promise that resolves when the token is revoked
+   */
+  async logout(token) {
+    const sessions = this.read(this.sessionsKey);
+    delete sessions[token];
+    this.write(this.sessionsKey, sessions);
+  }
+
+  /**
+   * Look up a session
+   * @param {string} token - Session token
+   * @returns {Promise} Promise that resolves with {user, expiresAt}, or null if the token is unknown or expired
+   */
+  async getSession(token) {
+    const session = this.read(this.sessionsKey)[token];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    const user = this.read(this.usersKey)[session.email];
+    return user ? { user: this.toPublicUser(user), expiresAt: session.expiresAt } : null;
+  }
+
+  /**
+   * Issue a token for a user, dropping any of their sessions that have expired
+   * @param {Object} user - Stored user
+   * @returns {Object} {token, user, expiresAt}
+   */
+  createSession(user) {
+    const now = Date.now();
+    const sessions = this.read(this.sessionsKey);
+    Object.keys(sessions).forEach(token => {
+      if (Date.parse(sessions[token].expiresAt) <= now) delete sessions[token];
+    });
+
+    const token = this.createRandomHex(32);
+    const expiresAt = new Date(now + this.sessionMinutes * 60000).toISOString();
+    sessions[token] = { email: user.email, expiresAt };
+    this.write(this.sessionsKey, sessions);
+    return { token, user: this.toPublicUser(user), expiresAt };
+  }
+
+  /**
+   * Hash a password with PBKDF2-SHA-256
+   * @param {string} password - Password
+   * @param {string} salt - Hex salt
+   * @returns {Promise} Promise that resolves with the hex hash
+   */
+  async hashPassword(password, salt) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('Signing in needs a secure connection (HTTPS or localhost).');
+    }
+    const encoder = new TextEncoder();
+    const key = await window.crypto.subtle.importKey('raw', encoder.encode(String(password)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await window.crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: encoder.encode(salt), iterations: this.iterations, hash: 'SHA-256' },
+      key,
+      256
+    );
+    return this.toHex(new Uint8Array(bits));
+  }
+
+  /**
+   * Random hex string
+   * @param {number} byteCount - Number of random bytes
+   * @returns {string} Hex string, two characters per byte
+   */
+  createRandomHex(byteCount) {
+    return this.toHex(window.crypto.getRandomValues(new Uint8Array(byteCount)));
+  }
+
+  /**
+   * Hex encoding of bytes
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} Hex string
+   */
+  toHex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Emails are matched without regard to case or surrounding spaces
+   * @param {string} email - Email
+   * @returns {string} Normalized email
+   */
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * User fields that are safe to hand to the app
+   * @param {Object} user - Stored user
+   * @returns {Object} {email, name}
+   */
+  toPublicUser(user) {
+    return { email: user.email, name: user.name };
+  }
+
+  /**
+   * Read an object from localStorage
+   * @param {string} key - localStorage key
+   * @returns {Object} Stored object, or {} if missing or unreadable
+   */
+  read(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write an object to localStorage
+   * @param {string} key - localStorage key
+   * @param {Object} value - Object to store
+   */
+  write(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+}
+
+// Will be initialized in main.js
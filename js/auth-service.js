@@ -0,0 +1,171 @@
+/**
+ * Auth Service for HealthCare Compass
+ * Signs users in and out through a pluggable backend and keeps the session
+ * token, which expires, in localStorage.
+ *
+ * A backend is any object with these async methods:
+ *   register({name, email, password}) -> {token, user, expiresAt}
+ *   login({email, password})          -> {token, user, expiresAt}
+ *   logout(token)
+ *   getSession(token)                 -> {user, expiresAt}, or null if the token is no longer valid
+ * user is {email, name}; expiresAt is an ISO date. Failures reject with an
+ * Error whose message can be shown to the user. LocalAuthBackend is the
+ * offline mock.
+ */
+
+class AuthService {
+  /**
+   * @param {Object} backend - Auth backend, see above
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.storageKey = 'authSession';
+    this.minPasswordLength = 8;
+    this.session = null; // {token, user, expiresAt}
+    this.expired = false; // Set when a session runs out, so the sign-in page can say why
+    this.expiryTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Resume the stored session if the backend still accepts its token
+   * @returns {Promise} Promise that resolves with the signed-in user, or null
+   */
+  async restore() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Ignoring unreadable session:', error);
+    }
+    if (!stored || !stored.token) return null;
+
+    try {
+      const session = await this.backend.getSession(stored.token);
+      this.expired = !session && Date.parse(stored.expiresAt) <= Date.now();
+      this.setSession(session ? { token: stored.token, ...session } : null, false);
+    } catch (error) {
+      console.warn('Could not check the stored session:', error);
+      this.setSession(null, false);
+    }
+    return this.getCurrentUser();
+  }
+
+  /**
+   * Sign in
+   * @param {string} email - Email
+   * @param {string} password - Password
+   * @returns {Promise} Promise that resolves with the user
+   */
+  async login(email, password) {
+    if (!this.isValidEmail(email) || !password) throw new Error('Enter your email and password.');
+    this.setSession(await this.backend.login({ email, password }));
+    return this.getCurrentUser();
+  }
+
+  /**
+   * Create an account and sign in to it
+   * @param {Object} details - {name, email, password}
+   * @returns {Promise} Promise that resolves with the user
+   */
+  async register({ name, email, password }) {
+    if (!this.isValidEmail(email)) throw new Error('Enter a valid email address.');
+    if (String(password || '').length < this.minPasswordLength) {
+      throw new Error(`Choose a password of at least ${this.minPasswordLength} characters.`);
+    }
+    this.setSession(await this.backend.register({ name, email, password }));
+    return this.getCurrentUser();
+  }
+
+  /**
+   * Sign out, revoking the token
+   * @returns {Promise} Promise that resolves once signed out
+   */
+  async logout() {
+    if (!this.session) return;
+    const token = this.session.token;
+    this.setSession(null);
+    try {
+      await this.backend.logout(token);
+    } catch (error) {
+      // The token is forgotten here either way and will expire on the server
+      console.warn('Could not revoke the session:', error);
+    }
+  }
+
+  /**
+   * The signed-in user
+   * @returns {Object|null} {email, name}, or null when signed out or the session has expired
+   */
+  getCurrentUser() {
+    return this.isAuthenticated() ? this.session.user : null;
+  }
+
+  /**
+   * Whether a user is signed in with an unexpired session
+   * @returns {boolean} True if signed in
+   */
+  isAuthenticated() {
+    return Boolean(this.session && Date.parse(this.session.expiresAt) > Date.now());
+  }
+
+  /**
+   * Register a function to call when the user signs in, signs out or their session expires
+   * @param {Function} listener - Called with the user, or null
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Replace the session, store it and schedule its expiry
+   * @param {Object|null} session - {token, user, expiresAt}, or null to sign out
+   * @param {boolean} notify - Whether to tell the listeners
+   */
+  setSession(session, notify = true) {
+    clearTimeout(this.expiryTimer);
+    this.session = session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+
+    try {
+      if (this.session) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.warn('Could not save the session:', error);
+    }
+
+    if (this.session) {
+      this.expired = false;
+      // setTimeout can't wait longer than about 24 days
+      const delay = Math.min(Date.parse(this.session.expiresAt) - Date.now(), 2147483647);
+      this.expiryTimer = setTimeout(() => this.expire(), delay);
+    }
+    if (notify) this.listeners.forEach(listener => listener(this.getCurrentUser()));
+  }
+
+  /**
+   * End a session that has run out
+   */
+  expire() {
+    if (this.session && Date.parse(this.session.expiresAt) > Date.now()) {
+      // The timer fired early, e.g. after the maximum delay; wait again
+      this.setSession(this.session, false);
+      return;
+    }
+    this.expired = true;
+    this.setSession(null);
+  }
+
+  /**
+   * Rough email check; the backend has the final say
+   * @param {string} email - Email
+   * @returns {boolean} True if it looks like an email address
+   */
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+  }
+}
+
+// Will be initialized in main.js
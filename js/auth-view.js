@@ -0,0 +1,207 @@
+/**
+ * Auth View for HealthCare Compass
+ * Sign-in, registration and sign-out pages, routed as #/login, #/register
+ * and #/logout, and the account links in the header
+ */
+
+class AuthView {
+  /**
+   * @param {AuthService} authService - Auth service that owns the session
+   */
+  constructor(authService) {
+    this.authService = authService;
+    this.routes = { login: '#/login', register: '#/register', logout: '#/logout' };
+    this.returnTo = null; // Route to go back to after signing in, set by redirectToLogin
+    this.reason = ''; // Why sign-in was asked for, shown above the form
+    this.error = '';
+
+    // DOM elements
+    this.viewElement = document.getElementById('authView');
+    this.userMenuElement = document.getElementById('userMenu');
+    this.mainSections = document.querySelectorAll('[data-main-view]');
+
+    if (this.viewElement) {
+      this.viewElement.addEventListener('submit', (e) => this.handleSubmit(e));
+    }
+    this.authService.onChange(() => this.renderUserMenu());
+  }
+
+  /**
+   * Check whether a URL hash is one of the auth routes
+   * @param {string} hash - URL hash
+   * @returns {boolean} Whether the hash shows this view
+   */
+  isRoute(hash) {
+    return Object.values(this.routes).includes(String(hash || ''));
+  }
+
+  /**
+   * Show the page for the current route
+   * @returns {Promise} Promise that resolves once the page is drawn
+   */
+  async show() {
+    if (!this.viewElement) return;
+    const hash = window.location.hash;
+
+    if (hash === this.routes.logout) {
+      await this.authService.logout();
+      this.render('logout');
+    } else if (this.authService.isAuthenticated()) {
+      // Already signed in; nothing to do here
+      this.finishSignIn();
+      return;
+    } else {
+      this.render(hash === this.routes.register ? 'register' : 'login');
+    }
+
+    this.viewElement.hidden = false;
+    this.mainSections.forEach(section => { section.hidden = true; });
+    document.title = `${hash === this.routes.register ? 'Create Account' : hash === this.routes.logout ? 'Signed Out' : 'Sign In'} - HealthCare Compass`;
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Hide the page and show the search page again
+   */
+  hide() {
+    if (!this.viewElement || this.viewElement.hidden) return;
+    this.viewElement.hidden = true;
+    this.viewElement.innerHTML = '';
+    this.error = '';
+    this.mainSections.forEach(section => { section.hidden = false; });
+    document.title = 'HealthCare Compass';
+  }
+
+  /**
+   * Send the user to the sign-in page, coming back afterwards
+   * @param {string} returnTo - Route to return to once signed in
+   * @param {string} reason - Why signing in is needed
+   */
+  redirectToLogin(returnTo, reason = '') {
+    this.returnTo = returnTo;
+    this.reason = reason;
+    window.location.hash = this.routes.login;
+  }
+
+  /**
+   * Leave the sign-in page for where the user was going
+   */
+  finishSignIn() {
+    const returnTo = this.returnTo || '#hospital-search-card';
+    this.returnTo = null;
+    this.reason = '';
+    window.location.hash = returnTo;
+  }
+
+  /**
+   * Sign in or register from the submitted form
+   * @param {Event} e - Submit event
+   * @returns {Promise} Promise that resolves once the attempt is done
+   */
+  async handleSubmit(e) {
+    const form = e.target.closest('[data-auth-form]');
+    if (!form) return;
+    e.preventDefault();
+
+    const fields = form.elements;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+      if (form.dataset.authForm === 'register') {
+        if (fields.password.value !== fields.confirmPassword.value) throw new Error('The passwords don\'t match.');
+        await this.authService.register({ name: fields.name.value, email: fields.email.value, password: fields.password.value });
+      } else {
+        await this.authService.login(fields.email.value, fields.password.value);
+      }
+      this.error = '';
+      this.finishSignIn();
+    } catch (error) {
+      this.error = error.message;
+      this.render(form.dataset.authForm, { email: fields.email.value, name: fields.name ? fields.name.value : '' });
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Draw a page
+   * @param {string} page - 'login', 'register' or 'logout'
+   * @param {Object} values - Field values to keep after a failed attempt
+   */
+  render(page, values = {}) {
+    const expired = page === 'login' && this.authService.expired;
+    const notice = this.error || (expired ? 'Your session expired. Please sign in again.' : this.reason);
+    const noticeHTML = notice ? `<p class="auth-message${this.error ? ' error' : ''}" role="alert">${HtmlUtils.escape(notice)}</p>` : '';
+    const back = '<a href="#hospital-search-card" class="detail-back"><i class="fas fa-arrow-left"></i> Back to search</a>';
+
+    if (page === 'logout') {
+      this.viewElement.innerHTML = `
+        <div class="container">
+          ${back}
+          <div class="card detail-card auth-card">
+            <h2>You're signed out</h2>
+            <p>Your saved searches and watchlist will be here when you sign in again.</p>
+            <a href="${this.routes.login}" class="btn btn-primary">Sign in again</a>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const isRegister = page === 'register';
+    this.viewElement.innerHTML = `
+      <div class="container">
+        ${back}
+        <div class="card detail-card auth-card">
+          <h2>${isRegister ? 'Create an account' : 'Sign in'}</h2>
+          ${noticeHTML}
+          <form class="auth-form" data-auth-form="${page}" novalidate>
+            ${isRegister ? `
+            <div class="form-group">
+              <label for="authName">Name</label>
+              <input type="text" id="authName" name="name" class="form-control" autocomplete="name" value="${HtmlUtils.escape(values.name)}">
+            </div>` : ''}
+            <div class="form-group">
+              <label for="authEmail">Email</label>
+              <input type="email" id="authEmail" name="email" class="form-control" autocomplete="email" required value="${HtmlUtils.escape(values.email)}">
+            </div>
+            <div class="form-group">
+              <label for="authPassword">Password</label>
+              <input type="password" id="authPassword" name="password" class="form-control" required
+                autocomplete="${isRegister ? 'new-password' : 'current-password'}"${isRegister ? ` minlength="${this.authService.minPasswordLength}"` : ''}>
+            </div>
+            ${isRegister ? `
+            <div class="form-group">
+              <label for="authConfirmPassword">Confirm password</label>
+              <input type="password" id="authConfirmPassword" name="confirmPassword" class="form-control" autocomplete="new-password" required>
+            </div>` : ''}
+            <button type="submit" class="btn btn-primary">${isRegister ? 'Create account' : 'Sign in'}</button>
+          </form>
+          <p class="auth-switch">
+            ${isRegister ?
+              `Already have an account? <a href="${this.routes.login}">Sign in</a>` :
+              `New here? <a href="${this.routes.register}">Create an account</a>`}
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the account links in the header
+   */
+  renderUserMenu() {
+    if (!this.userMenuElement) return;
+    const user = this.authService.getCurrentUser();
+    this.userMenuElement.innerHTML = user ? `
+      <span class="user-name">Welcome, ${HtmlUtils.escape(user.name)}</span>
+      <a href="#/saved" class="btn btn-outline">My Saved</a>
+      <a href="${this.routes.logout}" class="btn btn-outline">Logout</a>
+    ` : `
+      <a href="${this.routes.login}" class="btn btn-outline">Sign in</a>
+      <a href="${this.routes.register}" class="btn btn-primary">Register</a>
+    `;
+  }
+}
+
+// Will be initialized in main.js
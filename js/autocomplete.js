@@ -0,0 +1,136 @@
+/**
+ * Autocomplete for HealthCare Compass
+ * Suggestion dropdown for a text input: updates as the user types, and
+ * supports arrow keys, Enter, Escape and clicks
+ */
+
+class Autocomplete {
+  /**
+   * @param {HTMLInputElement} input - Text input to attach to
+   * @param {Function} getSuggestions - Called with the input text, returns [{html, value, type}]; html must already be escaped
+   * @param {Function} onSelect - Called with the chosen suggestion
+   * @param {Object} options - {minLength, delay}
+   */
+  constructor(input, getSuggestions, onSelect, { minLength = 2, delay = 120 } = {}) {
+    this.input = input;
+    this.getSuggestions = getSuggestions;
+    this.onSelect = onSelect;
+    this.minLength = minLength;
+    this.delay = delay; // Milliseconds to wait after a keystroke before searching
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.timer = null;
+
+    this.listElement = document.createElement('ul');
+    this.listElement.className = 'autocomplete-list';
+    this.listElement.id = `${input.id}-suggestions`;
+    this.listElement.setAttribute('role', 'listbox');
+    this.listElement.hidden = true;
+    input.parentNode.classList.add('autocomplete');
+    input.parentNode.appendChild(this.listElement);
+
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', this.listElement.id);
+    input.setAttribute('aria-expanded', 'false');
+
+    this.initEventListeners();
+  }
+
+  /**
+   * Listen for typing, keys, clicks and focus loss
+   */
+  initEventListeners() {
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.update(), this.delay);
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (this.listElement.hidden) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.setActive((this.activeIndex + step + this.suggestions.length) % this.suggestions.length);
+      } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+        // Choose the highlighted suggestion instead of submitting the form
+        e.preventDefault();
+        this.select(this.activeIndex);
+      } else if (e.key === 'Escape' || e.key === 'Enter') {
+        // Enter without a highlighted suggestion submits the search as typed
+        this.close();
+      }
+    });
+
+    // mousedown fires before the input loses focus, so the click isn't lost to blur
+    this.listElement.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (!item) return;
+      e.preventDefault();
+      this.select(parseInt(item.dataset.index, 10));
+    });
+
+    this.input.addEventListener('blur', () => this.close());
+  }
+
+  /**
+   * Refresh the suggestions for the current input text
+   */
+  update() {
+    const text = this.input.value.trim();
+    this.suggestions = text.length >= this.minLength ? this.getSuggestions(text) : [];
+    this.activeIndex = -1;
+    if (this.suggestions.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.listElement.innerHTML = this.suggestions.map((suggestion, index) => `
+      <li class="autocomplete-item" id="${this.listElement.id}-${index}" role="option" data-index="${index}">
+        <span>${suggestion.html}</span>
+        ${suggestion.type ? `<span class="autocomplete-type">${HtmlUtils.escape(suggestion.type)}</span>` : ''}
+      </li>
+    `).join('');
+    this.listElement.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Highlight a suggestion for keyboard selection
+   * @param {number} index - Suggestion index
+   */
+  setActive(index) {
+    this.activeIndex = index;
+    this.listElement.querySelectorAll('.autocomplete-item').forEach((item, i) => {
+      item.classList.toggle('active', i === index);
+      item.setAttribute('aria-selected', String(i === index));
+    });
+    this.input.setAttribute('aria-activedescendant', `${this.listElement.id}-${index}`);
+  }
+
+  /**
+   * Use a suggestion
+   * @param {number} index - Suggestion index
+   */
+  select(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+    this.input.value = suggestion.value;
+    this.close();
+    this.onSelect(suggestion);
+  }
+
+  /**
+   * Hide the dropdown
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.listElement.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+}
+
+// Will be initialized in main.js
@@ -4,10 +4,22 @@
  */
 
 class ChartService {
-  constructor() {
+  /**
+   * @param {CostEstimator} costEstimator - Out-of-pocket estimator for the insurance plan form
+   */
+  constructor(costEstimator = null) {
+    this.costEstimator = costEstimator;
     this.chartInstance = null;
     this.chartCanvas = document.getElementById('costComparisonChart');
+    this.planForm = document.getElementById('insurancePlanForm');
+    this.planSummaryElement = document.getElementById('outOfPocketSummary');
     this.procedureSelect = document.getElementById('procedureSelect');
+    this.chartModeSelect = document.getElementById('chartModeSelect');
+    this.chartMode = 'prices'; // 'prices', 'range' (box and whisker) or 'histogram'
+    this.regionRadius = 50; // Miles around a hospital counted in its regional median
+    this.exportButton = document.getElementById('exportReportBtn');
+    this.exportMenu = document.getElementById('exportMenu');
+    this.chartedHospitals = [];
     
     // Initialize event listeners
     this.initEventListeners();
@@ -20,8 +32,44 @@ class ChartService {
     // Update chart when procedure selection changes
     if (this.procedureSelect) {
       this.procedureSelect.addEventListener('change', () => {
+        window.hospitalService.setProcedure(this.procedureSelect.value);
+        this.updateComparisonChart(window.hospitalService.selectedHospitals);
+      });
+    }
+
+    if (this.chartModeSelect) {
+      this.chartModeSelect.addEventListener('change', () => {
+        this.chartMode = this.chartModeSelect.value;
+        this.updateComparisonChart(window.hospitalService.selectedHospitals);
+      });
+    }
+
+    // Plan changes re-estimate right away; there is nothing to submit
+    if (this.planForm && this.costEstimator) {
+      this.planForm.addEventListener('input', () => {
+        this.costEstimator.setPlan(this.readPlanForm());
         this.updateComparisonChart(window.hospitalService.selectedHospitals);
       });
+      this.planForm.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    // Export menu: the button toggles it, a format button downloads and closes it
+    if (this.exportButton && this.exportMenu) {
+      this.exportButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.exportMenu.hidden = !this.exportMenu.hidden;
+      });
+      this.exportMenu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const formatButton = e.target.closest('[data-export-format]');
+        if (!formatButton) return;
+        const scope = this.exportMenu.querySelector('input[name="exportScope"]:checked');
+        this.createCostReport(formatButton.dataset.exportFormat, scope ? scope.value : 'selected');
+        this.exportMenu.hidden = true;
+      });
+      document.addEventListener('click', () => {
+        this.exportMenu.hidden = true;
+      });
     }
   }
 
@@ -29,90 +77,123 @@ class ChartService {
    * Initialize chart with default data
    */
   initializeChart() {
-    // Default hospitals for initial chart
-    const defaultHospitals = window.dataService.hospitalsData.slice(0, 3);
-    this.updateComparisonChart(defaultHospitals);
+    this.populateProcedureSelect();
+    this.fillPlanForm();
+    if (this.procedureSelect && window.hospitalService.currentProcedure) {
+      this.procedureSelect.value = window.hospitalService.currentProcedure;
+    }
+
+    // Hospitals restored from the URL, otherwise the default hospitals
+    this.updateComparisonChart(window.hospitalService.selectedHospitals);
+  }
+
+  /**
+   * Fill the procedure dropdown from the procedure catalog, grouped by category
+   */
+  populateProcedureSelect() {
+    if (!this.procedureSelect) return;
+
+    const catalog = window.procedureCatalog;
+    const selected = this.procedureSelect.value || catalog.getDefaultKey();
+    this.procedureSelect.innerHTML = catalog.getCategories().map(category => `
+      <optgroup label="${HtmlUtils.escape(category)}">
+        ${catalog.getAll()
+          .filter(entry => entry.category === category)
+          .map(entry => `<option value="${HtmlUtils.escape(entry.key)}">${HtmlUtils.escape(entry.name)}</option>`)
+          .join('')}
+      </optgroup>
+    `).join('');
+    this.procedureSelect.value = catalog.get(selected) ? selected : catalog.getDefaultKey();
+  }
+
+  /**
+   * Switch the chart to another procedure
+   * @param {string} procedure - Procedure key
+   */
+  setProcedure(procedure) {
+    if (this.procedureSelect && procedure) {
+      this.procedureSelect.value = procedure;
+    }
+    this.updateComparisonChart(window.hospitalService.selectedHospitals);
   }
 
   /**
    * Update comparison chart with selected hospitals
+   * The chart mode picks the view: one bar per hospital with its regional
+   * median, each hospital's range of published prices, or where the hospitals
+   * fall among every hospital's price. In the bar view with the insurance plan
+   * turned on, each bar is split into what the plan pays and what the patient pays
    * @param {Array} hospitals - Hospitals to compare
    */
   updateComparisonChart(hospitals) {
     if (!this.chartCanvas) return;
     
     // Get selected procedure
-    const procedure = this.procedureSelect ? 
-      this.procedureSelect.value : 
-      'hip-replacement';
+    const procedure = this.procedureSelect && this.procedureSelect.value ?
+      this.procedureSelect.value :
+      window.procedureCatalog.getDefaultKey();
     
-    // If no hospitals selected, use first 3 from data
+    // If no hospitals selected, use the first 3 that publish a price for the procedure
     if (!hospitals || hospitals.length === 0) {
-      hospitals = window.dataService.hospitalsData.slice(0, 3);
+      hospitals = this.getDefaultHospitals(procedure);
     }
+    this.chartedHospitals = hospitals;
     
     // Prepare chart data
-    const labels = hospitals.map(h => this.shortenHospitalName(h.NAME));
-    const costs = hospitals.map(h => h.costs[procedure]);
-    
-    // Determine colors based on cost
-    const backgroundColor = costs.map(cost => this.getCostColor(cost, 0.7));
-    const borderColor = costs.map(cost => this.getCostColor(cost, 1.0));
-    
-    // Get procedure display name
-    const procedureDisplayName = this.getProcedureDisplayName(procedure);
+    const estimates = this.chartMode === 'prices' && this.costEstimator && this.costEstimator.plan.enabled ?
+      hospitals.map(h => this.costEstimator.estimate(h, procedure)) : null;
+    const view = this.chartMode === 'range' ? this.createRangeView(hospitals, procedure) :
+      this.chartMode === 'histogram' ? this.createHistogramView(hospitals, procedure) :
+      this.createPriceView(hospitals, procedure, estimates);
+    this.renderOutOfPocketSummary(hospitals, estimates);
     
     // Create or update chart
     if (this.chartInstance) {
-      this.chartInstance.data.labels = labels;
-      this.chartInstance.data.datasets[0].data = costs;
-      this.chartInstance.data.datasets[0].backgroundColor = backgroundColor;
-      this.chartInstance.data.datasets[0].borderColor = borderColor;
-      this.chartInstance.options.plugins.title.text = `${procedureDisplayName} Cost Comparison`;
+      const options = this.chartInstance.options;
+      this.chartInstance.data.labels = view.labels;
+      this.chartInstance.data.datasets = view.datasets;
+      options.plugins.title.text = view.title;
+      options.plugins.tooltip.callbacks = view.tooltipCallbacks;
+      options.scales.x.stacked = view.stacked;
+      options.scales.y.stacked = view.stacked;
+      options.scales.y.title.text = view.axisTitle;
+      options.scales.y.ticks.callback = view.formatTick;
       this.chartInstance.update();
     } else {
       const ctx = this.chartCanvas.getContext('2d');
       this.chartInstance = new Chart(ctx, {
         type: 'bar',
         data: {
-          labels: labels,
-          datasets: [{
-            label: 'Cost ($)',
-            data: costs,
-            backgroundColor: backgroundColor,
-            borderColor: borderColor,
-            borderWidth: 1
-          }]
+          labels: view.labels,
+          datasets: view.datasets
         },
         options: {
           responsive: true,
           plugins: {
             title: {
               display: true,
-              text: `${procedureDisplayName} Cost Comparison`,
+              text: view.title,
               font: {
                 size: 16
               }
             },
             tooltip: {
-              callbacks: {
-                label: function(context) {
-                  return `Cost: $${context.raw.toLocaleString()}`;
-                }
-              }
+              callbacks: view.tooltipCallbacks
             }
           },
           scales: {
+            x: {
+              stacked: view.stacked
+            },
             y: {
+              stacked: view.stacked,
               beginAtZero: true,
               title: {
                 display: true,
-                text: 'Cost in USD'
+                text: view.axisTitle
               },
               ticks: {
-                callback: function(value) {
-                  return '$' + value.toLocaleString();
-                }
+                callback: view.formatTick
               }
             }
           }
@@ -122,19 +203,381 @@ class ChartService {
   }
 
   /**
-   * Get color based on cost value
-   * @param {number} cost - Cost value
+   * Bar view: each hospital's price, or its out-of-pocket split, with the
+   * median price of the hospitals around it
+   * @param {Array} hospitals - Charted hospitals
+   * @param {string} procedure - Procedure key
+   * @param {Array|null} estimates - Out-of-pocket estimates, or null to chart prices
+   * @returns {Object} Chart view {labels, datasets, title, tooltipCallbacks, stacked, axisTitle, formatTick}
+   */
+  createPriceView(hospitals, procedure, estimates) {
+    const procedureDisplayName = this.getProcedureDisplayName(procedure);
+    const datasets = estimates ? this.createOutOfPocketDatasets(estimates) : [this.createCostDataset(hospitals, procedure)];
+    if (!estimates && window.priceService) {
+      datasets.push(this.createRegionalMedianDataset(hospitals, procedure));
+    }
+    return {
+      labels: hospitals.map(h => this.shortenHospitalName(h.NAME)),
+      datasets,
+      title: estimates ? `${procedureDisplayName}: Your Estimated Cost` : `${procedureDisplayName} Cost Comparison`,
+      tooltipCallbacks: this.createTooltipCallbacks(estimates),
+      stacked: Boolean(estimates),
+      axisTitle: 'Cost in USD',
+      formatTick: value => '$' + value.toLocaleString()
+    };
+  }
+
+  /**
+   * Build the single price dataset, colored by cost
+   * @param {Array} hospitals - Charted hospitals
+   * @param {string} procedure - Procedure key
+   * @returns {Object} Chart.js dataset
+   */
+  createCostDataset(hospitals, procedure) {
+    // Chart.js leaves a gap for null, so unpublished prices show no bar
+    const costs = hospitals.map(h => (h.costs && typeof h.costs[procedure] === 'number' ? h.costs[procedure] : null));
+    return {
+      label: 'Cost ($)',
+      data: costs,
+      backgroundColor: costs.map(cost => this.getCostColor(cost, 0.7, procedure)),
+      borderColor: costs.map(cost => this.getCostColor(cost, 1.0, procedure)),
+      borderWidth: 1
+    };
+  }
+
+  /**
+   * Build the regional median markers: a line across each bar at the median
+   * price of the hospitals within the region radius of that hospital
+   * @param {Array} hospitals - Charted hospitals
+   * @param {string} procedure - Procedure key
+   * @returns {Object} Chart.js dataset; regionCounts holds the number of prices behind each median
+   */
+  createRegionalMedianDataset(hospitals, procedure) {
+    const regions = hospitals.map(h => window.priceService.getRegionalMedian(h, procedure, this.regionRadius));
+    return {
+      type: 'line',
+      label: `Regional median (${this.regionRadius} mi)`,
+      data: regions.map(region => (region ? region.median : null)),
+      regionCounts: regions.map(region => (region ? region.count : 0)),
+      showLine: false,
+      pointStyle: 'line',
+      pointRadius: 24,
+      pointHoverRadius: 24,
+      borderColor: 'rgba(33, 33, 33, 0.9)',
+      borderWidth: 2,
+      order: -1
+    };
+  }
+
+  /**
+   * Box and whisker view: the box spans each hospital's negotiated rates, the
+   * whisker every price it publishes (cash, negotiated and gross), and a
+   * marker shows its headline price
+   * @param {Array} hospitals - Charted hospitals
+   * @param {string} procedure - Procedure key
+   * @returns {Object} Chart view {labels, datasets, title, tooltipCallbacks, stacked, axisTitle, formatTick}
+   */
+  createRangeView(hospitals, procedure) {
+    const formatMoney = value => `$${Math.round(value).toLocaleString()}`;
+    const ranges = hospitals.map(h => this.getPriceRange(h, procedure));
+    const costs = hospitals.map(h => (h.costs && typeof h.costs[procedure] === 'number' ? h.costs[procedure] : null));
+
+    // Floating bars take [low, high]; grouped: false draws the box over its whisker
+    const datasets = [
+      {
+        type: 'line',
+        label: 'Headline price',
+        data: costs,
+        showLine: false,
+        pointStyle: 'line',
+        pointRadius: 24,
+        pointHoverRadius: 24,
+        borderColor: 'rgba(33, 33, 33, 1)',
+        borderWidth: 3
+      },
+      {
+        label: 'Negotiated rates',
+        data: ranges.map(range => (range ? range.negotiated : null)),
+        backgroundColor: costs.map(cost => this.getCostColor(cost, 0.5, procedure)),
+        borderColor: costs.map(cost => this.getCostColor(cost, 1.0, procedure)),
+        borderWidth: 1,
+        barPercentage: 0.5,
+        grouped: false
+      },
+      {
+        label: 'All published prices',
+        data: ranges.map(range => (range ? range.published : null)),
+        backgroundColor: 'rgba(97, 97, 97, 0.8)',
+        barPercentage: 0.05,
+        grouped: false
+      }
+    ];
+
+    return {
+      labels: hospitals.map(h => this.shortenHospitalName(h.NAME)),
+      datasets,
+      title: `${this.getProcedureDisplayName(procedure)} Price Ranges`,
+      tooltipCallbacks: {
+        label: context => {
+          if (context.raw === null) return `${context.dataset.label}: not published`;
+          const text = Array.isArray(context.raw) ?
+            `${formatMoney(context.raw[0])} – ${formatMoney(context.raw[1])}` : formatMoney(context.raw);
+          return `${context.dataset.label}: ${text}`;
+        }
+      },
+      stacked: false,
+      axisTitle: 'Cost in USD',
+      formatTick: value => '$' + value.toLocaleString()
+    };
+  }
+
+  /**
+   * Lowest and highest prices a hospital publishes for a procedure
+   * @param {Object} hospital - Hospital
+   * @param {string} procedure - Procedure key
+   * @returns {Object|null} {negotiated: [min, max] or null, published: [min, max]}, or null if no price is published
+   */
+  getPriceRange(hospital, procedure) {
+    const summary = hospital.prices && hospital.prices[procedure];
+    if (!summary) return null;
+    const negotiated = [summary.minNegotiated, summary.maxNegotiated].filter(value => value !== null);
+    const published = [...negotiated, summary.discountedCash, summary.grossCharge].filter(value => value !== null);
+    if (published.length === 0) return null;
+    return {
+      negotiated: negotiated.length ? [Math.min(...negotiated), Math.max(...negotiated)] : null,
+      published: [Math.min(...published), Math.max(...published)]
+    };
+  }
+
+  /**
+   * Histogram view: how many hospitals charge each price range for the
+   * procedure, with the compared hospitals stacked on top in their own color
+   * @param {Array} hospitals - Charted hospitals
+   * @param {string} procedure - Procedure key
+   * @returns {Object} Chart view {labels, datasets, title, tooltipCallbacks, stacked, axisTitle, formatTick}
+   */
+  createHistogramView(hospitals, procedure) {
+    const stats = window.priceService ? window.priceService.getPriceStats(procedure) : null;
+    const bins = stats ? this.createPriceBins(stats) : [];
+    const charted = new Set(hospitals.map(h => h.Id));
+    window.dataService.hospitalsData.forEach(hospital => {
+      const cost = hospital.costs ? hospital.costs[procedure] : undefined;
+      if (typeof cost !== 'number') return;
+      const bin = bins.find(b => cost <= b.to) || bins[bins.length - 1];
+      if (charted.has(hospital.Id)) bin.compared.push(hospital); else bin.others++;
+    });
+
+    const procedureDisplayName = this.getProcedureDisplayName(procedure);
+    const formatShortMoney = value => (value >= 1000 ? `$${(value / 1000).toFixed(1)}k` : `$${Math.round(value)}`);
+    return {
+      labels: bins.map(bin => (bin.from === bin.to ? formatShortMoney(bin.from) : `${formatShortMoney(bin.from)}–${formatShortMoney(bin.to)}`)),
+      datasets: [
+        {
+          label: 'Other hospitals',
+          data: bins.map(bin => bin.others),
+          backgroundColor: bins.map(bin => this.getCostColor((bin.from + bin.to) / 2, 0.4, procedure)),
+          borderColor: bins.map(bin => this.getCostColor((bin.from + bin.to) / 2, 1.0, procedure)),
+          borderWidth: 1
+        },
+        {
+          label: 'Compared hospitals',
+          data: bins.map(bin => bin.compared.length),
+          backgroundColor: 'rgba(33, 150, 243, 0.8)',
+          borderColor: 'rgba(33, 150, 243, 1)',
+          borderWidth: 1
+        }
+      ],
+      title: stats ?
+        `${procedureDisplayName} Price Distribution (${stats.count} hospitals, median $${Math.round(stats.median).toLocaleString()})` :
+        `${procedureDisplayName}: No Published Prices`,
+      tooltipCallbacks: {
+        label: context => `${context.dataset.label}: ${context.raw}`,
+        footer: items => (items.length ? bins[items[0].dataIndex].compared.map(h => h.NAME) : [])
+      },
+      stacked: true,
+      axisTitle: 'Hospitals',
+      // Counts are whole numbers; skip the in-between ticks
+      formatTick: value => (Number.isInteger(value) ? value : null)
+    };
+  }
+
+  /**
+   * Split a procedure's price range into equal-width bins, about the square root of the number of prices
+   * @param {Object} stats - Result of PriceService.getPriceStats
+   * @returns {Array} [{from, to, others, compared}] in ascending order, with empty counts
+   */
+  createPriceBins(stats) {
+    const count = stats.max > stats.min ? Math.min(12, Math.max(1, Math.round(Math.sqrt(stats.count)))) : 1;
+    const width = (stats.max - stats.min) / count;
+    return Array.from({ length: count }, (_, index) => ({
+      from: stats.min + width * index,
+      to: index === count - 1 ? stats.max : stats.min + width * (index + 1),
+      others: 0,
+      compared: []
+    }));
+  }
+
+  /**
+   * Build the stacked "plan pays" and "you pay" datasets
+   * @param {Array} estimates - Results of CostEstimator.estimate (null where no price is published)
+   * @returns {Array} Chart.js datasets
+   */
+  createOutOfPocketDatasets(estimates) {
+    return [
+      {
+        label: 'Plan pays',
+        data: estimates.map(e => (e ? e.planPays : null)),
+        backgroundColor: 'rgba(33, 150, 243, 0.5)',
+        borderColor: 'rgba(33, 150, 243, 1)',
+        borderWidth: 1
+      },
+      {
+        label: 'You pay',
+        data: estimates.map(e => (e ? e.youPay : null)),
+        backgroundColor: 'rgba(255, 87, 34, 0.7)',
+        borderColor: 'rgba(255, 87, 34, 1)',
+        borderWidth: 1
+      }
+    ];
+  }
+
+  /**
+   * Tooltip text for the chart
+   * @param {Array|null} estimates - Out-of-pocket estimates, or null when showing prices
+   * @returns {Object} Chart.js tooltip callbacks
+   */
+  createTooltipCallbacks(estimates) {
+    const formatMoney = value => `$${Math.round(value).toLocaleString()}`;
+    if (!estimates) {
+      return {
+        label: function(context) {
+          if (context.dataset.regionCounts) {
+            const count = context.dataset.regionCounts[context.dataIndex];
+            if (context.raw === null) return `${context.dataset.label}: no nearby prices`;
+            return `${context.dataset.label}: ${formatMoney(context.raw)} (${count} ${count === 1 ? 'hospital' : 'hospitals'})`;
+          }
+          if (context.raw === null) return 'Price not published';
+          return `Cost: ${formatMoney(context.raw)}`;
+        }
+      };
+    }
+    return {
+      label: context => (context.raw === null ? 'Price not published' : `${context.dataset.label}: ${formatMoney(context.raw)}`),
+      footer: items => {
+        const estimate = items.length ? estimates[items[0].dataIndex] : null;
+        return estimate ? this.describeEstimate(estimate, formatMoney) : '';
+      }
+    };
+  }
+
+  /**
+   * List the parts of a patient's share
+   * @param {Object} estimate - Result of CostEstimator.estimate
+   * @param {Function} formatMoney - Formats a dollar amount
+   * @returns {Array} Lines of text
+   */
+  describeEstimate(estimate, formatMoney) {
+    const lines = [`Plan allowed amount: ${formatMoney(estimate.allowed)}`];
+    if (estimate.deductible > 0) lines.push(`Deductible: ${formatMoney(estimate.deductible)}`);
+    if (estimate.coinsurance > 0) lines.push(`Coinsurance: ${formatMoney(estimate.coinsurance)}`);
+    if (estimate.copay > 0) lines.push(`Copay: ${formatMoney(estimate.copay)}`);
+    if (estimate.balanceBill > 0) lines.push(`Out-of-network balance bill: ${formatMoney(estimate.balanceBill)}`);
+    if (estimate.capped) lines.push('Capped at your out-of-pocket maximum');
+    return lines;
+  }
+
+  /**
+   * Show the out-of-pocket breakdown under the chart
+   * @param {Array} hospitals - Charted hospitals
+   * @param {Array|null} estimates - Out-of-pocket estimates, or null to hide the breakdown
+   */
+  renderOutOfPocketSummary(hospitals, estimates) {
+    if (!this.planSummaryElement) return;
+    this.planSummaryElement.hidden = !estimates;
+    if (!estimates) return;
+
+    const formatMoney = value => `$${Math.round(value).toLocaleString()}`;
+    this.planSummaryElement.innerHTML = `
+      <ul>
+        ${hospitals.map((hospital, index) => {
+          const estimate = estimates[index];
+          if (!estimate) return `<li><strong>${HtmlUtils.escape(hospital.NAME)}</strong>: price not published</li>`;
+          return `
+            <li>
+              <strong>${HtmlUtils.escape(hospital.NAME)}</strong>: you pay about ${formatMoney(estimate.youPay)}
+              <span>${this.describeEstimate(estimate, formatMoney).join(' &middot; ')}</span>
+            </li>`;
+        }).join('')}
+      </ul>
+      <p class="detail-note">Estimates use the published negotiated rates and your plan details; your insurer's actual allowed amount may differ.</p>
+    `;
+  }
+
+  /**
+   * Put the saved plan into the plan form
+   */
+  fillPlanForm() {
+    if (!this.planForm || !this.costEstimator) return;
+    const plan = this.costEstimator.plan;
+    Object.keys(plan).forEach(name => {
+      const field = this.planForm.elements[name];
+      if (!field) return;
+      if (field.type === 'checkbox') field.checked = plan[name]; else field.value = plan[name];
+    });
+  }
+
+  /**
+   * Read the plan form
+   * @returns {Object} Plan fields
+   */
+  readPlanForm() {
+    const fields = this.planForm.elements;
+    return {
+      enabled: fields.enabled.checked,
+      deductible: fields.deductible.value,
+      deductibleMet: fields.deductibleMet.value,
+      coinsurance: fields.coinsurance.value,
+      copay: fields.copay.value,
+      outOfPocketMax: fields.outOfPocketMax.value,
+      network: fields.network.value
+    };
+  }
+
+  /**
+   * Pick default hospitals to chart when none are selected
+   * @param {string} procedure - Procedure key
+   * @returns {Array} Up to 3 hospitals, preferring ones with a published price
+   */
+  getDefaultHospitals(procedure) {
+    // Prefer the current search results so the chart follows the list
+    const results = window.hospitalService ? window.hospitalService.filteredHospitals : [];
+    const hospitals = results.length ? results : window.dataService.hospitalsData;
+    const priced = hospitals.filter(h => h.costs && typeof h.costs[procedure] === 'number');
+    return (priced.length ? priced : hospitals).slice(0, 3);
+  }
+
+  /**
+   * Get color based on where a cost falls among every hospital's price for the procedure
+   * @param {number|null} cost - Cost value, or null when not published
    * @param {number} alpha - Alpha transparency (0-1)
+   * @param {string} procedure - Procedure key
    * @returns {string} RGBA color string
    */
-  getCostColor(cost, alpha) {
-    // Green for low cost, yellow for medium, red for high
-    if (cost < 15000) {
+  getCostColor(cost, alpha, procedure) {
+    // Grey for no published price, green for the cheapest third, yellow for the middle, red for the priciest
+    if (cost === null) {
+      return `rgba(158, 158, 158, ${alpha})`;
+    }
+    const band = window.priceService ? window.priceService.getPriceBand(procedure, cost) : null;
+    if (band === 'low') {
       return `rgba(52, 168, 83, ${alpha})`;
-    } else if (cost < 20000) {
+    } else if (band === 'medium') {
       return `rgba(251, 188, 5, ${alpha})`;
-    } else {
+    } else if (band === 'high') {
       return `rgba(234, 67, 53, ${alpha})`;
+    } else {
+      // Too few prices to compare against
+      return `rgba(33, 150, 243, ${alpha})`;
     }
   }
 
@@ -166,57 +609,19 @@ class ChartService {
    * @returns {string} Display name
    */
   getProcedureDisplayName(procedureKey) {
-    const displayNames = {
-      'hip-replacement': 'Hip Replacement',
-      'knee-replacement': 'Knee Replacement',
-      'cardiac-bypass': 'Cardiac Bypass',
-      'mri': 'MRI Scan',
-      'physical-therapy': 'Physical Therapy Session'
-    };
-    
-    return displayNames[procedureKey] || procedureKey;
+    return window.procedureCatalog.getDisplayName(procedureKey);
   }
 
   /**
-   * Create a downloadable cost report
-   * @param {Array} hospitals - Hospitals to include in report
+   * Download a cost report for the hospitals in the chart
+   * @param {string} format - 'csv', 'markdown' or 'pdf'
+   * @param {string} scope - 'selected' for the charted procedure, 'all' for every catalog procedure
    */
-  createCostReport(hospitals) {
-    if (!hospitals || hospitals.length === 0) return;
-    
-    // Get all procedures
-    const procedures = [
-      'hip-replacement',
-      'knee-replacement',
-      'cardiac-bypass',
-      'mri',
-      'physical-therapy'
-    ];
-    
-    // Create report content
-    let reportContent = '# Hospital Cost Comparison Report\n\n';
-    reportContent += `Generated on ${new Date().toLocaleDateString()}\n\n`;
-    
-    // Add table header
-    reportContent += '| Procedure | ' + hospitals.map(h => this.shortenHospitalName(h.NAME)).join(' | ') + ' |\n';
-    reportContent += '|' + '-'.repeat(10) + '|' + hospitals.map(() => '-'.repeat(15)).join('|') + '|\n';
-    
-    // Add procedure rows
-    for (const proc of procedures) {
-      const displayName = this.getProcedureDisplayName(proc);
-      reportContent += `| ${displayName} | `;
-      
-      for (const hospital of hospitals) {
-        const cost = hospital.costs[proc];
-        reportContent += `$${cost.toLocaleString()} | `;
-      }
-      
-      reportContent += '\n';
-    }
-    
-    // In a real application, this would create a downloadable file
-    console.log('Cost report generated:', reportContent);
-    alert('Cost comparison report generated. In a real application, this would be downloadable.');
+  createCostReport(format, scope) {
+    const procedures = scope === 'all' ?
+      window.procedureCatalog.getAll().map(entry => entry.key) :
+      [this.procedureSelect ? this.procedureSelect.value : window.procedureCatalog.getDefaultKey()];
+    window.reportService.exportReport(format, this.chartedHospitals, procedures);
   }
 }
 
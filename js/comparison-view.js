@@ -0,0 +1,241 @@
+/**
+ * Comparison View for HealthCare Compass
+ * Lays the hospitals selected for comparison side by side and keeps the
+ * selection in localStorage so it survives paging, other pages and reloads
+ */
+
+class ComparisonView {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {HospitalService} hospitalService - Hospital service that owns the selection
+   */
+  constructor(dataService, hospitalService) {
+    this.dataService = dataService;
+    this.hospitalService = hospitalService;
+    this.storageKey = 'comparedHospitals';
+    this.maxHospitals = 3;
+    this.notice = '';
+
+    // DOM elements
+    this.panelElement = document.getElementById('comparisonPanel');
+    this.countElement = document.getElementById('comparisonCount');
+    this.clearButton = document.getElementById('comparisonClearBtn');
+
+    if (this.panelElement) {
+      this.panelElement.addEventListener('click', (e) => this.handleClick(e));
+    }
+    if (this.clearButton) {
+      this.clearButton.addEventListener('click', () => this.hospitalService.setComparedHospitals([]));
+    }
+  }
+
+  /**
+   * Read the stored selection
+   * @returns {Array} Hospitals, in column order
+   */
+  loadSelection() {
+    return this.getHospitals(this.loadSelectionIds());
+  }
+
+  /**
+   * Read the Ids of the stored selection
+   * @returns {Array} Hospital Ids, in column order
+   */
+  loadSelectionIds() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      console.warn('Ignoring unreadable comparison selection:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store the selection
+   * @param {Array} hospitals - Hospitals, in column order
+   */
+  saveSelection(hospitals) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(hospitals.map(h => h.Id)));
+    } catch (error) {
+      console.warn('Could not save comparison selection:', error);
+    }
+  }
+
+  /**
+   * Resolve hospital Ids, dropping unknown Ids and anything over the limit
+   * @param {Array} ids - Hospital Ids
+   * @returns {Array} Hospitals
+   */
+  getHospitals(ids) {
+    return ids
+      .map(id => this.dataService.getHospitalById(id))
+      .filter(Boolean)
+      .slice(0, this.maxHospitals);
+  }
+
+  /**
+   * Check whether another hospital can be added, explaining why not in the panel
+   * @param {Array} hospitals - Current selection
+   * @returns {boolean} True if there is room
+   */
+  canAdd(hospitals) {
+    if (hospitals.length < this.maxHospitals) return true;
+    this.notice = `You can compare up to ${this.maxHospitals} hospitals. Remove one below to add another.`;
+    this.render(hospitals);
+    if (this.panelElement) this.panelElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    return false;
+  }
+
+  /**
+   * Handle the remove and move buttons in the column headers
+   * @param {Event} e - Click event
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-compare-action]');
+    if (!button) return;
+
+    const hospitals = [...this.hospitalService.selectedHospitals];
+    const index = hospitals.findIndex(h => h.Id === button.dataset.hospitalId);
+    if (index === -1) return;
+
+    const action = button.dataset.compareAction;
+    if (action === 'remove') {
+      hospitals.splice(index, 1);
+    } else {
+      const target = action === 'left' ? index - 1 : index + 1;
+      if (target < 0 || target >= hospitals.length) return;
+      [hospitals[index], hospitals[target]] = [hospitals[target], hospitals[index]];
+    }
+    this.hospitalService.setComparedHospitals(hospitals);
+  }
+
+  /**
+   * Build the comparison rows
+   * better is 'low' or 'high' for rows with a best value, null otherwise
+   * @returns {Array} Rows [{label, better, getValue, format, emptyText}]
+   */
+  getRows() {
+    const formatDollars = value => `$${Math.round(value).toLocaleString()}`;
+    const referencePoint = this.hospitalService.referencePoint;
+
+    const procedureRows = window.procedureCatalog.getAll().map(procedure => ({
+      label: procedure.name,
+      better: 'low',
+      getValue: hospital => this.hospitalService.getProcedureCost(hospital, procedure.key),
+      format: formatDollars,
+      emptyText: 'Not published'
+    }));
+
+    return [
+      ...procedureRows,
+      {
+        label: 'Quality Rating',
+        better: 'high',
+        getValue: hospital => (typeof hospital.rating === 'number' ? hospital.rating : null),
+        format: value => `${value.toFixed(1)} ★`,
+        emptyText: 'Unrated'
+      },
+      {
+        label: referencePoint && referencePoint.label ? `Distance from ${referencePoint.label}` : 'Distance',
+        better: 'low',
+        getValue: hospital => (referencePoint ?
+          this.dataService.getDistance(referencePoint, hospital) : null),
+        format: value => `${value.toFixed(1)} mi`,
+        emptyText: 'Enter a location'
+      },
+      {
+        label: 'Utilization',
+        better: 'high',
+        getValue: hospital => (hospital.UTILIZATION > 0 ? hospital.UTILIZATION : null),
+        format: value => `${value.toLocaleString()} encounters`,
+        emptyText: 'Not reported'
+      },
+      {
+        label: 'Revenue',
+        better: 'high',
+        getValue: hospital => (hospital.REVENUE > 0 ? hospital.REVENUE : null),
+        format: formatDollars,
+        emptyText: 'Not reported'
+      },
+      {
+        label: 'Specialties',
+        better: null,
+        getValue: hospital => this.hospitalService.getSpecialties(hospital).join(', '),
+        format: value => HtmlUtils.escape(value),
+        emptyText: 'No specialty data'
+      }
+    ];
+  }
+
+  /**
+   * Find the best value in a row; ties are all highlighted
+   * @param {Array} values - Row values, null where missing
+   * @param {string|null} better - 'low', 'high' or null
+   * @returns {number|null} Best value, or null if there is nothing to compare
+   */
+  getBestValue(values, better) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (!better || numbers.length < 2) return null;
+    return better === 'low' ? Math.min(...numbers) : Math.max(...numbers);
+  }
+
+  /**
+   * Render the comparison table
+   * @param {Array} hospitals - Selected hospitals, in column order
+   */
+  render(hospitals) {
+    if (this.countElement) this.countElement.textContent = `${hospitals.length} of ${this.maxHospitals}`;
+    if (this.clearButton) this.clearButton.hidden = hospitals.length === 0;
+    if (!this.panelElement) return;
+
+    // The limit notice only makes sense while the selection is full
+    if (hospitals.length < this.maxHospitals) this.notice = '';
+    const noticeHTML = this.notice ? `<div class="location-notice"><i class="fas fa-info-circle"></i> ${this.notice}</div>` : '';
+
+    if (hospitals.length === 0) {
+      this.panelElement.innerHTML = `<p class="comparison-empty">Select "Compare" on up to ${this.maxHospitals} hospitals to see them side by side.</p>`;
+      return;
+    }
+
+    const headerCells = hospitals.map((hospital, index) => `
+              <th>
+                <a href="${HtmlUtils.escape(HospitalDetailView.getRoute(hospital.Id))}">${HtmlUtils.escape(hospital.NAME)}</a>
+                <div class="comparison-city">${HtmlUtils.escape(hospital.CITY)}, ${HtmlUtils.escape(hospital.STATE)}</div>
+                <div class="comparison-actions">
+                  <button class="btn btn-outline" data-compare-action="left" data-hospital-id="${HtmlUtils.escape(hospital.Id)}" title="Move left" ${index === 0 ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+                  <button class="btn btn-outline" data-compare-action="right" data-hospital-id="${HtmlUtils.escape(hospital.Id)}" title="Move right" ${index === hospitals.length - 1 ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+                  <button class="btn btn-outline" data-compare-action="remove" data-hospital-id="${HtmlUtils.escape(hospital.Id)}" title="Remove from comparison"><i class="fas fa-times"></i></button>
+                </div>
+              </th>`).join('');
+
+    const bodyRows = this.getRows().map(row => {
+      const values = hospitals.map(hospital => row.getValue(hospital));
+      const best = this.getBestValue(values, row.better);
+      const cells = values.map(value => {
+        if (value === null || value === '') return `<td class="cost-unpublished">${row.emptyText}</td>`;
+        return `<td class="${value === best ? 'comparison-best' : ''}">${row.format(value)}</td>`;
+      }).join('');
+      return `
+            <tr>
+              <th scope="row">${HtmlUtils.escape(row.label)}</th>${cells}
+            </tr>`;
+    }).join('');
+
+    this.panelElement.innerHTML = `
+      ${noticeHTML}
+      <div class="table-wrapper">
+        <table class="comparison-table">
+          <thead>
+            <tr>
+              <th></th>${headerCells}
+            </tr>
+          </thead>
+          <tbody>${bodyRows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+}
+
+// Will be initialized in main.js
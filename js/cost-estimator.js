@@ -0,0 +1,129 @@
+/**
+ * Cost Estimator for HealthCare Compass
+ * Estimates what a patient pays out of pocket for a procedure under their
+ * insurance plan: the deductible still to meet, then coinsurance, plus a
+ * copay, capped at the out-of-pocket maximum. Out of network, the hospital
+ * may also bill the gap between its charge and what the plan allows.
+ */
+
+class CostEstimator {
+  constructor() {
+    this.storageKey = 'insurancePlan';
+    this.defaultPlan = {
+      enabled: false,
+      deductible: 1500,
+      deductibleMet: 0, // Spent this year; counts toward the deductible and the out-of-pocket maximum
+      coinsurance: 20, // Percent the patient pays after the deductible
+      copay: 0,
+      outOfPocketMax: 6000,
+      network: 'in' // 'in' or 'out'
+    };
+    this.plan = this.loadPlan();
+  }
+
+  /**
+   * Read the saved plan
+   * @returns {Object} Plan, with defaults for anything not saved
+   */
+  loadPlan() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      return { ...this.defaultPlan, ...saved };
+    } catch (error) {
+      return { ...this.defaultPlan };
+    }
+  }
+
+  /**
+   * Update and save the plan
+   * Amounts are clamped to sensible ranges; coinsurance is a percentage
+   * @param {Object} changes - Plan fields to change
+   * @returns {Object} Updated plan
+   */
+  setPlan(changes) {
+    const plan = { ...this.plan, ...changes };
+    const amount = value => Math.max(0, parseFloat(value) || 0);
+    this.plan = {
+      enabled: Boolean(plan.enabled),
+      deductible: amount(plan.deductible),
+      deductibleMet: amount(plan.deductibleMet),
+      coinsurance: Math.min(100, amount(plan.coinsurance)),
+      copay: amount(plan.copay),
+      outOfPocketMax: amount(plan.outOfPocketMax),
+      network: plan.network === 'out' ? 'out' : 'in'
+    };
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.plan));
+    } catch (error) {
+      console.warn('Could not save insurance plan:', error);
+    }
+    return this.plan;
+  }
+
+  /**
+   * Amount the plan bases its share on: the midpoint of the hospital's
+   * negotiated rates when published, otherwise its headline price
+   * @param {Object} hospital - Hospital
+   * @param {string} procedure - Procedure key
+   * @returns {number|null} Allowed amount in dollars, or null if no price is published
+   */
+  getAllowedAmount(hospital, procedure) {
+    const summary = hospital.prices && hospital.prices[procedure];
+    if (summary && summary.minNegotiated !== null && summary.maxNegotiated !== null) {
+      return (summary.minNegotiated + summary.maxNegotiated) / 2;
+    }
+    if (summary && (summary.minNegotiated !== null || summary.maxNegotiated !== null)) {
+      return summary.minNegotiated !== null ? summary.minNegotiated : summary.maxNegotiated;
+    }
+    return hospital.costs && typeof hospital.costs[procedure] === 'number' ? hospital.costs[procedure] : null;
+  }
+
+  /**
+   * Estimate the patient's and the plan's share at one hospital
+   * @param {Object} hospital - Hospital
+   * @param {string} procedure - Procedure key
+   * @param {Object} plan - Plan (defaults to the saved plan)
+   * @returns {Object|null} {allowed, deductible, coinsurance, copay, balanceBill, youPay, planPays, capped}, or null if no price is published
+   */
+  estimate(hospital, procedure, plan = this.plan) {
+    const allowed = this.getAllowedAmount(hospital, procedure);
+    if (allowed === null) return null;
+
+    const remainingDeductible = Math.max(0, plan.deductible - plan.deductibleMet);
+    const remainingOutOfPocket = Math.max(0, plan.outOfPocketMax - plan.deductibleMet);
+
+    // Each part is paid in turn until the out-of-pocket maximum is reached
+    let room = remainingOutOfPocket;
+    const take = amount => {
+      const paid = Math.min(amount, room);
+      room -= paid;
+      return paid;
+    };
+    const copayOwed = Math.min(plan.copay, allowed);
+    const deductibleOwed = Math.min(allowed - copayOwed, remainingDeductible);
+    const coinsuranceOwed = (allowed - copayOwed - deductibleOwed) * plan.coinsurance / 100;
+    const copay = take(copayOwed);
+    const deductible = take(deductibleOwed);
+    const coinsurance = take(coinsuranceOwed);
+    const costShare = copay + deductible + coinsurance;
+
+    // Out of network the hospital can bill the rest of its gross charge, which the maximum doesn't cover
+    const summary = hospital.prices && hospital.prices[procedure];
+    const grossCharge = summary ? summary.grossCharge : null;
+    const balanceBill = plan.network === 'out' && grossCharge !== null ? Math.max(0, grossCharge - allowed) : 0;
+
+    return {
+      allowed,
+      deductible,
+      coinsurance,
+      copay,
+      balanceBill,
+      youPay: costShare + balanceBill,
+      planPays: allowed - costShare,
+      capped: costShare < copayOwed + deductibleOwed + coinsuranceOwed
+    };
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,183 @@
+/**
+ * CSV Parser for HealthCare Compass
+ * Streaming RFC 4180 parser: quoted fields may contain commas, newlines and
+ * doubled ("") quotes, and records may end in CRLF, LF or CR. Text can be fed
+ * in chunks of any size, so a file is parsed as it downloads.
+ */
+
+class CsvParser {
+  /**
+   * @param {Object} options - {delimiter}
+   */
+  constructor({ delimiter = ',' } = {}) {
+    this.delimiter = delimiter;
+    this.reset();
+  }
+
+  /**
+   * Clear the parser state so it can read a new file
+   */
+  reset() {
+    this.rows = [];
+    this.errors = []; // [{line, message}] for malformed input the parser recovered from
+    this.field = '';
+    this.record = [];
+    this.inQuotes = false;
+    this.quoteClosed = false; // Just read the closing quote of a quoted field
+    this.pendingQuote = false; // A chunk ended on a quote that may be the first of a doubled pair
+    this.quotedCR = false; // Last character inside quotes was a CR, so an LF doesn't start another line
+    this.skipLineFeed = false; // Just ended a record on CR, so a following LF belongs to it
+    this.fieldStarted = false;
+    this.line = 1; // Physical line the parser is on
+    this.recordLine = 1; // Physical line the current record started on
+    this.started = false;
+  }
+
+  /**
+   * Parse a chunk of text; complete records are passed to onRow as they are found
+   * @param {string} chunk - Next piece of the file
+   * @param {Function} onRow - Called with (fields, line) for each complete record
+   */
+  push(chunk, onRow = (fields, line) => this.rows.push({ fields, line })) {
+    let text = chunk;
+    if (!this.started) {
+      // A UTF-8 byte order mark is not part of the first header
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          // A doubled quote is a literal quote; a single one closes the field
+          if (i + 1 < text.length) {
+            if (text[i + 1] === '"') {
+              this.field += '"';
+              i++;
+            } else {
+              this.inQuotes = false;
+              this.quoteClosed = true;
+            }
+          } else {
+            // The chunk ends on a quote; decide once the next chunk arrives
+            this.inQuotes = false;
+            this.quoteClosed = true;
+            this.pendingQuote = true;
+          }
+        } else {
+          if (char === '\r' || (char === '\n' && !this.quotedCR)) this.line++;
+          this.quotedCR = char === '\r';
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.field += '"';
+          this.inQuotes = true;
+          this.quoteClosed = false;
+          continue;
+        }
+      }
+
+      if (char === this.delimiter) {
+        this.endField();
+      } else if (char === '\n' || char === '\r') {
+        this.endRecord(onRow);
+        this.line++;
+        this.recordLine = this.line;
+        if (char === '\r') this.skipLineFeed = true;
+      } else if (char === '"' && !this.fieldStarted) {
+        this.inQuotes = true;
+        this.fieldStarted = true;
+      } else {
+        // Lenient like most spreadsheets: keep the character but note the malformed field
+        if (char === '"' || this.quoteClosed) {
+          this.errors.push({ line: this.line, message: 'Quote in the middle of a field' });
+          this.quoteClosed = false;
+        }
+        this.field += char;
+        this.fieldStarted = true;
+      }
+    }
+  }
+
+  /**
+   * Finish parsing; flushes the last record if the file doesn't end with a newline
+   * @param {Function} onRow - Called with (fields, line) for the last record
+   */
+  end(onRow = (fields, line) => this.rows.push({ fields, line })) {
+    this.pendingQuote = false;
+    if (this.inQuotes) {
+      this.errors.push({ line: this.recordLine, message: 'Quoted field is never closed' });
+      this.inQuotes = false;
+    }
+    if (this.fieldStarted || this.record.length) this.endRecord(onRow);
+  }
+
+  /**
+   * Close the current field
+   */
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldStarted = false;
+    this.quoteClosed = false;
+  }
+
+  /**
+   * Close the current record and hand it on; blank lines are skipped
+   * @param {Function} onRow - Called with (fields, line)
+   */
+  endRecord(onRow) {
+    this.endField();
+    const record = this.record;
+    this.record = [];
+    if (record.length === 1 && record[0] === '') return;
+    onRow(record, this.recordLine);
+  }
+
+  /**
+   * Parse a whole CSV text
+   * @param {string} text - Raw CSV text
+   * @returns {Array} [{fields, line}] for each record, header included
+   */
+  parse(text) {
+    this.reset();
+    this.push(text);
+    this.end();
+    return this.rows;
+  }
+
+  /**
+   * Parse a CSV file as it streams in
+   * @param {ReadableStream} stream - Byte stream, e.g. a fetch response body
+   * @param {Function} onRow - Optional callback for each record; collected into rows otherwise
+   * @returns {Promise} Promise that resolves with [{fields, line}] (empty when onRow is given)
+   */
+  async parseStream(stream, onRow) {
+    this.reset();
+    const reader = stream.getReader();
+    const decoder = new TextDecoder('utf-8');
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      this.push(decoder.decode(value, { stream: true }), onRow);
+    }
+    this.push(decoder.decode(), onRow);
+    this.end(onRow);
+    return this.rows;
+  }
+}
+
+// Will be initialized in main.js
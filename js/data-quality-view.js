@@ -0,0 +1,163 @@
+/**
+ * Data Quality View for HealthCare Compass
+ * Shows the report from the last hospitals load (rejected rows, coerced values,
+ * duplicate Ids), routed as #/data-quality
+ */
+
+class DataQualityView {
+  /**
+   * @param {DataService} dataService - Data service holding the data-quality report
+   */
+  constructor(dataService) {
+    this.dataService = dataService;
+    this.route = '#/data-quality';
+
+    // DOM elements
+    this.viewElement = document.getElementById('dataQuality');
+    this.mainSections = document.querySelectorAll('[data-main-view]');
+  }
+
+  /**
+   * Check whether a URL hash is the data-quality route
+   * @param {string} hash - URL hash
+   * @returns {boolean} Whether the hash shows this view
+   */
+  isRoute(hash) {
+    return String(hash || '') === this.route;
+  }
+
+  /**
+   * Show the report
+   */
+  show() {
+    if (!this.viewElement) return;
+
+    this.viewElement.innerHTML = this.createReportHTML(this.dataService.getDataQualityReport());
+    this.viewElement.hidden = false;
+    this.mainSections.forEach(section => { section.hidden = true; });
+    document.title = 'Data Quality - HealthCare Compass';
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Hide the report and show the search page again
+   */
+  hide() {
+    if (!this.viewElement || this.viewElement.hidden) return;
+    this.viewElement.hidden = true;
+    this.viewElement.innerHTML = '';
+    this.mainSections.forEach(section => { section.hidden = false; });
+    document.title = 'HealthCare Compass';
+  }
+
+  /**
+   * Build the report markup
+   * @param {Object|null} report - Report from DataValidator.validate
+   * @returns {string} HTML
+   */
+  createReportHTML(report) {
+    const back = '<a href="#hospital-search-card" class="detail-back"><i class="fas fa-arrow-left"></i> Back to search</a>';
+    if (!report) {
+      return `
+        <div class="container">
+          ${back}
+          <div class="card detail-card">
+            <h2>Data Quality</h2>
+            <p class="detail-empty">The hospital data has not been loaded yet.</p>
+          </div>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="container">
+        ${back}
+        <div class="card detail-card">
+          <div class="detail-header">
+            <div>
+              <h2>Data Quality</h2>
+              <p class="detail-address">${HtmlUtils.escape(report.label)}${report.source ? ` &middot; ${HtmlUtils.escape(report.source)}` : ''}</p>
+            </div>
+          </div>
+          <div class="detail-facts">
+            ${this.createFact('Rows in file', report.totalRows)}
+            ${this.createFact('Rows loaded', report.acceptedRows)}
+            ${this.createFact('Rows rejected', report.rejected.length)}
+            ${this.createFact('Values coerced', report.coerced.length)}
+            ${this.createFact('Duplicate Ids', report.duplicateIds.length)}
+            ${this.createFact('Checked', new Date(report.checkedAt).toLocaleString())}
+          </div>
+          ${report.missingColumns.length ? `<p class="detail-note">Missing columns: ${report.missingColumns.map(c => HtmlUtils.escape(c)).join(', ')}</p>` : ''}
+          ${report.unknownColumns.length ? `<p class="detail-note">Columns not in the schema (loaded as text): ${report.unknownColumns.map(c => HtmlUtils.escape(c)).join(', ')}</p>` : ''}
+        </div>
+
+        <div class="card detail-card">
+          <h3>Rejected Rows</h3>
+          ${this.createTable(['Line', 'Id', 'Name', 'Reasons'], report.rejected.map(row => [
+            row.line, row.id, row.name, row.reasons.join('; ')
+          ]), 'Every row passed the schema checks.')}
+        </div>
+
+        <div class="card detail-card">
+          <h3>Coerced Values</h3>
+          ${this.createTable(['Line', 'Id', 'Column', 'In file', 'Loaded as', 'Why'], report.coerced.map(entry => [
+            entry.line, entry.id, entry.column, entry.original, entry.value === null ? '(none)' : entry.value, entry.reason
+          ]), 'No values needed to be changed.')}
+        </div>
+
+        <div class="card detail-card">
+          <h3>Duplicate Ids</h3>
+          ${this.createTable(['Id', 'Lines'], report.duplicateIds.map(entry => [
+            entry.id, entry.lines.join(', ')
+          ]), 'Every Id is unique.')}
+        </div>
+
+        ${report.parseErrors.length ? `
+        <div class="card detail-card">
+          <h3>CSV Format Problems</h3>
+          ${this.createTable(['Line', 'Problem'], report.parseErrors.map(error => [error.line, error.message]), '')}
+        </div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Build one summary fact
+   * @param {string} label - Label
+   * @param {*} value - Value
+   * @returns {string} HTML
+   */
+  createFact(label, value) {
+    return `
+            <div class="detail-fact">
+              <span class="detail-fact-label">${label}</span>
+              <span>${typeof value === 'number' ? value.toLocaleString() : HtmlUtils.escape(value)}</span>
+            </div>`;
+  }
+
+  /**
+   * Build a table, or a short message when there are no rows
+   * @param {Array} headers - Column headings
+   * @param {Array} rows - Arrays of cell values
+   * @param {string} emptyText - Message shown instead of an empty table
+   * @returns {string} HTML
+   */
+  createTable(headers, rows, emptyText) {
+    if (rows.length === 0) return `<p class="detail-empty">${emptyText}</p>`;
+
+    return `
+      <div class="table-wrapper">
+        <table class="detail-table">
+          <thead>
+            <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${rows.map(cells => `<tr>${cells.map(cell => `<td>${HtmlUtils.escape(cell)}</td>`).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+}
+
+// Will be initialized in main.js
@@ -4,23 +4,70 @@
  */
 
 class DataService {
-  constructor() {
+  /**
+   * @param {string|null} apiUrl - Base URL of the hospital API (server/server.js serves it at '/api').
+   *   With one, searches run on the server and only the hospitals shown are downloaded; see isRemote
+   */
+  constructor(apiUrl = null) {
+    this.apiUrl = apiUrl;
     this.hospitalsData = [];
-    this.diseasesData = []; // Will be populated when the second CSV is provided
+    this.diseasesData = []; // Conditions from the disease CSV, see setDiseasesData
     this.dataLoaded = false;
+    // URL of the hospitals CSV, or an object with a name and an async load() method
+    // resolving to records keyed by the organizations schema columns (imported datasets)
+    this.hospitalsSource = './data/organizations.csv';
+    this.validator = new DataValidator();
+    this.dataQualityReport = null; // Report from the last hospitals load, see validateCSV
+    // Abbreviations searched as the word they stand for, as in normalizeCityName
+    this.placeNameAliases = { st: 'saint', mt: 'mount', ft: 'fort' };
+    // Word index over the hospitals, rebuilt on every load; see searchHospitals
+    this.hospitalIndex = new SearchIndex([
+      { name: 'NAME', weight: 3 },
+      { name: 'CITY', weight: 2 },
+      { name: 'STATE', weight: 1 },
+      { name: 'ZIP', weight: 1 }
+    ], { aliases: this.placeNameAliases });
+    // k-d tree over the hospital coordinates, rebuilt on every load; see filterByDistance and findNearest
+    this.spatialIndex = new SpatialIndex();
+    this.distanceCache = { key: null, distances: new Map() }; // Hospital Id -> miles from the last reference point
+    this.maxUtilization = 0; // Highest UTILIZATION among the loaded hospitals, for the ranking's volume score
+    this.remoteHospitals = new Map(); // Hospital Id -> hospital fetched from the API in remote mode
   }
 
   /**
    * Load hospitals data from CSV file
+   * The file is parsed as it streams in and checked against the organizations
+   * schema; rejected rows are left out and listed in the data-quality report.
+   * In remote mode nothing is downloaded; the API server holds the hospitals
+   * @param {string|Object} source - URL of the hospitals CSV, or a custom data source
    * @returns {Promise} Promise that resolves when data is loaded
    */
-  async loadHospitalsData() {
+  async loadHospitalsData(source = this.hospitalsSource) {
+    if (this.apiUrl && typeof source === 'string') {
+      this.setHospitalsData([], null);
+      console.log(`Searching hospitals through the API at ${this.apiUrl}`);
+      return this.hospitalsData;
+    }
+
     try {
-      const response = await fetch('./data/organizations.csv');
-      const csvData = await response.text();
-      this.hospitalsData = this.parseCSV(csvData);
-      this.dataLoaded = true;
-      console.log(`Loaded ${this.hospitalsData.length} hospitals`);
+      let rows;
+      let parseErrors = [];
+      if (source && typeof source.load === 'function') {
+        rows = this.recordsToRows(await source.load());
+      } else {
+        const response = await fetch(source);
+        if (!response.ok) {
+          throw new Error(`Failed to load hospitals from ${source} (${response.status})`);
+        }
+        const parser = new CsvParser();
+        rows = response.body ? await parser.parseStream(response.body) : parser.parse(await response.text());
+        parseErrors = parser.errors;
+      }
+      const sourceName = typeof source === 'string' ? source : source.name || 'Imported dataset';
+      const { records, report } = this.validator.validate(rows, 'organizations', { source: sourceName, parseErrors });
+
+      this.setHospitalsData(records, report);
+      console.log(`Loaded ${this.hospitalsData.length} hospitals (${report.rejected.length} rows rejected)`);
       return this.hospitalsData;
     } catch (error) {
       console.error('Error loading hospitals data:', error);
@@ -28,25 +75,205 @@ class DataService {
     }
   }
 
+  /**
+   * Replace the loaded hospitals and rebuild everything derived from them
+   * @param {Array} records - Validated hospital records
+   * @param {Object|null} report - Data-quality report for them
+   */
+  setHospitalsData(records, report) {
+    this.hospitalsData = records;
+    this.hospitalIndex.build(records);
+    this.spatialIndex.build(records);
+    this.distanceCache = { key: null, distances: new Map() };
+    // A loop, not Math.max(...), which runs out of stack on a nationwide dataset
+    this.maxUtilization = records.reduce((max, hospital) => Math.max(max, hospital.UTILIZATION || 0), 0);
+    this.remoteHospitals = new Map();
+    this.dataQualityReport = report;
+    this.dataLoaded = true;
+  }
+
+  /**
+   * Whether hospitals are searched through the API instead of loaded into the browser
+   * Imported datasets are already in the browser, so they are always searched here.
+   * Views that summarize every hospital (analytics, the price distribution chart,
+   * the data-quality report) and hospital-name suggestions stay empty in remote mode.
+   * @returns {boolean} True in remote mode
+   */
+  isRemote() {
+    return Boolean(this.apiUrl) && typeof this.hospitalsSource === 'string';
+  }
+
+  /**
+   * Search hospitals through the API (remote mode)
+   * @param {Object} query - Parameters of GET /api/hospitals, see server/hospital-api.js
+   * @returns {Promise} Promise that resolves with {total, page, pageSize, pages, hospitals}
+   */
+  async fetchHospitals(query) {
+    const result = await this.requestApi('/hospitals', query);
+    result.hospitals.forEach(hospital => this.remoteHospitals.set(hospital.Id, hospital));
+    return result;
+  }
+
+  /**
+   * Fetch one hospital through the API (remote mode), unless it has been fetched already
+   * @param {string} id - Hospital Id
+   * @returns {Promise} Promise that resolves with the hospital, or null if the server doesn't have it
+   */
+  async fetchHospital(id) {
+    if (!this.remoteHospitals.has(id)) {
+      const hospital = await this.requestApi(`/hospitals/${encodeURIComponent(id)}`);
+      if (hospital) this.remoteHospitals.set(id, hospital);
+    }
+    return this.remoteHospitals.get(id) || null;
+  }
+
+  /**
+   * Make sure hospitals can be found with getHospitalById
+   * Locally they are all loaded already; in remote mode missing ones are fetched
+   * @param {Array} ids - Hospital Ids
+   * @returns {Promise} Promise that resolves once they are available; unknown Ids are skipped
+   */
+  async loadHospitals(ids) {
+    if (!this.isRemote()) return;
+    await Promise.all([...new Set(ids)].map(id => this.fetchHospital(id)));
+  }
+
+  /**
+   * Fetch published prices through the API (remote mode)
+   * @param {Object} query - Parameters of GET /api/prices, see server/hospital-api.js
+   * @returns {Promise} Promise that resolves with {procedure, stats, total, page, pageSize, pages, prices}
+   */
+  fetchPrices(query) {
+    return this.requestApi('/prices', query);
+  }
+
+  /**
+   * Fetch the specialties offered by at least one hospital through the API (remote mode)
+   * @returns {Promise} Promise that resolves with sorted specialty labels
+   */
+  async fetchSpecialties() {
+    const { specialties } = await this.requestApi('/specialties');
+    return specialties.map(specialty => specialty.label);
+  }
+
+  /**
+   * GET a path of the hospital API
+   * @param {string} path - Path under the API URL, e.g. '/hospitals'
+   * @param {Object} query - Query parameters; null, undefined and empty values are left out
+   * @returns {Promise} Promise that resolves with the parsed response, or null for a 404
+   */
+  async requestApi(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') params.set(key, value);
+    });
+    const url = `${this.apiUrl.replace(/\/$/, '')}${path}${params.toString() ? `?${params}` : ''}`;
+    const response = await fetch(url);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Hospital API request ${url} failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Turn plain records into the [{fields, line}] rows CsvParser produces, header row first
+   * Line numbers count the header as line 1, as they would in a CSV file
+   * @param {Array} records - Objects keyed by column name
+   * @returns {Array} Rows for DataValidator.validate
+   */
+  recordsToRows(records) {
+    const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return [
+      { fields: headers, line: 1 },
+      ...records.map((record, index) => ({
+        fields: headers.map(header => (record[header] === undefined || record[header] === null ? '' : String(record[header]))),
+        line: index + 2
+      }))
+    ];
+  }
+
+  /**
+   * Check CSV text against a schema without loading it
+   * @param {string} csvText - Raw CSV text
+   * @param {string} schemaName - Schema key, e.g. 'organizations'
+   * @returns {Object} {records, report}
+   */
+  validateCSV(csvText, schemaName = 'organizations') {
+    const parser = new CsvParser();
+    const rows = parser.parse(csvText);
+    return this.validator.validate(rows, schemaName, { parseErrors: parser.errors });
+  }
+
+  /**
+   * Get the data-quality report from the last hospitals load
+   * @returns {Object|null} Report from DataValidator.validate
+   */
+  getDataQualityReport() {
+    return this.dataQualityReport;
+  }
+
+  /**
+   * Load the disease/condition dataset
+   * A missing or broken file leaves disease search off rather than failing the app
+   * @param {string} source - URL of the disease CSV
+   * @returns {Promise} Promise that resolves with the loaded conditions
+   */
+  async loadDiseasesData(source = './data/diseases.csv') {
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to load disease data from ${source} (${response.status})`);
+      }
+      this.setDiseasesData(this.parseCSV(await response.text()));
+      console.log(`Loaded ${this.diseasesData.length} conditions`);
+    } catch (error) {
+      console.warn('Error loading disease data:', error);
+    }
+    return this.diseasesData;
+  }
+
+  /**
+   * Replace the disease dataset
+   * Rows have CONDITION, ICD10, PROCEDURES (catalog keys), SPECIALTIES and
+   * SYNONYMS columns; list columns are separated by semicolons
+   * @param {Array} rows - Parsed CSV rows
+   */
+  setDiseasesData(rows) {
+    const splitList = value => String(value || '').split(';').map(item => item.trim()).filter(Boolean);
+    this.diseasesData = rows
+      .filter(row => row.CONDITION)
+      .map(row => ({
+        condition: row.CONDITION.trim(),
+        icd10Codes: splitList(row.ICD10).map(code => code.toUpperCase()),
+        procedures: splitList(row.PROCEDURES),
+        specialties: splitList(row.SPECIALTIES),
+        synonyms: splitList(row.SYNONYMS)
+      }));
+  }
+
   /**
    * Parse CSV data into array of objects
    * @param {string} csvText - Raw CSV text
    * @returns {Array} Array of objects representing CSV rows
    */
   parseCSV(csvText) {
-    const lines = csvText.split('\n');
-    const headers = lines[0].split(',');
-    
-    return lines.slice(1).filter(line => line.trim() !== '').map(line => {
-      const values = this.parseCSVLine(line);
+    const [headerRow, ...rows] = new CsvParser().parse(csvText);
+    if (!headerRow) return [];
+    const headers = headerRow.fields.map(header => header.trim());
+
+    return rows.map(({ fields }) => {
       const entry = {};
       
       headers.forEach((header, index) => {
-        // Convert numeric values
+        // Convert numeric values; blanks stay 0 but unparseable values become null rather than 0
         if (['LAT', 'LON', 'REVENUE', 'UTILIZATION'].includes(header)) {
-          entry[header] = values[index] ? parseFloat(values[index]) : 0;
+          const value = (fields[index] || '').trim();
+          const number = Number(value);
+          entry[header] = value === '' ? 0 : (isFinite(number) ? number : null);
         } else {
-          entry[header] = values[index] || '';
+          entry[header] = fields[index] || '';
         }
       });
       
@@ -54,66 +281,190 @@ class DataService {
     });
   }
 
+  /**
+   * Parse CSV text into rows of values, header row included
+   * @param {string} csvText - Raw CSV text
+   * @returns {Array} Array of value arrays
+   */
+  parseCSVRows(csvText) {
+    return new CsvParser().parse(csvText).map(row => row.fields);
+  }
+
   /**
    * Parse a single CSV line, handling quoted values correctly
    * @param {string} line - CSV line to parse
    * @returns {Array} Array of values
    */
   parseCSVLine(line) {
-    const values = [];
-    let currentValue = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        values.push(currentValue);
-        currentValue = '';
-      } else {
-        currentValue += char;
-      }
-    }
-    
-    values.push(currentValue); // Add the last value
-    return values;
+    const [row] = new CsvParser().parse(line);
+    return row ? row.fields : [''];
+  }
+
+  /**
+   * Find a hospital by its Id
+   * In remote mode only hospitals fetched so far are found; see loadHospitals
+   * @param {string} id - Hospital Id
+   * @returns {Object|null} Hospital, or null if not found
+   */
+  getHospitalById(id) {
+    return this.hospitalsData.find(hospital => hospital.Id === id) || this.remoteHospitals.get(id) || null;
   }
 
   /**
    * Search hospitals by name, city, or state
+   * Every word must match, as a whole word, the start of one or with a typo
+   * ("liberty hospitl"); uses the index rather than scanning every hospital
    * @param {string} query - Search query
-   * @returns {Array} Filtered hospitals
+   * @param {Array} hospitals - Hospitals to search (defaults to all hospitals)
+   * @returns {Array} Filtered hospitals, best matches first when searching all hospitals
    */
-  searchHospitals(query) {
-    if (!query) return this.hospitalsData;
-    
-    const searchTerms = query.toLowerCase().split(' ');
-    
-    return this.hospitalsData.filter(hospital => {
-      const searchableText = `${hospital.NAME} ${hospital.CITY} ${hospital.STATE}`.toLowerCase();
-      return searchTerms.every(term => searchableText.includes(term));
-    });
+  searchHospitals(query, hospitals = this.hospitalsData) {
+    if (!query) return hospitals;
+    return this.filterByIndex(this.hospitalIndex.search(query, { fields: ['NAME', 'CITY', 'STATE'] }), hospitals);
   }
 
   /**
-   * Filter hospitals by location (city or state)
+   * Filter hospitals by location (city, state or ZIP code)
    * @param {string} location - Location to filter by
+   * @param {Array} hospitals - Hospitals to filter (defaults to all hospitals)
    * @returns {Array} Filtered hospitals
    */
-  filterByLocation(location) {
-    if (!location) return this.hospitalsData;
-    
-    const locationLower = location.toLowerCase();
-    
-    return this.hospitalsData.filter(hospital => 
-      hospital.CITY.toLowerCase().includes(locationLower) || 
-      hospital.STATE.toLowerCase().includes(locationLower) ||
-      hospital.ZIP.includes(locationLower)
+  filterByLocation(location, hospitals = this.hospitalsData) {
+    if (!location) return hospitals;
+    return this.filterByIndex(this.hospitalIndex.search(location, { fields: ['CITY', 'STATE', 'ZIP'] }), hospitals);
+  }
+
+  /**
+   * Keep the hospitals found by an index search
+   * @param {Array} matches - Results from SearchIndex.search
+   * @param {Array} hospitals - Hospitals to filter
+   * @returns {Array} Filtered hospitals
+   */
+  filterByIndex(matches, hospitals) {
+    if (hospitals === this.hospitalsData) return matches.map(match => match.document);
+    // Filtered lists may hold copies (with distances added), so compare by Id
+    const ids = new Set(matches.map(match => match.document.Id));
+    return hospitals.filter(hospital => ids.has(hospital.Id));
+  }
+
+  /**
+   * Filter hospitals to those that publish a price for a procedure
+   * @param {Array} hospitals - Hospitals to filter
+   * @param {string} procedure - Procedure key
+   * @returns {Array} Filtered hospitals
+   */
+  filterByProcedure(hospitals, procedure) {
+    return hospitals.filter(hospital => hospital.prices && hospital.prices[procedure]);
+  }
+
+  /**
+   * Find conditions matching free text: a name, a synonym or an ICD-10 code
+   * ("osteoarthritis", "torn acl", "M17.9", "M17")
+   * @param {string} query - Search query
+   * @returns {Array} Matching conditions, exact matches first
+   */
+  searchDiseases(query) {
+    return this.diseasesData
+      .map(disease => ({ disease, score: this.getDiseaseMatchScore(disease, query) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(match => match.disease);
+  }
+
+  /**
+   * Score how well a condition matches free text
+   * @param {Object} disease - Condition
+   * @param {string} query - Search query
+   * @returns {number} 2 for an exact name, synonym or code match, 1 when every word matches, otherwise 0
+   */
+  getDiseaseMatchScore(disease, query) {
+    const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+    const text = normalize(query);
+    if (!text) return 0;
+
+    const phrases = [disease.condition, ...disease.synonyms].map(normalize);
+    const code = text.toUpperCase();
+    if (phrases.includes(text) || disease.icd10Codes.includes(code)) return 2;
+    // A code category such as "M17" matches every code under it
+    if (/^[A-Z]\d{2}/.test(code) && disease.icd10Codes.some(c => c.startsWith(code))) return 1;
+
+    const words = new Set(phrases.join(' ').split(' '));
+    const tokens = text.split(' ');
+    const matches = token => words.has(token) || (token.length >= 4 && [...words].some(word => word.startsWith(token)));
+    return tokens.every(matches) ? 1 : 0;
+  }
+
+  /**
+   * Find hospitals that treat any of the given conditions: they publish a
+   * price for a related procedure or list a related specialty
+   * @param {Array} diseases - Conditions from searchDiseases
+   * @param {Array} hospitals - Hospitals to filter (defaults to all hospitals)
+   * @param {Function} getSpecialties - Returns a hospital's specialties
+   * @returns {Array} Filtered hospitals
+   */
+  getHospitalsForDiseases(diseases, hospitals = this.hospitalsData, getSpecialties = () => []) {
+    const procedures = new Set(diseases.flatMap(disease => disease.procedures));
+    const specialties = new Set(diseases.flatMap(disease => disease.specialties));
+
+    return hospitals.filter(hospital =>
+      [...procedures].some(procedure => hospital.prices && hospital.prices[procedure]) ||
+      getSpecialties(hospital).some(specialty => specialties.has(specialty))
     );
   }
 
+  /**
+   * Geocode a ZIP code or "City, ST" against the hospital data
+   * The point is the centroid of the hospitals in that ZIP or city
+   * @param {string} location - ZIP code or city, optionally followed by a state
+   * @returns {Object|null} {lat, lon, label}, or null if the location isn't in the data
+   */
+  geocodeLocation(location) {
+    const query = location.trim().toUpperCase();
+    if (!query) return null;
+
+    let matches;
+    let label;
+    const zip = query.match(/^\d{5}/);
+    if (zip) {
+      matches = this.hospitalsData.filter(hospital => String(hospital.ZIP).startsWith(zip[0]));
+      label = zip[0];
+    } else {
+      const [city, state] = query.split(',').map(part => part.trim());
+      const cityKey = this.normalizeCityName(city);
+      matches = this.hospitalsData.filter(hospital =>
+        this.normalizeCityName(hospital.CITY) === cityKey && (!state || hospital.STATE.toUpperCase() === state)
+      );
+      if (matches.length) {
+        const cityName = matches[0].CITY.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+        label = `${cityName}, ${matches[0].STATE}`;
+      }
+    }
+
+    const located = (matches || []).filter(hospital => hospital.LAT && hospital.LON);
+    if (located.length === 0) return null;
+
+    return {
+      lat: located.reduce((sum, hospital) => sum + hospital.LAT, 0) / located.length,
+      lon: located.reduce((sum, hospital) => sum + hospital.LON, 0) / located.length,
+      label
+    };
+  }
+
+  /**
+   * Normalize a city name so "St. Louis" and "SAINT LOUIS" compare equal
+   * @param {string} city - City name
+   * @returns {string} Normalized city name
+   */
+  normalizeCityName(city) {
+    return String(city || '')
+      .toUpperCase()
+      .replace(/[.']/g, '')
+      .replace(/^ST\b/, 'SAINT')
+      .replace(/^MT\b/, 'MOUNT')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   /**
    * Calculate distance between two coordinates using Haversine formula
    * @param {number} lat1 - Latitude of first point
@@ -154,22 +505,63 @@ class DataService {
    */
   filterByDistance(hospitals, referencePoint, maxDistance) {
     if (!referencePoint || !maxDistance) return hospitals;
-    
-    return hospitals.map(hospital => {
-      const distance = this.calculateDistance(
-        referencePoint.lat, 
-        referencePoint.lon, 
-        hospital.LAT, 
-        hospital.LON
-      );
-      
-      return { ...hospital, distance };
-    }).filter(hospital => hospital.distance <= maxDistance);
+
+    // The index finds the hospitals in range without measuring to every one
+    const distances = new Map();
+    const cached = this.getDistanceCache(referencePoint);
+    this.spatialIndex.within(referencePoint, maxDistance).forEach(({ item, distance }) => {
+      distances.set(item.Id, distance);
+      cached.set(item.Id, distance);
+    });
+
+    return hospitals
+      .filter(hospital => distances.has(hospital.Id))
+      .map(hospital => ({ ...hospital, distance: distances.get(hospital.Id) }));
+  }
+
+  /**
+   * Find the hospitals closest to a point
+   * @param {Object} point - Point {lat, lon}
+   * @param {number} count - Number of hospitals
+   * @param {Function} accept - Optional test a hospital must pass to be counted
+   * @returns {Array} [{hospital, distance}] nearest first
+   */
+  findNearest(point, count, accept) {
+    return this.spatialIndex.nearest(point, count, accept).map(({ item, distance }) => ({ hospital: item, distance }));
+  }
+
+  /**
+   * Distance from a reference point to a hospital
+   * Distances from the current reference point are kept, so sorting and
+   * rendering measure each hospital once rather than on every comparison
+   * @param {Object} referencePoint - Reference point {lat, lon}
+   * @param {Object} hospital - Hospital
+   * @returns {number} Distance in miles
+   */
+  getDistance(referencePoint, hospital) {
+    const cached = this.getDistanceCache(referencePoint);
+    let distance = cached.get(hospital.Id);
+    if (distance === undefined) {
+      distance = this.calculateDistance(referencePoint.lat, referencePoint.lon, hospital.LAT, hospital.LON);
+      cached.set(hospital.Id, distance);
+    }
+    return distance;
+  }
+
+  /**
+   * Get the kept distances for a reference point, starting afresh when the point changes
+   * @param {Object} referencePoint - Reference point {lat, lon}
+   * @returns {Map} Hospital Id -> distance in miles
+   */
+  getDistanceCache(referencePoint) {
+    const key = `${referencePoint.lat},${referencePoint.lon}`;
+    if (this.distanceCache.key !== key) this.distanceCache = { key, distances: new Map() };
+    return this.distanceCache.distances;
   }
 
   /**
    * Get user's current location
-   * @returns {Promise} Promise that resolves with {lat, lon}
+   * @returns {Promise} Promise that resolves with {lat, lon}, or null if access is denied
    */
   getUserLocation() {
     return new Promise((resolve, reject) => {
@@ -187,50 +579,12 @@ class DataService {
         },
         error => {
           console.warn('Error getting location:', error.message);
-          // Default to center of US if location access is denied
-          resolve({ lat: 39.8283, lon: -98.5795 });
+          // No reference point until the user enters a location
+          resolve(null);
         }
       );
     });
   }
-
-  /**
-   * Generate mock ratings for hospitals (since the CSV doesn't have ratings)
-   * This would be replaced with actual ratings data in a production environment
-   * @returns {void}
-   */
-  generateMockRatings() {
-    this.hospitalsData.forEach(hospital => {
-      // Generate a random rating between 3.0 and 5.0
-      hospital.rating = (3 + Math.random() * 2).toFixed(1);
-      // Generate a random number of reviews
-      hospital.reviews = Math.floor(50 + Math.random() * 300);
-    });
-  }
-
-  /**
-   * Generate mock cost data for hospitals (since the CSV doesn't have cost data)
-   * This would be replaced with actual cost data in a production environment
-   * @returns {void}
-   */
-  generateMockCostData() {
-    const procedures = {
-      'hip-replacement': { min: 10000, max: 25000 },
-      'knee-replacement': { min: 12000, max: 28000 },
-      'cardiac-bypass': { min: 30000, max: 60000 },
-      'mri': { min: 500, max: 3000 },
-      'physical-therapy': { min: 75, max: 200 }
-    };
-    
-    this.hospitalsData.forEach(hospital => {
-      hospital.costs = {};
-      
-      Object.keys(procedures).forEach(procedure => {
-        const range = procedures[procedure];
-        hospital.costs[procedure] = Math.floor(range.min + Math.random() * (range.max - range.min));
-      });
-    });
-  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,167 @@
+/**
+ * Data Validator for HealthCare Compass
+ * Checks parsed CSV records against a declared schema, converting values to
+ * their column types and building a data-quality report of rejected rows,
+ * coerced values and duplicate Ids
+ */
+
+class DataValidator {
+  constructor() {
+    // Column schemas by dataset. Types: string, number, zip, phone.
+    // Required columns must be present in the header and filled in on every row.
+    this.schemas = {
+      organizations: {
+        label: 'Hospitals (organizations.csv)',
+        idColumn: 'Id',
+        columns: {
+          Id: { type: 'string', required: true, unique: true },
+          NAME: { type: 'string', required: true },
+          ADDRESS: { type: 'string' },
+          CITY: { type: 'string', required: true },
+          STATE: { type: 'string', required: true, pattern: /^[A-Z]{2}$/, uppercase: true },
+          ZIP: { type: 'zip' },
+          LAT: { type: 'number', required: true, min: -90, max: 90 },
+          LON: { type: 'number', required: true, min: -180, max: 180 },
+          PHONE: { type: 'phone' },
+          REVENUE: { type: 'number', min: 0, defaultValue: 0 },
+          UTILIZATION: { type: 'number', min: 0, defaultValue: 0 }
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate parsed CSV records against a schema
+   * @param {Array} rows - [{fields, line}] from CsvParser, header row first
+   * @param {string} schemaName - Key into this.schemas
+   * @param {Object} options - {source, parseErrors}
+   * @returns {Object} {records, report}; records holds the accepted rows as typed objects
+   */
+  validate(rows, schemaName, { source = '', parseErrors = [] } = {}) {
+    const schema = this.schemas[schemaName];
+    if (!schema) throw new Error(`Unknown data schema "${schemaName}"`);
+
+    const [headerRow, ...dataRows] = rows;
+    const headers = headerRow ? headerRow.fields.map(header => header.trim()) : [];
+    const columnNames = Object.keys(schema.columns);
+    const report = {
+      schema: schemaName,
+      label: schema.label,
+      source,
+      checkedAt: new Date().toISOString(),
+      totalRows: dataRows.length,
+      acceptedRows: 0,
+      missingColumns: columnNames.filter(name => !headers.includes(name)),
+      unknownColumns: headers.filter(header => !schema.columns[header]),
+      parseErrors,
+      rejected: [], // [{line, id, reasons}]
+      coerced: [], // [{line, id, column, original, value, reason}]
+      duplicateIds: [] // [{id, lines}]
+    };
+
+    const records = [];
+    const firstLineById = new Map();
+    const duplicates = new Map();
+
+    dataRows.forEach(({ fields, line }) => {
+      const raw = {};
+      headers.forEach((header, index) => { raw[header] = fields[index] !== undefined ? fields[index] : ''; });
+      const id = schema.idColumn ? String(raw[schema.idColumn] || '').trim() : '';
+      const reasons = [];
+      const coercions = [];
+
+      if (fields.length !== headers.length) {
+        reasons.push(`Has ${fields.length} fields; the header has ${headers.length}`);
+      }
+
+      const record = {};
+      columnNames.forEach(column => {
+        const result = this.checkValue(raw[column], schema.columns[column], column);
+        if (result.error) reasons.push(result.error);
+        if (result.coerced) coercions.push({ line, id, column, original: raw[column], value: result.value, reason: result.coerced });
+        record[column] = result.value;
+      });
+      // Columns the schema doesn't know are passed through untouched
+      report.unknownColumns.forEach(column => { record[column] = raw[column]; });
+
+      const idColumn = schema.columns[schema.idColumn];
+      if (id && idColumn && idColumn.unique) {
+        if (firstLineById.has(id)) {
+          reasons.push(`Duplicate Id; first seen on line ${firstLineById.get(id)}`);
+          if (!duplicates.has(id)) duplicates.set(id, [firstLineById.get(id)]);
+          duplicates.get(id).push(line);
+        } else if (reasons.length === 0) {
+          firstLineById.set(id, line);
+        }
+      }
+
+      if (reasons.length) {
+        report.rejected.push({ line, id, name: raw.NAME || '', reasons });
+      } else {
+        report.coerced.push(...coercions);
+        records.push(record);
+      }
+    });
+
+    report.acceptedRows = records.length;
+    report.duplicateIds = [...duplicates].map(([id, lines]) => ({ id, lines }));
+    return { records, report };
+  }
+
+  /**
+   * Check and convert one value
+   * @param {string} rawValue - Value as read from the file
+   * @param {Object} rule - Column rule from the schema
+   * @param {string} column - Column name, for messages
+   * @returns {Object} {value, error, coerced}; error rejects the row, coerced describes a repaired value
+   */
+  checkValue(rawValue, rule, column) {
+    const text = String(rawValue === undefined || rawValue === null ? '' : rawValue).trim();
+
+    if (text === '') {
+      if (rule.required) return { value: rule.type === 'number' ? null : '', error: `${column} is required` };
+      return { value: rule.type === 'number' ? (rule.defaultValue !== undefined ? rule.defaultValue : null) : '' };
+    }
+
+    switch (rule.type) {
+      case 'number': {
+        const cleaned = text.replace(/[$,]/g, '');
+        const number = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(cleaned) ? Number(cleaned) : NaN;
+        if (!isFinite(number)) {
+          if (rule.required) return { value: null, error: `${column} "${text}" is not a number` };
+          return { value: rule.defaultValue !== undefined ? rule.defaultValue : null, coerced: 'Not a number; treated as not reported' };
+        }
+        if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+          const range = `${rule.min !== undefined ? rule.min : '-∞'} to ${rule.max !== undefined ? rule.max : '∞'}`;
+          if (rule.required) return { value: null, error: `${column} ${number} is outside ${range}` };
+          return { value: rule.defaultValue !== undefined ? rule.defaultValue : null, coerced: `Outside ${range}; treated as not reported` };
+        }
+        return { value: number, coerced: cleaned !== text ? 'Currency symbol or thousands separator removed' : null };
+      }
+      case 'zip': {
+        // Spreadsheets drop leading zeros, so 4- and 8-digit ZIPs get them back
+        const digits = text.replace(/\D/g, '');
+        const padded = digits.length === 4 || digits.length === 8 ? `0${digits}` : digits;
+        if (padded.length !== 5 && padded.length !== 9) return { value: '', coerced: 'Not a 5- or 9-digit ZIP code; left blank' };
+        if (padded === text) return { value: padded };
+        return { value: padded, coerced: padded.length > digits.length ? 'Restored leading zero' : 'Punctuation removed' };
+      }
+      case 'phone': {
+        const digits = text.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+        if (digits.length === 10) return { value: digits, coerced: digits !== text ? 'Punctuation removed' : null };
+        const first = text.match(/\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/);
+        if (first) return { value: first[0].replace(/\D/g, ''), coerced: 'More than one number listed; kept the first' };
+        return { value: '', coerced: 'Not a 10-digit phone number; left blank' };
+      }
+      default: {
+        const value = rule.uppercase ? text.toUpperCase() : text;
+        if (rule.pattern && !rule.pattern.test(value)) {
+          return { value, error: `${column} "${text}" is not in the expected format` };
+        }
+        return { value, coerced: value !== text ? 'Changed to upper case' : null };
+      }
+    }
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,556 @@
+/**
+ * Dataset Manager for HealthCare Compass
+ * Imports user-supplied hospital, rating and price files (CSV or JSON), maps
+ * their columns to the fields the app expects, stores them in IndexedDB and
+ * switches the app between datasets without a page reload. Routed as #/datasets.
+ */
+
+class DatasetManager {
+  /**
+   * @param {DataService} dataService - Data service that loads hospitals
+   * @param {DatasetStore} store - IndexedDB store for imported datasets
+   */
+  constructor(dataService, store) {
+    this.dataService = dataService;
+    this.store = store;
+    this.route = '#/datasets';
+    this.builtinName = 'Built-in Missouri data';
+    this.activeDataset = null; // {id, name, ...} of the imported dataset in use, null for the built-in data
+    this.pendingFiles = []; // Files dropped but not saved yet: [{name, kind, headers, records, mapping}]
+    this.datasets = [];
+    this.message = null; // {type: 'error'|'success', text}
+
+    // Where each service loads from when the built-in data is active
+    this.builtinSources = {
+      hospitals: dataService.hospitalsSource,
+      ratings: window.ratingsService ? window.ratingsService.source : null,
+      prices: window.priceService ? window.priceService.manifestUrl : null,
+      specialties: window.specialtyService ? window.specialtyService.source : null
+    };
+
+    // Importable file kinds and the fields their columns map to
+    const organizationColumns = dataService.validator.schemas.organizations.columns;
+    this.kinds = {
+      organizations: {
+        label: 'Hospitals',
+        fields: Object.keys(organizationColumns).map(name => ({ name, required: Boolean(organizationColumns[name].required) }))
+      },
+      ratings: {
+        label: 'Quality ratings',
+        fields: [
+          { name: 'Id', required: true },
+          { name: 'STAR_RATING', required: true },
+          { name: 'SURVEY_COUNT' },
+          { name: 'MEASURE_DATE' }
+        ]
+      },
+      prices: {
+        label: 'Prices',
+        fields: [
+          { name: 'Id', required: true },
+          { name: 'PROCEDURE' },
+          { name: 'CODE' },
+          { name: 'CODE_TYPE' },
+          { name: 'CASH_PRICE' },
+          { name: 'GROSS_CHARGE' },
+          { name: 'MIN_NEGOTIATED' },
+          { name: 'MAX_NEGOTIATED' },
+          { name: 'LAST_UPDATED' }
+        ]
+      }
+    };
+
+    // Column names (lowercase, letters and digits only) recognized for each field
+    this.fieldAliases = {
+      Id: ['id', 'ccn', 'providerid', 'facilityid', 'hospitalid', 'organizationid', 'npi'],
+      NAME: ['name', 'hospitalname', 'facilityname', 'organization', 'organizationname', 'providername'],
+      ADDRESS: ['address', 'address1', 'streetaddress', 'street'],
+      CITY: ['city', 'town'],
+      STATE: ['state', 'st'],
+      ZIP: ['zip', 'zipcode', 'zip5', 'postalcode'],
+      LAT: ['lat', 'latitude'],
+      LON: ['lon', 'lng', 'long', 'longitude'],
+      PHONE: ['phone', 'phonenumber', 'telephone'],
+      REVENUE: ['revenue', 'totalrevenue'],
+      UTILIZATION: ['utilization', 'encounters', 'volume', 'visits'],
+      STAR_RATING: ['starrating', 'rating', 'stars', 'overallrating', 'hospitaloverallrating'],
+      SURVEY_COUNT: ['surveycount', 'surveys', 'numberofcompletedsurveys'],
+      MEASURE_DATE: ['measuredate', 'measureenddate'],
+      PROCEDURE: ['procedure', 'procedurekey', 'procedurename', 'description', 'service'],
+      CODE: ['code', 'billingcode', 'cpt', 'hcpcs', 'drg'],
+      CODE_TYPE: ['codetype', 'billingcodetype'],
+      CASH_PRICE: ['cashprice', 'cash', 'discountedcash', 'standardchargediscountedcash', 'selfpay'],
+      GROSS_CHARGE: ['grosscharge', 'gross', 'standardchargegross'],
+      MIN_NEGOTIATED: ['minnegotiated', 'min', 'minimum', 'standardchargemin'],
+      MAX_NEGOTIATED: ['maxnegotiated', 'max', 'maximum', 'standardchargemax'],
+      LAST_UPDATED: ['lastupdated', 'lastupdatedon', 'updated']
+    };
+
+    // DOM elements
+    this.viewElement = document.getElementById('datasetManager');
+    this.indicatorElement = document.getElementById('datasetIndicator');
+    this.mainSections = document.querySelectorAll('[data-main-view]');
+
+    this.initEventListeners();
+  }
+
+  /**
+   * Listen for clicks, mapping changes and dropped files inside the view
+   */
+  initEventListeners() {
+    if (!this.viewElement) return;
+
+    this.viewElement.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-dataset-action]');
+      if (button) this.handleAction(button.dataset.datasetAction, button.dataset.datasetId, parseInt(button.dataset.fileIndex, 10));
+    });
+
+    this.viewElement.addEventListener('change', (e) => {
+      const target = e.target;
+      if (target.matches('input[type="file"]')) {
+        this.handleFiles(target.files);
+      } else if (target.dataset.fileKind !== undefined) {
+        const pending = this.pendingFiles[parseInt(target.dataset.fileKind, 10)];
+        pending.kind = target.value;
+        pending.mapping = this.guessMapping(pending.kind, pending.headers);
+        this.render();
+      } else if (target.dataset.mapField) {
+        this.pendingFiles[parseInt(target.dataset.fileIndex, 10)].mapping[target.dataset.mapField] = target.value;
+        this.render();
+      }
+    });
+
+    this.viewElement.addEventListener('dragover', (e) => {
+      if (!e.target.closest('.dataset-dropzone')) return;
+      e.preventDefault();
+      e.target.closest('.dataset-dropzone').classList.add('dragging');
+    });
+    this.viewElement.addEventListener('dragleave', (e) => {
+      const zone = e.target.closest('.dataset-dropzone');
+      if (zone) zone.classList.remove('dragging');
+    });
+    this.viewElement.addEventListener('drop', (e) => {
+      if (!e.target.closest('.dataset-dropzone')) return;
+      e.preventDefault();
+      this.handleFiles(e.dataTransfer.files);
+    });
+  }
+
+  /**
+   * Check whether a URL hash is the dataset manager route
+   * @param {string} hash - URL hash
+   * @returns {boolean} Whether the hash shows this view
+   */
+  isRoute(hash) {
+    return String(hash || '') === this.route;
+  }
+
+  /**
+   * Point the services at the dataset chosen last time, before the first load
+   * Falls back to the built-in data if the dataset is gone or IndexedDB is unavailable
+   * @returns {Promise} Promise that resolves once the sources are set
+   */
+  async restoreActiveDataset() {
+    const id = this.store.getActiveId();
+    if (id) {
+      try {
+        const dataset = await this.store.get(id);
+        if (dataset) {
+          this.applySources(dataset);
+        } else {
+          this.store.setActiveId(null);
+        }
+      } catch (error) {
+        console.warn('Could not open the stored dataset, using the built-in data:', error);
+      }
+    }
+    this.updateIndicator();
+  }
+
+  /**
+   * Point the data, ratings, price and specialty services at a dataset
+   * @param {Object|null} dataset - Stored dataset, or null for the built-in data
+   */
+  applySources(dataset) {
+    this.activeDataset = dataset ? { id: dataset.id, name: dataset.name } : null;
+    const sources = dataset ? {
+      hospitals: { name: dataset.name, load: async () => dataset.organizations },
+      ratings: { load: async () => dataset.ratings || [] },
+      prices: { name: dataset.name, load: async () => dataset.prices || [] },
+      // Imported datasets carry no specialty file, so every facility is classified from its name
+      specialties: { load: async () => [] }
+    } : this.builtinSources;
+
+    this.dataService.hospitalsSource = sources.hospitals;
+    if (window.ratingsService) window.ratingsService.source = sources.ratings;
+    if (window.priceService) window.priceService.manifestUrl = sources.prices;
+    if (window.specialtyService) window.specialtyService.source = sources.specialties;
+  }
+
+  /**
+   * Switch to a dataset and reload the search without reloading the page
+   * @param {string|null} id - Dataset id, or null for the built-in data
+   * @returns {Promise} Promise that resolves when the new data is shown
+   */
+  async activate(id) {
+    const dataset = id ? await this.store.get(id) : null;
+    if (id && !dataset) throw new Error('That dataset no longer exists');
+
+    this.applySources(dataset);
+    this.store.setActiveId(dataset ? dataset.id : null);
+    await window.hospitalService.reloadData();
+    this.updateIndicator();
+  }
+
+  /**
+   * Show which dataset is in use next to the search form
+   */
+  updateIndicator() {
+    if (!this.indicatorElement) return;
+    const name = this.activeDataset ? HtmlUtils.escape(this.activeDataset.name) : this.builtinName;
+    this.indicatorElement.innerHTML = `Data: ${name} &middot; <a href="${this.route}">Manage datasets</a>`;
+  }
+
+  /**
+   * Show the dataset manager
+   * @returns {Promise} Promise that resolves once the stored datasets are listed
+   */
+  async show() {
+    if (!this.viewElement) return;
+
+    this.viewElement.hidden = false;
+    this.mainSections.forEach(section => { section.hidden = true; });
+    document.title = 'Datasets - HealthCare Compass';
+    window.scrollTo(0, 0);
+    await this.refreshList();
+  }
+
+  /**
+   * Hide the dataset manager and show the search page again
+   */
+  hide() {
+    if (!this.viewElement || this.viewElement.hidden) return;
+    this.viewElement.hidden = true;
+    this.viewElement.innerHTML = '';
+    this.mainSections.forEach(section => { section.hidden = false; });
+    document.title = 'HealthCare Compass';
+  }
+
+  /**
+   * Reload the list of stored datasets and redraw
+   * @returns {Promise} Promise that resolves when the view is drawn
+   */
+  async refreshList() {
+    try {
+      this.datasets = await this.store.list();
+    } catch (error) {
+      this.datasets = [];
+      this.message = { type: 'error', text: `Imported datasets can't be stored in this browser: ${error.message}` };
+    }
+    this.render();
+  }
+
+  /**
+   * Run a button action
+   * @param {string} action - 'use', 'delete', 'remove-file', 'clear' or 'save'
+   * @param {string} id - Dataset id for 'use' and 'delete'
+   * @param {number} fileIndex - Pending file index for 'remove-file'
+   * @returns {Promise} Promise that resolves when the action is done
+   */
+  async handleAction(action, id, fileIndex) {
+    try {
+      switch (action) {
+        case 'use':
+          await this.activate(id || null);
+          this.message = { type: 'success', text: `Now showing ${this.activeDataset ? this.activeDataset.name : this.builtinName}.` };
+          break;
+        case 'delete':
+          if (!window.confirm('Delete this dataset? This cannot be undone.')) return;
+          await this.store.delete(id);
+          if (this.activeDataset && this.activeDataset.id === id) await this.activate(null);
+          this.message = { type: 'success', text: 'Dataset deleted.' };
+          break;
+        case 'remove-file':
+          this.pendingFiles.splice(fileIndex, 1);
+          break;
+        case 'clear':
+          this.pendingFiles = [];
+          break;
+        case 'save':
+          await this.save();
+          break;
+        default:
+          return;
+      }
+    } catch (error) {
+      console.error('Dataset action failed:', error);
+      this.message = { type: 'error', text: error.message };
+    }
+    await this.refreshList();
+  }
+
+  /**
+   * Read dropped or chosen files and queue them for mapping
+   * @param {FileList} files - Files from a drop or the file input
+   * @returns {Promise} Promise that resolves when every file is read
+   */
+  async handleFiles(files) {
+    for (const file of Array.from(files || [])) {
+      try {
+        const { headers, records } = this.parseFile(file.name, await file.text());
+        if (records.length === 0) throw new Error('no data rows found');
+        const kind = this.guessKind(headers);
+        this.pendingFiles.push({ name: file.name, kind, headers, records, mapping: this.guessMapping(kind, headers) });
+      } catch (error) {
+        this.message = { type: 'error', text: `Could not read ${file.name}: ${error.message}` };
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Parse a CSV or JSON file into headers and records
+   * JSON may be an array of objects or an object holding one
+   * @param {string} name - File name
+   * @param {string} text - File contents
+   * @returns {Object} {headers, records}
+   */
+  parseFile(name, text) {
+    const trimmed = text.trim();
+    if (name.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      const json = JSON.parse(trimmed);
+      const records = Array.isArray(json) ? json : (Object.values(json).find(Array.isArray) || []);
+      const objects = records.filter(record => record && typeof record === 'object');
+      return { headers: [...new Set(objects.flatMap(record => Object.keys(record)))], records: objects };
+    }
+
+    const [headerRow, ...rows] = new CsvParser().parse(text);
+    const headers = headerRow ? headerRow.fields.map(header => header.trim()) : [];
+    const records = rows.map(({ fields }) => {
+      const record = {};
+      headers.forEach((header, index) => { record[header] = fields[index] !== undefined ? fields[index] : ''; });
+      return record;
+    });
+    return { headers, records };
+  }
+
+  /**
+   * Reduce a column name to lowercase letters and digits for matching
+   * @param {string} header - Column name
+   * @returns {string} Normalized name
+   */
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Pick the file's column for each field of a kind
+   * @param {string} kind - File kind
+   * @param {Array} headers - File columns
+   * @returns {Object} Column name (or '' when unmapped) keyed by field
+   */
+  guessMapping(kind, headers) {
+    const mapping = {};
+    this.kinds[kind].fields.forEach(({ name }) => {
+      const candidates = [this.normalizeHeader(name), ...(this.fieldAliases[name] || [])];
+      mapping[name] = headers.find(header => candidates.includes(this.normalizeHeader(header))) || '';
+    });
+    return mapping;
+  }
+
+  /**
+   * Guess what a file holds from how many required fields its columns cover
+   * @param {Array} headers - File columns
+   * @returns {string} File kind
+   */
+  guessKind(headers) {
+    const scored = Object.keys(this.kinds).map(kind => {
+      const mapping = this.guessMapping(kind, headers);
+      const fields = this.kinds[kind].fields;
+      const required = fields.filter(field => field.required);
+      return {
+        kind,
+        required: required.filter(field => mapping[field.name]).length / required.length,
+        matched: fields.filter(field => mapping[field.name]).length
+      };
+    });
+    scored.sort((a, b) => b.required - a.required || b.matched - a.matched);
+    return scored[0].kind;
+  }
+
+  /**
+   * Rename a file's columns to the expected fields
+   * @param {Object} pending - Pending file
+   * @returns {Array} Records keyed by field; unmapped fields are left out
+   */
+  getMappedRecords(pending) {
+    const fields = Object.keys(pending.mapping).filter(field => pending.mapping[field]);
+    return pending.records.map(record => {
+      const mapped = {};
+      fields.forEach(field => { mapped[field] = record[pending.mapping[field]]; });
+      return mapped;
+    });
+  }
+
+  /**
+   * List what keeps a pending file from being imported
+   * @param {Object} pending - Pending file
+   * @returns {Array} Problem descriptions
+   */
+  getMappingProblems(pending) {
+    const problems = this.kinds[pending.kind].fields
+      .filter(field => field.required && !pending.mapping[field.name])
+      .map(field => `Choose a column for ${field.name}`);
+    if (pending.kind === 'prices' && !pending.mapping.PROCEDURE && !pending.mapping.CODE) {
+      problems.push('Choose a column for PROCEDURE or CODE');
+    }
+    return problems;
+  }
+
+  /**
+   * Store the pending files as a new dataset and switch to it
+   * @returns {Promise} Promise that resolves when the dataset is active
+   */
+  async save() {
+    const nameInput = this.viewElement.querySelector('#datasetName');
+    const name = nameInput ? nameInput.value.trim() : '';
+    if (!name) throw new Error('Give the dataset a name.');
+    if (!this.pendingFiles.some(pending => pending.kind === 'organizations')) {
+      throw new Error('Add a hospitals file; ratings and prices are optional.');
+    }
+    const problems = this.pendingFiles.flatMap(pending => this.getMappingProblems(pending).map(problem => `${pending.name}: ${problem}`));
+    if (problems.length) throw new Error(problems.join('. '));
+
+    const dataset = {
+      id: `dataset-${Date.now()}`,
+      name,
+      createdAt: new Date().toISOString(),
+      files: this.pendingFiles.map(pending => pending.name),
+      organizations: [],
+      ratings: [],
+      prices: []
+    };
+    this.pendingFiles.forEach(pending => dataset[pending.kind].push(...this.getMappedRecords(pending)));
+    dataset.counts = {
+      organizations: dataset.organizations.length,
+      ratings: dataset.ratings.length,
+      prices: dataset.prices.length
+    };
+
+    await this.store.put(dataset);
+    this.pendingFiles = [];
+    await this.activate(dataset.id);
+    this.message = { type: 'success', text: `Imported ${name} and switched to it.` };
+  }
+
+  /**
+   * Draw the view
+   */
+  render() {
+    if (!this.viewElement || this.viewElement.hidden) return;
+
+    const nameInput = this.viewElement.querySelector('#datasetName');
+    const pendingName = nameInput ? nameInput.value : '';
+    const activeId = this.activeDataset ? this.activeDataset.id : null;
+    const rows = [{ id: '', name: this.builtinName, counts: null, files: [] }, ...this.datasets].map(dataset => {
+      const isActive = (dataset.id || null) === activeId;
+      const counts = dataset.counts ?
+        `${dataset.counts.organizations.toLocaleString()} hospitals, ${dataset.counts.ratings.toLocaleString()} ratings, ${dataset.counts.prices.toLocaleString()} prices` :
+        'Missouri organizations, CMS ratings and published standard charges';
+      return `
+            <tr>
+              <td>${HtmlUtils.escape(dataset.name)}${isActive ? ' <span class="dataset-active">In use</span>' : ''}</td>
+              <td>${counts}${dataset.files.length ? `<div class="detail-codes">${dataset.files.map(file => HtmlUtils.escape(file)).join(', ')}</div>` : ''}</td>
+              <td class="dataset-actions">
+                ${isActive ? '' : `<button class="btn btn-outline" data-dataset-action="use" data-dataset-id="${HtmlUtils.escape(dataset.id)}">Use</button>`}
+                ${dataset.id ? `<button class="btn btn-outline" data-dataset-action="delete" data-dataset-id="${HtmlUtils.escape(dataset.id)}">Delete</button>` : ''}
+              </td>
+            </tr>`;
+    }).join('');
+
+    this.viewElement.innerHTML = `
+      <div class="container">
+        <a href="#hospital-search-card" class="detail-back"><i class="fas fa-arrow-left"></i> Back to search</a>
+        ${this.message ? `<div class="dataset-message ${this.message.type}">${HtmlUtils.escape(this.message.text)}</div>` : ''}
+
+        <div class="card detail-card">
+          <h3>Datasets</h3>
+          <div class="table-wrapper">
+            <table class="detail-table">
+              <thead>
+                <tr><th>Name</th><th>Contents</th><th></th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        </div>
+
+        <div class="card detail-card">
+          <h3>Import a Dataset</h3>
+          <label class="dataset-dropzone">
+            <i class="fas fa-file-upload"></i>
+            <span>Drop hospital, rating and price files here (CSV or JSON), or click to choose them</span>
+            <input type="file" accept=".csv,.json,text/csv,application/json" multiple hidden>
+          </label>
+          ${this.pendingFiles.map((pending, index) => this.createMappingHTML(pending, index)).join('')}
+          ${this.pendingFiles.length ? `
+          <div class="dataset-save">
+            <input type="text" class="form-control" id="datasetName" placeholder="Dataset name, e.g. Kansas 2025" value="${HtmlUtils.escape(pendingName)}">
+            <button class="btn btn-primary" data-dataset-action="save">Import and use</button>
+            <button class="btn btn-outline" data-dataset-action="clear">Cancel</button>
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+    this.message = null;
+  }
+
+  /**
+   * Build the column-mapping form for a pending file
+   * @param {Object} pending - Pending file
+   * @param {number} index - Position in pendingFiles
+   * @returns {string} HTML
+   */
+  createMappingHTML(pending, index) {
+    const kind = this.kinds[pending.kind];
+    const problems = this.getMappingProblems(pending);
+    const columnOptions = selected => ['', ...pending.headers]
+      .map(header => `<option value="${HtmlUtils.escape(header)}"${header === selected ? ' selected' : ''}>${header ? HtmlUtils.escape(header) : '(not in file)'}</option>`)
+      .join('');
+
+    return `
+          <div class="dataset-file">
+            <div class="dataset-file-header">
+              <strong>${HtmlUtils.escape(pending.name)}</strong>
+              <span>${pending.records.length.toLocaleString()} rows</span>
+              <select class="form-control" data-file-kind="${index}">
+                ${Object.entries(this.kinds).map(([key, value]) => `<option value="${key}"${key === pending.kind ? ' selected' : ''}>${value.label}</option>`).join('')}
+              </select>
+              <button class="btn btn-outline" data-dataset-action="remove-file" data-file-index="${index}">Remove</button>
+            </div>
+            <div class="dataset-mapping">
+              ${kind.fields.map(field => `
+                <label>
+                  <span>${field.name}${field.required ? ' *' : ''}</span>
+                  <select class="form-control" data-file-index="${index}" data-map-field="${field.name}">${columnOptions(pending.mapping[field.name])}</select>
+                </label>`).join('')}
+            </div>
+            <p class="detail-note">${problems.length ? HtmlUtils.escape(problems.join('. ')) : this.createPreviewText(pending)}</p>
+          </div>`;
+  }
+
+  /**
+   * Summarize how a mapped file will load
+   * Hospitals files are run through the same schema checks as a real load
+   * @param {Object} pending - Pending file
+   * @returns {string} Text
+   */
+  createPreviewText(pending) {
+    if (pending.kind !== 'organizations') return `${pending.records.length.toLocaleString()} rows ready to import.`;
+    const { report } = this.dataService.validator.validate(this.dataService.recordsToRows(this.getMappedRecords(pending)), 'organizations');
+    return `${report.acceptedRows.toLocaleString()} of ${report.totalRows.toLocaleString()} hospitals pass the schema checks` +
+      (report.rejected.length ? `; ${report.rejected.length.toLocaleString()} will be left out (see the Data Quality Report after importing).` : '.');
+  }
+}
+
+// Will be initialized in main.js
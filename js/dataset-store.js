@@ -0,0 +1,125 @@
+/**
+ * Dataset Store for HealthCare Compass
+ * Keeps imported hospital datasets in IndexedDB and remembers which one is active
+ */
+
+class DatasetStore {
+  /**
+   * @param {string} dbName - IndexedDB database name
+   */
+  constructor(dbName = 'healthcare-compass') {
+    this.dbName = dbName;
+    this.storeName = 'datasets';
+    this.activeKey = 'activeDataset'; // localStorage key holding the active dataset id
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise} Promise that resolves with the IDBDatabase
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again rather than caching the failure
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+   * @returns {Promise} Promise that resolves with the request result
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * List the stored datasets without their records
+   * @returns {Promise} Promise that resolves with [{id, name, createdAt, counts, files}]
+   */
+  async list() {
+    const datasets = await this.run('readonly', store => store.getAll());
+    return datasets
+      .map(({ id, name, createdAt, counts, files }) => ({ id, name, createdAt, counts, files }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Read a dataset with its records
+   * @param {string} id - Dataset id
+   * @returns {Promise} Promise that resolves with the dataset, or null if it doesn't exist
+   */
+  async get(id) {
+    return (await this.run('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Add or replace a dataset
+   * @param {Object} dataset - {id, name, createdAt, counts, files, organizations, ratings, prices}
+   * @returns {Promise} Promise that resolves when the dataset is stored
+   */
+  async put(dataset) {
+    await this.run('readwrite', store => store.put(dataset));
+  }
+
+  /**
+   * Delete a dataset
+   * @param {string} id - Dataset id
+   * @returns {Promise} Promise that resolves when the dataset is gone
+   */
+  async delete(id) {
+    await this.run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Get the active dataset id
+   * @returns {string|null} Dataset id, or null for the built-in data
+   */
+  getActiveId() {
+    try {
+      return localStorage.getItem(this.activeKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the active dataset id
+   * @param {string|null} id - Dataset id, or null for the built-in data
+   */
+  setActiveId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(this.activeKey, id);
+      } else {
+        localStorage.removeItem(this.activeKey);
+      }
+    } catch (error) {
+      console.warn('Could not save the active dataset:', error);
+    }
+  }
+}
+
+// Will be initialized in main.js
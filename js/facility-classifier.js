@@ -0,0 +1,70 @@
+/**
+ * Facility Classifier for HealthCare Compass
+ * Infers a facility type (acute hospital, urgent care, rehab, nursing, clinic)
+ * from the organization name when the specialty data file does not list one
+ */
+
+class FacilityClassifier {
+  constructor() {
+    // Display labels, in the order they appear in the facility type filters
+    this.types = {
+      'acute-hospital': 'Acute Care Hospital',
+      'urgent-care': 'Urgent Care',
+      rehab: 'Rehabilitation',
+      nursing: 'Nursing & Long-Term Care',
+      clinic: 'Clinic',
+      other: 'Other Facility'
+    };
+
+    // Checked in order; the first matching pattern wins. Home health and hospice come
+    // first because they often carry a hospital's name, and "X Care & Rehabilitation
+    // Center" is a skilled nursing facility rather than a rehab hospital.
+    this.rules = [
+      { type: 'other', pattern: /\b(HOSPICE|HOME HEALTH|HOME CARE|HOMECARE|AT HOME|CARETENDERS)\b/ },
+      { type: 'urgent-care', pattern: /\b(URGENT|WALK[- ]IN|CONVENIENT CARE|IMMEDIATE CARE|EXPRESS CARE)\b/ },
+      { type: 'clinic', pattern: /\b(PRIMARY CARE|FAMILY CARE|FAMILY MEDICINE|FAMILY PRACTICE|PC|P\.C\.)(\b|$)/ },
+      {
+        type: 'nursing',
+        pattern: /\b(NURSING|SKILLED|LONG[- ]TERM CARE|EXTENDED CARE|ASSISTED LIVING|SENIOR|RETIREMENT|MANOR|GARDENS|LIVING CENTER|CARE CENTER|HEALTH ?CARE CENTER|HEALTH ?CARE FACILITY|CONVALESCENT|VILLAGE|COMMUNITIES)\b|(\bAND|&) REHAB(ILITATION)?\b|\bHOMES?( INC)?$/
+      },
+      { type: 'rehab', pattern: /\bREHAB(ILITATION)?\b/ },
+      { type: 'acute-hospital', pattern: /\b(HOSPITALS?|MEDICAL CENTERS?|REGIONAL HEALTH ?CARE|HEALTH ?CARE SYSTEM|HEALTH SYSTEM)\b/ },
+      {
+        type: 'clinic',
+        pattern: /\b(CLINICS?|HEALTH CENTERS?|COMMUNITY HEALTH|FAMILY HEALTH|INTERNAL MEDICINE|PEDIATRICS|PHYSICIANS?|MEDICAL (CARE|ARTS|GROUP|ASSOCIATES|ASSOCIATION|OFFICE)|CBOC|OUTPATIENT|WELLNESS|MD|DO)\b/
+      }
+    ];
+  }
+
+  /**
+   * Infer a facility type from an organization name
+   * Names that match no rule are classed as "other" rather than guessed
+   * @param {string} name - Organization name
+   * @returns {string} Facility type key
+   */
+  classify(name) {
+    const normalized = (name || '').toUpperCase().replace(/\s+/g, ' ');
+    const rule = this.rules.find(candidate => candidate.pattern.test(normalized));
+    return rule ? rule.type : 'other';
+  }
+
+  /**
+   * Check a facility type key
+   * @param {string} type - Facility type key
+   * @returns {boolean} Whether the key is known
+   */
+  isType(type) {
+    return Object.prototype.hasOwnProperty.call(this.types, type);
+  }
+
+  /**
+   * Get the display label for a facility type
+   * @param {string} type - Facility type key
+   * @returns {string} Label
+   */
+  getLabel(type) {
+    return this.types[type] || this.types.other;
+  }
+}
+
+// Will be initialized in main.js
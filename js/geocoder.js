@@ -0,0 +1,189 @@
+/**
+ * Geocoder for HealthCare Compass
+ * Resolves ZIP codes and city names to coordinates using a bundled offline
+ * gazetteer of ZIP code centroids (Missouri and its neighbouring states).
+ * City centroids are the mean of the city's ZIP centroids. Each ZIP also
+ * records the county its centroid falls in.
+ */
+
+class Geocoder {
+  /**
+   * @param {DataService} dataService - Data service used for CSV parsing and hospital-data fallback
+   * @param {string} source - URL of the ZIP centroid CSV (ZIP,CITY,STATE,LAT,LON,COUNTY)
+   */
+  constructor(dataService, source = './data/gazetteer/zips.csv') {
+    this.dataService = dataService;
+    this.source = source;
+    this.zipIndex = new Map();
+    this.cityIndex = new Map();
+    // Word index over cities and ZIP codes for location autocomplete
+    this.placeIndex = new SearchIndex([
+      { name: 'city', weight: 3 },
+      { name: 'zip', weight: 2 },
+      { name: 'state', weight: 1 }
+    ], { aliases: dataService.placeNameAliases });
+    this.loaded = false;
+  }
+
+  /**
+   * Load the gazetteer and build the ZIP and city indexes
+   * @returns {Promise} Promise that resolves when the gazetteer is loaded
+   */
+  async load() {
+    try {
+      const response = await fetch(this.source);
+      if (!response.ok) {
+        throw new Error(`Failed to load gazetteer from ${this.source} (${response.status})`);
+      }
+      const rows = this.dataService.parseCSV(await response.text());
+      this.buildIndexes(rows);
+      this.loaded = true;
+      console.log(`Loaded ${this.zipIndex.size} ZIP codes and ${this.cityIndex.size} cities`);
+    } catch (error) {
+      // Geocoding still works against the hospital data, just with less coverage
+      console.warn('Error loading gazetteer:', error);
+    }
+  }
+
+  /**
+   * Build lookup indexes from gazetteer rows
+   * @param {Array} rows - Parsed gazetteer rows
+   */
+  buildIndexes(rows) {
+    this.zipIndex = new Map();
+    const cityTotals = new Map();
+
+    rows.forEach(row => {
+      if (!row.ZIP || !row.LAT || !row.LON) return;
+      this.zipIndex.set(row.ZIP, { lat: row.LAT, lon: row.LON, city: row.CITY, state: row.STATE, county: row.COUNTY || '' });
+
+      const key = this.getCityKey(row.CITY, row.STATE);
+      const totals = cityTotals.get(key) || { city: row.CITY, state: row.STATE, lat: 0, lon: 0, zipCount: 0 };
+      totals.lat += row.LAT;
+      totals.lon += row.LON;
+      totals.zipCount++;
+      cityTotals.set(key, totals);
+    });
+
+    this.cityIndex = new Map();
+    cityTotals.forEach((totals, key) => {
+      this.cityIndex.set(key, {
+        city: totals.city,
+        state: totals.state,
+        lat: totals.lat / totals.zipCount,
+        lon: totals.lon / totals.zipCount,
+        zipCount: totals.zipCount
+      });
+    });
+
+    // Larger cities first, so they win ties in the suggestions
+    const cities = [...this.cityIndex.values()]
+      .sort((a, b) => b.zipCount - a.zipCount)
+      .map(entry => ({ type: 'City', label: `${entry.city}, ${entry.state}`, city: entry.city, state: entry.state }));
+    const zips = [...this.zipIndex].map(([zip, entry]) => ({ type: 'ZIP', label: `${zip} (${entry.city}, ${entry.state})`, value: zip, zip }));
+    this.placeIndex.build([...cities, ...zips]);
+  }
+
+  /**
+   * Suggest cities and ZIP codes for partly typed location text
+   * @param {string} text - Location text, e.g. "kansas ci" or "641"
+   * @param {number} limit - Most suggestions to return
+   * @returns {Array} [{html, value, type}]; html has the matched words marked
+   */
+  suggest(text, limit = 6) {
+    return this.placeIndex.search(text, { limit }).map(({ document }) => ({
+      html: this.placeIndex.highlight(document.label, text),
+      value: document.value || document.label,
+      type: document.type
+    }));
+  }
+
+  /**
+   * Geocode a ZIP code ("63119", "63119-5001") or city ("Kansas City, MO", "Kansas City MO", "Liberty")
+   * @param {string} location - Location text
+   * @returns {Object|null} {lat, lon, label, type}, or null if the location is not recognized
+   */
+  geocode(location) {
+    const text = String(location || '').trim();
+    if (!text) return null;
+
+    const zip = text.match(/^(\d{5})(?:-?\d{4})?$/);
+    const point = zip ? this.geocodeZip(zip[1]) : this.geocodeCity(text);
+    if (point) return point;
+
+    // Fall back to the centroid of matching hospitals in the loaded dataset
+    const fallback = this.dataService.geocodeLocation(text);
+    return fallback ? { ...fallback, type: zip ? 'zip' : 'city' } : null;
+  }
+
+  /**
+   * Look up a 5-digit ZIP code
+   * @param {string} zip - ZIP code
+   * @returns {Object|null} Geocoded point
+   */
+  geocodeZip(zip) {
+    const entry = this.zipIndex.get(zip);
+    if (!entry) return null;
+    return { lat: entry.lat, lon: entry.lon, label: `${zip} (${entry.city}, ${entry.state})`, type: 'zip' };
+  }
+
+  /**
+   * Look up a city, with or without a trailing 2-letter state code
+   * Without a state, cities in states covered by the hospital data win, then larger cities
+   * @param {string} text - City text
+   * @returns {Object|null} Geocoded point
+   */
+  geocodeCity(text) {
+    const match = text.match(/^(.+?)[,\s]+([A-Za-z]{2})$/);
+    let candidates = [];
+
+    if (match) {
+      const entry = this.cityIndex.get(this.getCityKey(match[1], match[2]));
+      if (entry) candidates = [entry];
+    }
+
+    if (candidates.length === 0) {
+      const cityName = this.dataService.normalizeCityName(text.replace(/,.*$/, ''));
+      const dataStates = new Set(this.dataService.hospitalsData.map(hospital => hospital.STATE));
+      candidates = [...this.cityIndex.values()]
+        .filter(entry => this.dataService.normalizeCityName(entry.city) === cityName)
+        .sort((a, b) => (dataStates.has(b.state) - dataStates.has(a.state)) || (b.zipCount - a.zipCount));
+    }
+
+    const entry = candidates[0];
+    if (!entry) return null;
+    return { lat: entry.lat, lon: entry.lon, label: `${entry.city}, ${entry.state}`, type: 'city' };
+  }
+
+  /**
+   * Get the county a ZIP code's centroid falls in
+   * @param {string} zip - 5- or 9-digit ZIP code
+   * @returns {string} County name, or '' if unknown
+   */
+  getCounty(zip) {
+    const entry = this.zipIndex.get(String(zip || '').replace(/\D/g, '').slice(0, 5));
+    return entry ? entry.county : '';
+  }
+
+  /**
+   * Set hospital.COUNTY from each hospital's ZIP code
+   * @param {Array} hospitals - Hospitals to update in place
+   */
+  applyCounties(hospitals) {
+    hospitals.forEach(hospital => {
+      hospital.COUNTY = this.getCounty(hospital.ZIP);
+    });
+  }
+
+  /**
+   * Build the city index key
+   * @param {string} city - City name
+   * @param {string} state - State code
+   * @returns {string} Index key
+   */
+  getCityKey(city, state) {
+    return `${this.dataService.normalizeCityName(city)}|${String(state || '').trim().toUpperCase()}`;
+  }
+}
+
+// Will be initialized in main.js
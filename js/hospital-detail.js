@@ -0,0 +1,299 @@
+/**
+ * Hospital Detail View for HealthCare Compass
+ * Renders the detail page for a single hospital, routed as #/hospital/<id>
+ */
+
+class HospitalDetailView {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {HospitalService} hospitalService - Hospital service with the current search state
+   */
+  constructor(dataService, hospitalService) {
+    this.dataService = dataService;
+    this.hospitalService = hospitalService;
+    this.nearbyCount = 5;
+
+    // DOM elements
+    this.detailElement = document.getElementById('hospitalDetail');
+    this.mainSections = document.querySelectorAll('[data-main-view]');
+  }
+
+  /**
+   * Build the route for a hospital
+   * @param {string} hospitalId - Hospital Id
+   * @returns {string} URL hash
+   */
+  static getRoute(hospitalId) {
+    return `#/hospital/${encodeURIComponent(hospitalId)}`;
+  }
+
+  /**
+   * Extract the hospital Id from a URL hash
+   * @param {string} hash - URL hash
+   * @returns {string|null} Hospital Id, or null if the hash isn't a detail route
+   */
+  static parseRoute(hash) {
+    const match = String(hash || '').match(/^#\/hospital\/([^/?]+)/);
+    if (!match) return null;
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      // A malformed escape like %E0%A4%A names no hospital; keep it as typed so the not-found page shows it
+      return match[1];
+    }
+  }
+
+  /**
+   * Show the detail page for a hospital
+   * In remote mode a hospital that hasn't been in the results is fetched first
+   * @param {string} hospitalId - Hospital Id
+   * @returns {Promise} Promise that resolves once the page is drawn
+   */
+  async show(hospitalId) {
+    if (!this.detailElement) return;
+
+    let hospital = null;
+    let alternatives = [];
+    try {
+      await this.dataService.loadHospitals([hospitalId]);
+      hospital = this.dataService.getHospitalById(hospitalId);
+      if (hospital) alternatives = await this.getNearbyAlternatives(hospital, this.nearbyCount);
+    } catch (error) {
+      console.error('Error loading hospital:', error);
+    }
+    // The user may have moved on while the hospital was being fetched
+    if (HospitalDetailView.parseRoute(window.location.hash) !== hospitalId) return;
+
+    this.detailElement.innerHTML = hospital ? this.createDetailHTML(hospital, alternatives) : this.createNotFoundHTML(hospitalId);
+    this.detailElement.hidden = false;
+    this.mainSections.forEach(section => { section.hidden = true; });
+    document.title = hospital ? `${hospital.NAME} - HealthCare Compass` : 'Hospital not found - HealthCare Compass';
+    window.scrollTo(0, 0);
+
+    const backButton = this.detailElement.querySelector('#detailBackBtn');
+    if (backButton) {
+      backButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.close();
+      });
+    }
+  }
+
+  /**
+   * Hide the detail page and show the search page again
+   */
+  hide() {
+    if (!this.detailElement) return;
+    this.detailElement.hidden = true;
+    this.detailElement.innerHTML = '';
+    this.mainSections.forEach(section => { section.hidden = false; });
+    document.title = 'HealthCare Compass';
+  }
+
+  /**
+   * Leave the detail page, returning to the results when the user came from them
+   */
+  close() {
+    if (window.history.length > 1 && this.cameFromApp) {
+      window.history.back();
+    } else {
+      window.location.hash = '#hospital-search-card';
+    }
+  }
+
+  /**
+   * Build the detail page markup
+   * @param {Object} hospital - Hospital
+   * @param {Array} alternatives - Nearby alternatives from getNearbyAlternatives
+   * @returns {string} HTML
+   */
+  createDetailHTML(hospital, alternatives) {
+    const referencePoint = this.hospitalService.referencePoint;
+    const distanceText = referencePoint ?
+      `${this.dataService.getDistance(referencePoint, hospital).toFixed(1)} miles from ${HtmlUtils.escape(referencePoint.label || 'your location')}` :
+      'Enter a location in the search to see the distance';
+
+    return `
+      <div class="container">
+        <a href="#hospital-search-card" class="detail-back" id="detailBackBtn"><i class="fas fa-arrow-left"></i> Back to results</a>
+        <div class="card detail-card">
+          <div class="detail-header">
+            <div>
+              <h2>${HtmlUtils.escape(hospital.NAME)}</h2>
+              <p class="detail-address">
+                <i class="fas fa-map-marker-alt"></i>
+                ${HtmlUtils.escape(hospital.ADDRESS)}, ${HtmlUtils.escape(hospital.CITY)}, ${HtmlUtils.escape(hospital.STATE)} ${HtmlUtils.escape(this.formatZip(hospital.ZIP))}
+              </p>
+            </div>
+            <div class="detail-header-actions">
+              ${this.hospitalService.createRatingBadge(hospital)}
+              ${window.savedItemsView ? window.savedItemsView.createWatchButton(hospital) : ''}
+            </div>
+          </div>
+          <div class="detail-facts">
+            <div class="detail-fact">
+              <span class="detail-fact-label">Phone</span>
+              <span>${hospital.PHONE ? `<a href="tel:${HtmlUtils.escape(hospital.PHONE)}">${HtmlUtils.escape(this.formatPhone(hospital.PHONE))}</a>` : 'Not listed'}</span>
+            </div>
+            <div class="detail-fact">
+              <span class="detail-fact-label">Distance</span>
+              <span>${distanceText}</span>
+            </div>
+            <div class="detail-fact">
+              <span class="detail-fact-label">Revenue</span>
+              <span>${hospital.REVENUE > 0 ? `$${Math.round(hospital.REVENUE).toLocaleString()}` : 'Not reported'}</span>
+            </div>
+            <div class="detail-fact">
+              <span class="detail-fact-label">Utilization</span>
+              <span>${HtmlUtils.escape(hospital.UTILIZATION.toLocaleString())} encounters</span>
+            </div>
+          </div>
+          <div class="hospital-specialties">
+            ${this.hospitalService.createFacilityTypeTag(hospital)}
+            ${this.hospitalService.createSpecialtyTags(hospital)}
+          </div>
+        </div>
+
+        <div class="card detail-card">
+          <h3>Procedure Prices</h3>
+          ${this.createPriceTable(hospital)}
+        </div>
+
+        <div class="card detail-card">
+          <h3>Nearby Alternatives</h3>
+          ${this.createNearbyList(alternatives)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the price table covering every catalog procedure
+   * @param {Object} hospital - Hospital
+   * @returns {string} HTML
+   */
+  createPriceTable(hospital) {
+    const formatAmount = amount => (amount === null ? '—' : `$${Math.round(amount).toLocaleString()}`);
+    const rows = window.procedureCatalog.getAll().map(procedure => {
+      const price = hospital.prices ? hospital.prices[procedure.key] : null;
+      if (!price) {
+        return `
+          <tr>
+            <td>${HtmlUtils.escape(procedure.name)}</td>
+            <td colspan="4" class="cost-unpublished">Price not published</td>
+          </tr>`;
+      }
+      const range = price.minNegotiated !== null ?
+        `${formatAmount(price.minNegotiated)} – ${formatAmount(price.maxNegotiated)}` : '—';
+      return `
+        <tr>
+          <td>${HtmlUtils.escape(procedure.name)}<div class="detail-codes">${HtmlUtils.escape(price.codes.join(', '))}</div></td>
+          <td>${formatAmount(price.discountedCash)}</td>
+          <td>${range}</td>
+          <td>${formatAmount(price.grossCharge)}</td>
+          <td class="detail-source">${HtmlUtils.escape(price.source)}${price.lastUpdated ? `<br>Updated ${HtmlUtils.escape(price.lastUpdated)}` : ''}</td>
+        </tr>`;
+    }).join('');
+
+    return `
+      <div class="table-wrapper">
+        <table class="detail-table">
+          <thead>
+            <tr>
+              <th>Procedure</th>
+              <th>Cash Price</th>
+              <th>Negotiated Range</th>
+              <th>Gross Charge</th>
+              <th>Source</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the list of nearby alternatives
+   * @param {Array} alternatives - [{hospital, distance}] nearest first
+   * @returns {string} HTML
+   */
+  createNearbyList(alternatives) {
+    const procedure = this.hospitalService.currentProcedure;
+    if (alternatives.length === 0) {
+      return '<p class="detail-empty">No other facilities found nearby.</p>';
+    }
+
+    return `
+      <ul class="detail-nearby">
+        ${alternatives.map(({ hospital: alternative, distance }) => {
+          const cost = this.hospitalService.getProcedureCost(alternative, procedure);
+          const costText = cost === null ? 'Price not published' :
+            `${HtmlUtils.escape(window.procedureCatalog.getDisplayName(procedure))}: $${Math.round(cost).toLocaleString()}`;
+          return `
+            <li>
+              <a href="${HtmlUtils.escape(HospitalDetailView.getRoute(alternative.Id))}">${HtmlUtils.escape(alternative.NAME)}</a>
+              <span>${distance.toFixed(1)} miles away • ${HtmlUtils.escape(alternative.CITY)} • ${costText}</span>
+            </li>`;
+        }).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Find the closest other facilities, skipping other records at the same address
+   * @param {Object} hospital - Hospital
+   * @param {number} count - Number of alternatives
+   * @returns {Promise} Promise that resolves with [{hospital, distance}] nearest first
+   */
+  async getNearbyAlternatives(hospital, count) {
+    const point = { lat: hospital.LAT, lon: hospital.LON };
+    const isAlternative = other =>
+      other.Id !== hospital.Id && !(other.NAME === hospital.NAME && other.ADDRESS === hospital.ADDRESS);
+    if (!this.dataService.isRemote()) return this.dataService.findNearest(point, count, isAlternative);
+
+    // Ask for a few extra to make up for the hospital itself and others at its address
+    const { hospitals } = await this.dataService.fetchHospitals({ ...point, sort: 'distance', pageSize: count * 2 });
+    return hospitals.filter(isAlternative).slice(0, count).map(other => ({ hospital: other, distance: other.distance }));
+  }
+
+  /**
+   * Build the page shown for an unknown hospital Id
+   * @param {string} hospitalId - Requested Id
+   * @returns {string} HTML
+   */
+  createNotFoundHTML(hospitalId) {
+    return `
+      <div class="container">
+        <a href="#hospital-search-card" class="detail-back" id="detailBackBtn"><i class="fas fa-arrow-left"></i> Back to results</a>
+        <div class="card detail-card no-results">
+          <i class="fas fa-hospital"></i>
+          <p>No hospital found with Id "${HtmlUtils.escape(hospitalId)}".</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a 10-digit phone number as (XXX) XXX-XXXX
+   * @param {string} phone - Raw phone number
+   * @returns {string} Formatted phone number
+   */
+  formatPhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length !== 10) return phone;
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+
+  /**
+   * Format a 9-digit ZIP as ZIP+4
+   * @param {string} zip - Raw ZIP code
+   * @returns {string} Formatted ZIP code
+   */
+  formatZip(zip) {
+    const digits = String(zip).replace(/\D/g, '');
+    return digits.length === 9 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : zip;
+  }
+}
+
+// Will be initialized in main.js
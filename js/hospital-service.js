@@ -9,8 +9,24 @@ class HospitalService {
     this.currentPage = 1;
     this.itemsPerPage = 5;
     this.filteredHospitals = [];
+    this.totalResults = 0; // Results across every page; in remote mode filteredHospitals holds only the page shown
+    this.resultsRequest = 0; // Counts remote queries so a slow response can't replace a newer one
     this.selectedHospitals = [];
+    this.searchResults = [];
     this.userLocation = null;
+    this.referencePoint = null;
+    this.locationStatus = 'none'; // 'none', 'recognized' or 'unrecognized'
+    this.mapBounds = null;
+    this.currentProcedure = null;
+    this.rankingScores = new Map(); // Id -> {result, rank} from the last "Recommended" sort
+    this.activeDiseases = []; // Conditions matched by the last treatment search
+    this.nameQuery = ''; // Treatment text searched as a hospital name, highlighted in the results
+    this.travelTimeFilterOptions = [['time-15', 'Within 15 min drive'], ['time-30', 'Within 30 min drive'], ['time-60', 'Within 60 min drive']];
+    // Procedures and conditions for treatment autocomplete, rebuilt on every load
+    this.treatmentIndex = new SearchIndex([
+      { name: 'label', weight: 3 },
+      { name: 'terms', weight: 2 }
+    ]);
     
     // DOM elements
     this.hospitalListElement = document.getElementById('hospitalList');
@@ -25,6 +41,7 @@ class HospitalService {
     // Filter elements
     this.budgetFilterElement = document.getElementById('budgetFilter');
     this.specialtyFilterElement = document.getElementById('specialtyFilter');
+    this.facilityTypeFilterElement = document.getElementById('facilityTypeFilter');
     this.distanceFilterElement = document.getElementById('distanceFilter');
     this.ratingFilterElement = document.getElementById('ratingFilter');
     this.sortByElement = document.getElementById('sortBy');
@@ -48,6 +65,7 @@ class HospitalService {
     const filterElements = [
       this.budgetFilterElement,
       this.specialtyFilterElement,
+      this.facilityTypeFilterElement,
       this.distanceFilterElement,
       this.ratingFilterElement,
       this.sortByElement
@@ -57,6 +75,7 @@ class HospitalService {
       if (element) {
         element.addEventListener('change', () => {
           this.applyFilters();
+          this.syncUrl();
         });
       }
     });
@@ -65,16 +84,30 @@ class HospitalService {
   async initialize() {
     this.showLoading(true);
     try {
-      await this.dataService.loadHospitalsData();
-      this.dataService.generateMockRatings();
-      this.dataService.generateMockCostData();
+      await this.loadData();
+      // Options come from the loaded data, so fill them before a URL state is restored
+      this.populateFilterOptions();
+      this.initAutocomplete();
       try {
         this.userLocation = await this.dataService.getUserLocation();
       } catch (error) {
         console.warn('Could not get user location:', error);
       }
-      this.filteredHospitals = [...this.dataService.hospitalsData];
-      this.applyFilters();
+      this.referencePoint = this.userLocation;
+      const urlState = window.urlStateService ? window.urlStateService.read() : null;
+      if (window.comparisonView) {
+        // Compared hospitals are looked up by Id, so in remote mode they are fetched first
+        await this.dataService.loadHospitals([...window.comparisonView.loadSelectionIds(), ...((urlState && urlState.compare) || [])]);
+        this.selectedHospitals = window.comparisonView.loadSelection();
+      }
+      if (urlState) {
+        // Restore a shared or refreshed search before the first render
+        this.restoreState(urlState);
+      } else {
+        this.searchResults = [...this.dataService.hospitalsData];
+        this.applyFilters();
+        if (window.comparisonView) window.comparisonView.render(this.selectedHospitals);
+      }
     } catch (error) {
       console.error('Error initializing hospital data:', error);
       if (this.hospitalListElement) {
@@ -90,6 +123,147 @@ class HospitalService {
     }
   }
 
+  // Swap in a different dataset without reloading the page, keeping the search and filters
+  async reloadData() {
+    this.showLoading(true);
+    try {
+      await this.loadData();
+      this.populateFilterOptions();
+      this.mapBounds = null;
+      if (window.comparisonView) {
+        // Compared hospitals that aren't in the new dataset drop out
+        await this.dataService.loadHospitals(this.selectedHospitals.map(h => h.Id));
+        this.selectedHospitals = window.comparisonView.getHospitals(this.selectedHospitals.map(h => h.Id));
+        window.comparisonView.saveSelection(this.selectedHospitals);
+        window.comparisonView.render(this.selectedHospitals);
+      }
+      // A new dataset may change prices or ratings at watched hospitals
+      if (window.savedItemsView) await window.savedItemsView.checkForChanges();
+      this.runSearch(this.treatmentInputElement.value.trim(), this.locationInputElement.value.trim(), false);
+      if (window.mapService) window.mapService.fitToHospitals(this.filteredHospitals);
+      if (window.chartService && window.chartService.chartInstance) {
+        window.chartService.updateComparisonChart(this.selectedHospitals);
+      }
+      this.syncUrl();
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  populateFilterOptions() {
+    if (window.specialtyService) {
+      window.specialtyService.populateSpecialtySelect(this.specialtyFilterElement);
+      window.specialtyService.populateFacilityTypeSelect(this.facilityTypeFilterElement);
+    }
+    this.populateTravelTimeOptions();
+  }
+
+  // Drive-time filter and sort options only exist while travel times can be estimated; the API server doesn't estimate them
+  populateTravelTimeOptions() {
+    const available = !this.dataService.isRemote() && Boolean(window.travelTimeService && window.travelTimeService.isAvailable());
+    const options = [
+      [this.distanceFilterElement, this.travelTimeFilterOptions],
+      [this.sortByElement, [['travel-time', 'Drive Time']]]
+    ];
+    options.forEach(([select, entries]) => {
+      if (!select) return;
+      select.querySelectorAll('[data-travel-time]').forEach(option => {
+        if (select.value === option.value) select.value = select.options[0].value;
+        option.remove();
+      });
+      if (!available) return;
+      entries.forEach(([value, label]) => {
+        const option = new Option(label, value);
+        option.dataset.travelTime = '';
+        select.add(option);
+      });
+    });
+  }
+
+  async loadData() {
+    if (window.procedureCatalog) {
+      await window.procedureCatalog.load();
+      this.currentProcedure = window.procedureCatalog.getDefaultKey();
+    }
+    await this.dataService.loadHospitalsData();
+    await this.dataService.loadDiseasesData();
+    if (this.dataService.isRemote()) {
+      // The API server attaches specialties, ratings and prices to the hospitals it sends
+      if (window.specialtyService) await window.specialtyService.loadRemoteSpecialties();
+      if (window.priceService) window.priceService.priceStats.clear();
+      if (window.geocoder) await window.geocoder.load();
+      this.buildTreatmentIndex();
+      return;
+    }
+    if (window.specialtyService) await window.specialtyService.loadSpecialties();
+    if (window.geocoder) {
+      await window.geocoder.load();
+      window.geocoder.applyCounties(this.dataService.hospitalsData);
+    }
+    if (window.ratingsService) await window.ratingsService.loadRatings();
+    if (window.priceService) await window.priceService.loadPrices();
+    if (window.travelTimeService) await window.travelTimeService.load();
+    this.buildTreatmentIndex();
+  }
+
+  buildTreatmentIndex() {
+    const procedures = window.procedureCatalog ? window.procedureCatalog.getAll().map(entry => ({
+      type: 'Procedure',
+      label: entry.name,
+      terms: [entry.key.replace(/-/g, ' '), ...entry.synonyms, ...entry.codes.map(c => c.code)].join(' ')
+    })) : [];
+    const conditions = this.dataService.diseasesData.map(disease => ({
+      type: 'Condition',
+      label: disease.condition,
+      terms: [...disease.synonyms, ...disease.icd10Codes].join(' ')
+    }));
+    this.treatmentIndex.build([...procedures, ...conditions]);
+  }
+
+  initAutocomplete() {
+    if (this.treatmentInputElement) {
+      new Autocomplete(this.treatmentInputElement, text => this.getTreatmentSuggestions(text), suggestion => {
+        // A hospital name goes straight to that hospital's page
+        if (suggestion.hospitalId && typeof HospitalDetailView !== 'undefined') {
+          window.location.hash = HospitalDetailView.getRoute(suggestion.hospitalId);
+        }
+      });
+    }
+    if (this.locationInputElement) {
+      new Autocomplete(this.locationInputElement, text => this.getLocationSuggestions(text), () => {});
+    }
+  }
+
+  // Procedures and conditions first, then hospital names
+  getTreatmentSuggestions(text) {
+    const treatments = this.treatmentIndex.search(text, { limit: 4 }).map(({ document }) => ({
+      html: this.treatmentIndex.highlight(document.label, text),
+      value: document.label,
+      type: document.type
+    }));
+    const hospitalIndex = this.dataService.hospitalIndex;
+    const hospitals = hospitalIndex.search(text, { fields: ['NAME'], limit: 8 - treatments.length }).map(({ document }) => ({
+      html: `${hospitalIndex.highlight(document.NAME, text)} <small>${HtmlUtils.escape(document.CITY)}, ${HtmlUtils.escape(document.STATE)}</small>`,
+      value: document.NAME,
+      type: 'Hospital',
+      hospitalId: document.Id
+    }));
+    return [...treatments, ...hospitals];
+  }
+
+  getLocationSuggestions(text) {
+    if (window.geocoder && window.geocoder.loaded) return window.geocoder.suggest(text);
+
+    // Without the gazetteer, suggest the cities in the hospital data
+    const hospitalIndex = this.dataService.hospitalIndex;
+    const seen = new Set();
+    return hospitalIndex.search(text, { fields: ['CITY', 'STATE'] })
+      .map(({ document }) => `${document.CITY}, ${document.STATE}`)
+      .filter(label => !seen.has(label) && seen.add(label))
+      .slice(0, 6)
+      .map(label => ({ html: hospitalIndex.highlight(label, text), value: label, type: 'City' }));
+  }
+
   async handleSearch() {
     const treatment = this.treatmentInputElement.value.trim();
     const location = this.locationInputElement.value.trim();
@@ -98,110 +272,437 @@ class HospitalService {
     if (this.hospitalListElement) this.hospitalListElement.innerHTML = '';
     
     try {
-      const hospitals = await this.dataService.searchHospitals(treatment, location);
-      this.filteredHospitals = hospitals;
-      this.currentPage = 1;
-      this.applyFilters();
+      this.runSearch(treatment, location, true);
+      if (window.chartService) window.chartService.setProcedure(this.currentProcedure);
+      this.syncUrl();
     } catch (error) {
       console.error('Error during search:', error);
       if (this.hospitalListElement) {
         this.hospitalListElement.innerHTML = '<p>Error loading hospitals. Please try again.</p>';
       }
     } finally {
-      this.showLoading(false);
+      // Remote results arrive later and take the indicator down themselves
+      if (!this.dataService.isRemote()) this.showLoading(false);
     }
   }
 
-  applyFilters() {
-    this.showLoading(true);
-    let results = this.filteredHospitals.length ? [...this.filteredHospitals] : [...this.dataService.hospitalsData];
-    
-    const budgetFilter = this.budgetFilterElement.value;
-    if (budgetFilter !== 'any') {
-      results = this.filterByBudget(results, budgetFilter);
+  // Decide what the treatment text names. An exact procedure name wins, then an exact
+  // condition name, then the closest procedure, then any condition whose words all match.
+  matchTreatment(treatment) {
+    if (!treatment) return null;
+    const catalog = window.procedureCatalog;
+    const [bestProcedure] = catalog ? catalog.search(treatment) : [];
+    if (bestProcedure && bestProcedure.score >= 2) return { procedure: bestProcedure.procedure, diseases: [] };
+
+    const diseases = this.dataService.searchDiseases(treatment);
+    const exactDiseases = diseases.filter(disease => this.dataService.getDiseaseMatchScore(disease, treatment) >= 2);
+    const procedure = catalog ? catalog.resolve(treatment) : null;
+    const matchedDiseases = exactDiseases.length ? exactDiseases : procedure ? [] : diseases;
+    if (matchedDiseases.length) {
+      const key = matchedDiseases[0].procedures.find(k => catalog && catalog.get(k));
+      return { procedure: key ? catalog.get(key) : null, diseases: matchedDiseases };
     }
-    
-    const specialtyFilter = this.specialtyFilterElement.value;
-    if (specialtyFilter !== 'all') {
-      results = this.filterBySpecialty(results, specialtyFilter);
+    return procedure ? { procedure, diseases: [] } : null;
+  }
+
+  // Hospitals the treatment text leads to, and what it matched (see matchTreatment)
+  findHospitals(treatment) {
+    let hospitals = this.dataService.hospitalsData;
+    const match = this.matchTreatment(treatment);
+
+    if (match && match.diseases.length) {
+      // Treatment names a condition: keep hospitals offering its procedures or specialties
+      hospitals = this.dataService.getHospitalsForDiseases(match.diseases, hospitals, h => this.getSpecialties(h));
+    } else if (match) {
+      // Treatment names a procedure: keep only hospitals that offer it
+      hospitals = this.dataService.filterByProcedure(hospitals, match.procedure.key);
+    } else if (treatment) {
+      // Otherwise treat it as a hospital name search
+      hospitals = this.dataService.searchHospitals(treatment, hospitals);
     }
-    
-    const distanceFilter = parseInt(this.distanceFilterElement.value);
-    if (!isNaN(distanceFilter) && this.userLocation) {
-      results = this.dataService.filterByDistance(results, this.userLocation, distanceFilter);
+    return { hospitals, match };
+  }
+
+  locate(location) {
+    return window.geocoder ? window.geocoder.geocode(location) : this.dataService.geocodeLocation(location);
+  }
+
+  runSearch(treatment, location, autoSort) {
+    let { hospitals, match } = this.findHospitals(treatment);
+    this.activeDiseases = match ? match.diseases : [];
+    this.nameQuery = match ? '' : treatment;
+    if (match && match.procedure) this.setProcedure(match.procedure.key, false);
+
+    this.referencePoint = this.userLocation;
+    this.locationStatus = 'none';
+    let locationLabel = '';
+    if (location) {
+      const point = this.locate(location);
+      if (point) {
+        // Rank by distance from the searched location instead of narrowing to it
+        this.referencePoint = point;
+        this.locationStatus = 'recognized';
+        locationLabel = point.label;
+        if (autoSort && this.sortByElement.value === 'recommended') this.sortByElement.value = 'distance';
+      } else {
+        this.referencePoint = null;
+        this.locationStatus = 'unrecognized';
+        hospitals = [];
+      }
+    }
+
+    this.searchResults = hospitals;
+    const heading = this.activeDiseases.length ? `${this.activeDiseases[0].condition} Results` :
+      match ? `${match.procedure.name} Results` :
+      treatment ? `Results for "${treatment}"` : 'Hospital Search Results';
+    if (this.locationStatus === 'unrecognized') {
+      this.updateResultsTitle('Location not recognized', '');
+    } else {
+      this.updateResultsTitle(heading, locationLabel);
+    }
+    this.currentPage = 1;
+    this.applyFilters();
+  }
+
+  getState() {
+    return {
+      treatment: this.treatmentInputElement.value.trim(),
+      location: this.locationInputElement.value.trim(),
+      budget: this.budgetFilterElement.value,
+      specialty: this.specialtyFilterElement.value,
+      facility: this.facilityTypeFilterElement.value,
+      distance: this.distanceFilterElement.value,
+      rating: this.ratingFilterElement.value,
+      sort: this.sortByElement.value,
+      page: this.currentPage,
+      procedure: this.currentProcedure,
+      compare: this.selectedHospitals.map(h => h.Id)
+    };
+  }
+
+  restoreState(state) {
+    this.treatmentInputElement.value = state.treatment;
+    this.locationInputElement.value = state.location;
+    this.setSelectValue(this.budgetFilterElement, state.budget);
+    this.setSelectValue(this.specialtyFilterElement, state.specialty);
+    this.setSelectValue(this.facilityTypeFilterElement, state.facility);
+    this.setSelectValue(this.distanceFilterElement, state.distance);
+    this.setSelectValue(this.ratingFilterElement, state.rating);
+    this.setSelectValue(this.sortByElement, state.sort);
+
+    // Without a compare parameter the stored selection stays as it is
+    if (state.compare && window.comparisonView) {
+      this.selectedHospitals = window.comparisonView.getHospitals(state.compare);
+      window.comparisonView.saveSelection(this.selectedHospitals);
     }
+
+    this.runSearch(state.treatment, state.location, false);
+
+    // A procedure picked in the chart after searching overrides the one the search resolved
+    const catalog = window.procedureCatalog;
+    const procedure = catalog.get(state.procedure) ? state.procedure :
+      this.matchTreatment(state.treatment) ? this.currentProcedure : catalog.getDefaultKey();
+    if (procedure !== this.currentProcedure) {
+      this.setProcedure(procedure, false);
+      this.applyFilters();
+    }
+
+    if (this.dataService.isRemote()) {
+      // The server pages the results and answers a page past the end with the last one
+      this.showPage(Math.max(1, state.page));
+    } else {
+      const totalPages = Math.max(1, Math.ceil(this.filteredHospitals.length / this.itemsPerPage));
+      this.currentPage = Math.min(Math.max(1, state.page), totalPages);
+      this.renderHospitals();
+    }
+    if (window.comparisonView) window.comparisonView.render(this.selectedHospitals);
+    if (window.chartService && window.chartService.chartInstance) {
+      window.chartService.setProcedure(this.currentProcedure);
+    }
+  }
+
+  setSelectValue(selectElement, value) {
+    // Ignore values the dropdown doesn't offer so a hand-edited URL can't blank a control
+    if ([...selectElement.options].some(option => option.value === value)) {
+      selectElement.value = value;
+    }
+  }
+
+  syncUrl() {
+    if (window.urlStateService) window.urlStateService.save(this.getState());
+  }
+
+  setProcedure(procedure, refresh = true) {
+    this.currentProcedure = procedure;
+    if (refresh) {
+      this.applyFilters();
+      this.syncUrl();
+    }
+  }
+
+  updateResultsTitle(heading, location) {
+    if (!this.searchResultsTitleElement) return;
+    this.searchResultsTitleElement.textContent = location ? `${heading} near ${location}` : heading;
+  }
+
+  applyFilters() {
+    this.currentPage = 1;
+    if (this.dataService.isRemote()) {
+      this.fetchResults();
+      return;
+    }
+
+    this.showLoading(true);
+    // Filters always start from the full search results so loosening one widens the list again
+    let results = this.filterHospitals(this.searchResults, this.getFilters());
     
-    const ratingFilter = parseInt(this.ratingFilterElement.value);
-    if (!isNaN(ratingFilter)) {
-      results = results.filter(hospital => parseFloat(hospital.rating) >= ratingFilter);
+    // The map plots everything that passed the filters so panning can reveal more results
+    if (window.mapService) window.mapService.setHospitals(results);
+    if (this.mapBounds) {
+      results = this.filterByBounds(results, this.mapBounds);
     }
     
     const sortBy = this.sortByElement.value;
     results = this.sortHospitals(results, sortBy);
     
     this.filteredHospitals = results;
-    this.currentPage = 1;
+    this.totalResults = results.length;
     this.renderHospitals();
+    if (window.analyticsView) window.analyticsView.setHospitals(results);
     this.showLoading(false);
   }
 
-  filterByBudget(hospitals, budgetRange) {
-    const procedure = 'hip-replacement';
+  // Remote mode: the API filters, sorts and pages the results, so only the page shown is downloaded
+  async fetchResults() {
+    const request = ++this.resultsRequest;
+    this.showLoading(true);
+    try {
+      let response = null;
+      if (this.locationStatus !== 'unrecognized') {
+        // Price bands compare against every hospital's price, which only the server has
+        if (window.priceService) await window.priceService.loadRemoteStats(this.currentProcedure);
+        response = await this.dataService.fetchHospitals(this.getRemoteQuery());
+      }
+      if (request !== this.resultsRequest) return;
+
+      this.filteredHospitals = response ? response.hospitals : [];
+      this.totalResults = response ? response.total : 0;
+      this.currentPage = response ? response.page : 1;
+      this.rankingScores = new Map(this.filteredHospitals
+        .filter(hospital => hospital.score)
+        .map(hospital => [hospital.Id, { result: hospital.score, rank: hospital.score.rank }]));
+      if (window.mapService) window.mapService.setHospitals(this.filteredHospitals);
+      this.renderHospitals();
+    } catch (error) {
+      if (request !== this.resultsRequest) return;
+      console.error('Error fetching hospitals:', error);
+      if (this.hospitalListElement) {
+        this.hospitalListElement.innerHTML = `
+          <div class="error-message">
+            <i class="fas fa-exclamation-circle"></i>
+            <p>Error loading hospitals. Please try again.</p>
+          </div>
+        `;
+      }
+      if (this.paginationElement) this.paginationElement.innerHTML = '';
+    } finally {
+      if (request === this.resultsRequest) this.showLoading(false);
+    }
+  }
+
+  // Query for /api/hospitals from the current search; the location goes as the point it was geocoded to
+  getRemoteQuery() {
+    const filters = this.getFilters();
+    const radius = parseInt(filters.distance, 10);
+    const bounds = this.mapBounds;
+    return {
+      treatment: this.treatmentInputElement.value.trim(),
+      procedure: this.currentProcedure,
+      lat: this.referencePoint ? this.referencePoint.lat : null,
+      lon: this.referencePoint ? this.referencePoint.lon : null,
+      radius: isNaN(radius) ? null : radius,
+      budget: filters.budget,
+      specialty: filters.specialty,
+      facility: filters.facility,
+      rating: filters.rating,
+      bounds: bounds ? [bounds.south, bounds.west, bounds.north, bounds.east].join(',') : null,
+      sort: this.sortByElement.value,
+      // Ranking weights are kept in this browser, so they go along with each query
+      weights: window.rankingEngine ? Object.entries(window.rankingEngine.weights).map(([key, weight]) => `${key}:${weight}`).join(',') : null,
+      page: this.currentPage,
+      pageSize: this.itemsPerPage
+    };
+  }
+
+  getFilters() {
+    return {
+      budget: this.budgetFilterElement.value,
+      specialty: this.specialtyFilterElement.value,
+      facility: this.facilityTypeFilterElement.value,
+      distance: this.distanceFilterElement.value,
+      rating: this.ratingFilterElement.value
+    };
+  }
+
+  // Filter values are as in getFilters; the procedure and reference point default to the current search's
+  filterHospitals(hospitals, filters, procedure = this.currentProcedure, referencePoint = this.referencePoint) {
+    let results = [...hospitals];
+    
+    if (filters.budget !== 'any') {
+      results = this.filterByBudget(results, filters.budget, procedure);
+    }
+    
+    if (filters.specialty !== 'all') {
+      results = this.filterBySpecialty(results, filters.specialty);
+    }
+
+    if (filters.facility !== 'all') {
+      results = this.filterByFacilityType(results, filters.facility);
+    }
+    
+    const distanceFilter = parseInt(filters.distance);
+    if (!isNaN(distanceFilter) && referencePoint) {
+      results = this.dataService.filterByDistance(results, referencePoint, distanceFilter);
+    }
+    const travelTimeFilter = filters.distance.match(/^time-(\d+)$/);
+    if (travelTimeFilter && referencePoint && this.hasTravelTimes(referencePoint)) {
+      results = window.travelTimeService.filterByMinutes(results, referencePoint, parseInt(travelTimeFilter[1], 10));
+    }
+    
+    const ratingFilter = parseInt(filters.rating);
+    if (!isNaN(ratingFilter)) {
+      results = results.filter(hospital => typeof hospital.rating === 'number' && hospital.rating >= ratingFilter);
+    }
+    return results;
+  }
+
+  filterByBudget(hospitals, budgetRange, procedure = this.currentProcedure) {
+    // Hospitals that have not published a price can't be placed in a budget range
+    const priced = hospitals.filter(h => this.getProcedureCost(h, procedure) !== null);
     switch (budgetRange) {
-      case '0-1000': return hospitals.filter(h => h.costs[procedure] < 1000);
-      case '1000-5000': return hospitals.filter(h => h.costs[procedure] >= 1000 && h.costs[procedure] < 5000);
-      case '5000-10000': return hospitals.filter(h => h.costs[procedure] >= 5000 && h.costs[procedure] < 10000);
-      case '10000+': return hospitals.filter(h => h.costs[procedure] >= 10000);
+      case '0-1000': return priced.filter(h => h.costs[procedure] < 1000);
+      case '1000-5000': return priced.filter(h => h.costs[procedure] >= 1000 && h.costs[procedure] < 5000);
+      case '5000-10000': return priced.filter(h => h.costs[procedure] >= 5000 && h.costs[procedure] < 10000);
+      case '10000+': return priced.filter(h => h.costs[procedure] >= 10000);
       default: return hospitals;
     }
   }
 
+  filterByBounds(hospitals, bounds) {
+    return hospitals.filter(h =>
+      h.LAT <= bounds.north && h.LAT >= bounds.south && h.LON >= bounds.west && h.LON <= bounds.east
+    );
+  }
+
+  setMapBounds(bounds) {
+    if (!bounds && !this.mapBounds) return;
+    this.mapBounds = bounds;
+    this.applyFilters();
+  }
+
   filterBySpecialty(hospitals, specialty) {
-    return hospitals.filter(hospital => {
-      const specialties = this.getRandomSpecialties(hospital.Id);
-      return specialties.includes(specialty.charAt(0).toUpperCase() + specialty.slice(1));
-    });
+    // Filter values are keys such as "general-surgery"; hospitals list display labels
+    const label = this.getSpecialtyLabel(specialty);
+    return hospitals.filter(hospital => this.getSpecialties(hospital).includes(label));
   }
 
-  sortHospitals(hospitals, sortBy) {
-    const procedure = 'hip-replacement';
+  filterByFacilityType(hospitals, facilityType) {
+    return hospitals.filter(hospital => hospital.facilityType === facilityType);
+  }
+
+  // Options default to the current search's procedure, reference point and ranking specialties
+  sortHospitals(hospitals, sortBy, options = {}) {
+    const {
+      procedure = this.currentProcedure,
+      referencePoint = this.referencePoint,
+      specialties = this.getRankingSpecialties()
+    } = options;
     switch (sortBy) {
-      case 'price-low': return [...hospitals].sort((a, b) => a.costs[procedure] - b.costs[procedure]);
-      case 'price-high': return [...hospitals].sort((a, b) => b.costs[procedure] - a.costs[procedure]);
-      case 'rating-high': return [...hospitals].sort((a, b) => parseFloat(b.rating) - parseFloat(a.rating));
+      case 'price-low': return this.sortByPrice(hospitals, procedure, 1);
+      case 'price-high': return this.sortByPrice(hospitals, procedure, -1);
+      case 'rating-high': return [...hospitals].sort((a, b) => this.getSortableRating(b) - this.getSortableRating(a));
       case 'distance':
-        if (this.userLocation) {
-          return [...hospitals].sort((a, b) => {
-            const distA = this.dataService.calculateDistance(this.userLocation.lat, this.userLocation.lon, a.LAT, a.LON);
-            const distB = this.dataService.calculateDistance(this.userLocation.lat, this.userLocation.lon, b.LAT, b.LON);
-            return distA - distB;
-          });
+        if (referencePoint) {
+          // Measure each hospital once, not twice per comparison
+          return hospitals
+            .map(hospital => ({ hospital, distance: this.dataService.getDistance(referencePoint, hospital) }))
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ hospital }) => hospital);
         }
         return hospitals;
+      case 'travel-time':
+        if (referencePoint && this.hasTravelTimes(referencePoint)) {
+          // Hospitals without an estimate (off the road graph) go last
+          return hospitals
+            .map(hospital => ({ hospital, minutes: window.travelTimeService.getMinutes(referencePoint, hospital) }))
+            .sort((a, b) => (a.minutes === null) - (b.minutes === null) || a.minutes - b.minutes)
+            .map(({ hospital }) => hospital);
+        }
+        return this.sortHospitals(hospitals, 'distance', options);
       case 'recommended':
       default:
-        return [...hospitals].sort((a, b) => {
-          const ratingA = parseFloat(a.rating) || 0;
-          const ratingB = parseFloat(b.rating) || 0;
-          if (this.userLocation) {
-            const distA = this.dataService.calculateDistance(this.userLocation.lat, this.userLocation.lon, a.LAT, a.LON);
-            const distB = this.dataService.calculateDistance(this.userLocation.lat, this.userLocation.lon, b.LAT, b.LON);
-            const scoreA = ratingA - (distA / 100);
-            const scoreB = ratingB - (distB / 100);
-            return scoreB - scoreA;
-          }
-          return ratingB - ratingA;
-        });
+        return this.sortByRecommended(hospitals, procedure, referencePoint, specialties);
     }
   }
 
+  // Whether drive times from a point are ready; starts estimating them if not
+  hasTravelTimes(point = this.referencePoint) {
+    const service = window.travelTimeService;
+    if (!service || !service.isAvailable() || !point) return false;
+    if (service.isReady(point)) return true;
+
+    // Until the estimates arrive, results use straight-line distance; filter and sort again once they do
+    service.prepare(point).then(() => {
+      if (this.referencePoint === point) this.applyFilters();
+    });
+    return false;
+  }
+
+  sortByRecommended(hospitals, procedure, referencePoint, specialties) {
+    this.rankingScores = new Map();
+    if (!window.rankingEngine) return hospitals;
+
+    const context = window.rankingEngine.createContext({ procedure, referencePoint, specialties });
+    const ranked = window.rankingEngine.rank(hospitals, context);
+    // Kept for the score breakdown on each card
+    ranked.forEach(({ hospital, result }, index) => this.rankingScores.set(hospital.Id, { result, rank: index + 1 }));
+    return ranked.map(({ hospital }) => hospital);
+  }
+
+  // A chosen specialty wins; otherwise rank for the specialties that treat the searched condition
+  getRankingSpecialties(specialty = this.specialtyFilterElement.value, diseases = this.activeDiseases) {
+    return specialty !== 'all' ? [this.getSpecialtyLabel(specialty)] : diseases.flatMap(disease => disease.specialties);
+  }
+
+  // Hospitals without a published price always sort last, whichever direction
+  sortByPrice(hospitals, procedure, direction) {
+    return [...hospitals].sort((a, b) => {
+      const costA = this.getProcedureCost(a, procedure);
+      const costB = this.getProcedureCost(b, procedure);
+      if (costA === null || costB === null) return (costA === null) - (costB === null);
+      return (costA - costB) * direction;
+    });
+  }
+
+  getProcedureCost(hospital, procedure) {
+    const cost = hospital.costs ? hospital.costs[procedure] : undefined;
+    return typeof cost === 'number' ? cost : null;
+  }
+
+  // Unrated hospitals always sort after rated ones
+  getSortableRating(hospital) {
+    return typeof hospital.rating === 'number' ? hospital.rating : -1;
+  }
+
   resetFilters() {
     this.budgetFilterElement.value = 'any';
     this.specialtyFilterElement.value = 'all';
+    this.facilityTypeFilterElement.value = 'all';
     this.distanceFilterElement.value = 'any';
     this.ratingFilterElement.value = 'any';
     this.sortByElement.value = 'recommended';
     this.applyFilters();
+    this.syncUrl();
   }
 
   renderHospitals() {
@@ -209,8 +710,21 @@ class HospitalService {
 
     const startIndex = (this.currentPage - 1) * this.itemsPerPage;
     const endIndex = startIndex + this.itemsPerPage;
-    const hospitalsToShow = this.filteredHospitals.slice(startIndex, endIndex);
+    // In remote mode the server has already cut out the page
+    const hospitalsToShow = this.dataService.isRemote() ? this.filteredHospitals : this.filteredHospitals.slice(startIndex, endIndex);
     
+    if (this.locationStatus === 'unrecognized') {
+      this.hospitalListElement.innerHTML = `
+        <div class="no-results">
+          <i class="fas fa-map-marker-alt"></i>
+          <p>Location "${HtmlUtils.escape(this.locationInputElement.value.trim())}" not recognized. Try a 5-digit ZIP code or "City, ST".</p>
+        </div>
+      `;
+      this.sliderElement.innerHTML = '';
+      if (this.paginationElement) this.paginationElement.innerHTML = '';
+      return;
+    }
+
     if (hospitalsToShow.length === 0) {
       this.hospitalListElement.innerHTML = `
         <div class="no-results">
@@ -227,7 +741,7 @@ class HospitalService {
     }
     
     const hospitalCards = hospitalsToShow.map(hospital => this.createHospitalCard(hospital)).join('');
-    this.hospitalListElement.innerHTML = hospitalCards;
+    this.hospitalListElement.innerHTML = this.createLocationNotice() + hospitalCards;
     this.sliderElement.innerHTML = hospitalCards; // Populate slider with same cards
     
     hospitalsToShow.forEach(hospital => {
@@ -236,45 +750,63 @@ class HospitalService {
       if (compareBtn) compareBtn.addEventListener('click', () => this.toggleCompare(hospital));
       if (detailsBtn) detailsBtn.addEventListener('click', () => this.showHospitalDetails(hospital));
     });
+
+    // Hovering a card highlights its marker on the map
+    if (window.mapService) {
+      this.hospitalListElement.querySelectorAll('.hospital-card[data-hospital-id]').forEach(card => {
+        card.addEventListener('mouseenter', () => window.mapService.highlight(card.dataset.hospitalId));
+        card.addEventListener('mouseleave', () => window.mapService.highlight(null));
+      });
+    }
     
     this.renderPagination();
   }
 
+  scrollToHospital(hospital) {
+    const index = this.filteredHospitals.findIndex(h => h.Id === hospital.Id);
+    if (index === -1) return;
+
+    // In remote mode only the page shown is loaded, so the hospital is on it
+    if (!this.dataService.isRemote()) this.currentPage = Math.floor(index / this.itemsPerPage) + 1;
+    this.renderHospitals();
+    const card = this.hospitalListElement.querySelector(`.hospital-card[data-hospital-id="${CSS.escape(hospital.Id)}"]`);
+    if (card) {
+      card.classList.add('highlighted');
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
   createHospitalCard(hospital) {
-    let distanceText = this.userLocation ? 
-      `${this.dataService.calculateDistance(this.userLocation.lat, this.userLocation.lon, hospital.LAT, hospital.LON).toFixed(1)} miles away • ` : '';
-    const procedure = 'hip-replacement';
-    const cost = hospital.costs[procedure];
-    let costClass = cost < 15000 ? 'cost-low' : cost > 20000 ? 'cost-high' : 'cost-medium';
-    const specialties = this.getRandomSpecialties(hospital.Id);
+    let distanceText = this.referencePoint ? 
+      `${this.dataService.getDistance(this.referencePoint, hospital).toFixed(1)} miles away • ` : '';
+    const minutes = this.referencePoint && window.travelTimeService ? window.travelTimeService.getMinutes(this.referencePoint, hospital) : null;
+    if (minutes !== null) distanceText += `~${Math.round(minutes)} min drive • `;
+    const procedure = this.currentProcedure;
     const isCompared = this.selectedHospitals.some(h => h.Id === hospital.Id);
     const compareButtonClass = isCompared ? 'btn-primary' : 'btn-outline';
     const compareButtonText = isCompared ? 'Remove' : 'Compare';
     
     return `
-      <div class="hospital-card">
+      <div class="hospital-card" data-hospital-id="${HtmlUtils.escape(hospital.Id)}">
         <div class="hospital-content">
           <div class="hospital-header">
-            <h4 class="hospital-name">${hospital.NAME}</h4>
-            <div class="hospital-rating">
-              <span>${hospital.rating}</span>
-              <span class="reviews">(${hospital.reviews} reviews)</span>
-            </div>
+            <h4 class="hospital-name">${this.nameQuery ? this.dataService.hospitalIndex.highlight(hospital.NAME, this.nameQuery) : HtmlUtils.escape(hospital.NAME)}</h4>
+            ${this.createRatingBadge(hospital)}
           </div>
           <div class="hospital-info">
-            ${distanceText}${hospital.ADDRESS}, ${hospital.CITY}, ${hospital.STATE}
+            ${distanceText}${HtmlUtils.escape(hospital.ADDRESS)}, ${HtmlUtils.escape(hospital.CITY)}, ${HtmlUtils.escape(hospital.STATE)}
           </div>
           <div class="hospital-specialties">
-            ${specialties.map(s => `<span class="specialty-tag">${s}</span>`).join('')}
+            ${this.createFacilityTypeTag(hospital)}
+            ${this.createSpecialtyTags(hospital)}
           </div>
+          ${this.createScoreBreakdown(hospital)}
           <div class="hospital-footer">
-            <div class="estimated-cost">
-              <div>Estimated Cost</div>
-              <div class="cost-indicator ${costClass}">$${cost.toLocaleString()}</div>
-            </div>
+            ${this.createCostSummary(hospital, procedure)}
             <div class="hospital-actions">
-              <button class="btn ${compareButtonClass}" id="compare-${hospital.Id}">${compareButtonText}</button>
-              <button class="btn btn-primary" id="details-${hospital.Id}">View Details</button>
+              ${window.savedItemsView ? window.savedItemsView.createWatchButton(hospital) : ''}
+              <button class="btn ${compareButtonClass}" id="compare-${HtmlUtils.escape(hospital.Id)}">${compareButtonText}</button>
+              <button class="btn btn-primary" id="details-${HtmlUtils.escape(hospital.Id)}">View Details</button>
             </div>
           </div>
         </div>
@@ -282,26 +814,94 @@ class HospitalService {
     `;
   }
 
-  getRandomSpecialties(hospitalId) {
-    const allSpecialties = [
-      'Orthopedics', 'Cardiology', 'Neurology', 'Oncology', 
-      'General Surgery', 'Pediatrics', 'Geriatric Care', 
-      'Physical Therapy', 'Joint Replacement', 'Research Hospital'
-    ];
-    const hash = hospitalId.split('').reduce((a, b) => ((a << 5) - a) + b.charCodeAt(0), 0) & 0x7fffffff;
-    const numSpecialties = (hash % 3) + 1;
-    const specialties = [];
-    for (let i = 0; i < numSpecialties; i++) {
-      const index = (hash + i) % allSpecialties.length;
-      specialties.push(allSpecialties[index]);
+  createScoreBreakdown(hospital) {
+    const score = this.sortByElement.value === 'recommended' ? this.rankingScores.get(hospital.Id) : null;
+    return score ? window.rankingEngine.createBreakdownHTML(score.result, score.rank) : '';
+  }
+
+  createLocationNotice() {
+    // Distance filtering and sorting need a reference point; say so rather than ignoring them
+    const needsLocation = this.distanceFilterElement.value !== 'any' || ['distance', 'travel-time'].includes(this.sortByElement.value);
+    if (this.referencePoint || !needsLocation) return '';
+    return `
+      <div class="location-notice">
+        <i class="fas fa-info-circle"></i>
+        Enter a ZIP code or city in the location box to filter and sort by distance.
+      </div>
+    `;
+  }
+
+  createCostSummary(hospital, procedure) {
+    const cost = this.getProcedureCost(hospital, procedure);
+    if (cost === null) {
+      return `
+            <div class="estimated-cost">
+              <div>Estimated Cost</div>
+              <div class="cost-indicator cost-unpublished">Price not published</div>
+            </div>`;
+    }
+
+    const price = hospital.prices[procedure];
+    // Bands are thirds of every hospital's price for this procedure; too few prices leave it unbanded
+    const band = window.priceService ? window.priceService.getPriceBand(procedure, cost) : null;
+    const costClass = `cost-${band || 'unbanded'}`;
+    const costLabel = price.discountedCash !== null ? 'Cash Price' : 'Estimated Cost';
+    const rangeText = price.minNegotiated !== null ?
+      `<div class="cost-range">Negotiated $${Math.round(price.minNegotiated).toLocaleString()} – $${Math.round(price.maxNegotiated).toLocaleString()}</div>` : '';
+    return `
+            <div class="estimated-cost" title="Source: ${HtmlUtils.escape(price.source)}${price.lastUpdated ? `, updated ${HtmlUtils.escape(price.lastUpdated)}` : ''}">
+              <div>${costLabel}</div>
+              <div class="cost-indicator ${costClass}">$${Math.round(cost).toLocaleString()}</div>
+              ${rangeText}
+            </div>`;
+  }
+
+  createRatingBadge(hospital) {
+    if (typeof hospital.rating !== 'number') {
+      return `
+            <div class="hospital-rating unrated" title="No quality rating has been published for this facility">
+              <span>Unrated</span>
+            </div>`;
     }
-    return specialties;
+    const measuredText = hospital.ratingDate ? `Measured ${HtmlUtils.escape(hospital.ratingDate)}` : '';
+    return `
+            <div class="hospital-rating" title="${measuredText}">
+              <i class="fas fa-star"></i>
+              <span>${hospital.rating.toFixed(1)}</span>
+              <span class="reviews">(${HtmlUtils.escape(hospital.reviews.toLocaleString())} surveys)</span>
+            </div>`;
+  }
+
+  createFacilityTypeTag(hospital) {
+    if (!hospital.facilityType || !window.specialtyService) return '';
+    const label = window.specialtyService.classifier.getLabel(hospital.facilityType);
+    const title = hospital.facilityTypeSource === 'inferred' ? ' title="Facility type inferred from the facility name"' : '';
+    return `<span class="specialty-tag facility-tag"${title}>${HtmlUtils.escape(label)}</span>`;
+  }
+
+  // Facilities missing from the specialty file say so rather than showing nothing
+  createSpecialtyTags(hospital) {
+    const specialties = this.getSpecialties(hospital);
+    if (specialties.length === 0) return '<span class="specialty-tag specialty-missing">No specialty data</span>';
+    return specialties.map(s => `<span class="specialty-tag">${HtmlUtils.escape(s)}</span>`).join('');
+  }
+
+  getAllSpecialties() {
+    return window.specialtyService ? window.specialtyService.getAllSpecialties() : [];
+  }
+
+  getSpecialties(hospital) {
+    return hospital.specialties || [];
+  }
+
+  getSpecialtyLabel(specialty) {
+    return (window.specialtyService && window.specialtyService.getLabel(specialty)) || specialty;
   }
 
   renderPagination() {
     if (!this.paginationElement) return;
     
-    const totalPages = Math.ceil(this.filteredHospitals.length / this.itemsPerPage);
+    const totalPages = Math.ceil(this.totalResults / this.itemsPerPage);
     if (totalPages <= 1) {
       this.paginationElement.innerHTML = '';
       return;
@@ -336,31 +936,47 @@ class HospitalService {
     const paginationItems = this.paginationElement.querySelectorAll('.pagination-item[data-page]');
     paginationItems.forEach(item => {
       item.addEventListener('click', () => {
-        this.currentPage = parseInt(item.dataset.page);
-        this.renderHospitals();
+        this.showPage(parseInt(item.dataset.page));
+        this.syncUrl();
         if (this.hospitalListElement) this.hospitalListElement.scrollIntoView({ behavior: 'smooth' });
       });
     });
   }
 
+  showPage(page) {
+    this.currentPage = page;
+    if (this.dataService.isRemote()) {
+      this.fetchResults();
+    } else {
+      this.renderHospitals();
+    }
+  }
+
   toggleCompare(hospital) {
-    const index = this.selectedHospitals.findIndex(h => h.Id === hospital.Id);
+    const hospitals = [...this.selectedHospitals];
+    const index = hospitals.findIndex(h => h.Id === hospital.Id);
     if (index === -1) {
-      if (this.selectedHospitals.length >= 3) {
-        alert('You can compare up to 3 hospitals at a time. Please remove one first.');
-        return;
-      }
-      this.selectedHospitals.push(hospital);
+      if (window.comparisonView && !window.comparisonView.canAdd(hospitals)) return;
+      hospitals.push(hospital);
     } else {
-      this.selectedHospitals.splice(index, 1);
+      hospitals.splice(index, 1);
+    }
+    this.setComparedHospitals(hospitals);
+  }
+
+  setComparedHospitals(hospitals) {
+    this.selectedHospitals = hospitals;
+    if (window.comparisonView) {
+      window.comparisonView.saveSelection(hospitals);
+      window.comparisonView.render(hospitals);
     }
     window.chartService.updateComparisonChart(this.selectedHospitals);
     this.renderHospitals();
+    this.syncUrl();
   }
 
   showHospitalDetails(hospital) {
-    console.log('Hospital details:', hospital);
-    alert(`Viewing details for ${hospital.NAME} - This would navigate to a details page in a real application.`);
+    window.location.hash = HospitalDetailView.getRoute(hospital.Id);
   }
 
   showLoading(show) {
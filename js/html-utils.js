@@ -0,0 +1,24 @@
+/**
+ * HTML helpers for HealthCare Compass
+ * Views build their markup as template strings, so every value that comes
+ * from a data file or from the user is escaped with HtmlUtils.escape before
+ * it goes into innerHTML.
+ */
+
+class HtmlUtils {
+  /**
+   * Escape a value for HTML text or a quoted attribute
+   * @param {*} value - Value; null and undefined give ''
+   * @returns {string} Escaped text
+   */
+  static escape(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Will be initialized in main.js
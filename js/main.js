@@ -6,9 +6,32 @@
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', function() {
   // Initialize services
+  // Pass the URL of the hospital API ('/api' from server/server.js) to search on the server instead of downloading every hospital
   window.dataService = new DataService();
-  window.chartService = new ChartService();
+  window.procedureCatalog = new ProcedureCatalog();
+  window.geocoder = new Geocoder(window.dataService);
+  window.ratingsService = new RatingsService(window.dataService);
+  window.priceService = new PriceService(window.dataService, window.procedureCatalog);
+  window.specialtyService = new SpecialtyService(window.dataService, new FacilityClassifier());
+  // Drive times come from the bundled Missouri road graph; pass null to show straight-line distances only
+  window.travelTimeService = new TravelTimeService(window.dataService);
+  window.costEstimator = new CostEstimator();
+  window.chartService = new ChartService(window.costEstimator);
+  window.reportService = new ReportService();
   window.hospitalService = new HospitalService(window.dataService);
+  window.rankingEngine = new RankingEngine(window.dataService, window.hospitalService);
+  window.mapService = new MapService(window.hospitalService);
+  window.hospitalDetailView = new HospitalDetailView(window.dataService, window.hospitalService);
+  window.dataQualityView = new DataQualityView(window.dataService);
+  window.datasetStore = new DatasetStore();
+  window.datasetManager = new DatasetManager(window.dataService, window.datasetStore);
+  window.comparisonView = new ComparisonView(window.dataService, window.hospitalService);
+  window.analyticsView = new AnalyticsView(window.hospitalService);
+  // Swap LocalAuthBackend for a client of a real auth server; it only has to implement the same methods
+  window.authService = new AuthService(new LocalAuthBackend());
+  window.authView = new AuthView(window.authService);
+  window.savedItemsView = new SavedItemsView(window.dataService, window.hospitalService, new UserDataStore(), window.authService);
+  window.urlStateService = new UrlStateService(window.hospitalService);
   
   // Initialize application
   initializeApp();
@@ -19,15 +42,41 @@ document.addEventListener('DOMContentLoaded', function() {
  */
 async function initializeApp() {
   try {
+    // Resume the signed-in session, if it hasn't expired
+    await window.authService.restore();
+    window.authView.renderUserMenu();
+    
+    // Load from the imported dataset chosen last time, if any
+    await window.datasetManager.restoreActiveDataset();
+    
     // Initialize hospital data
     await window.hospitalService.initialize();
     
+    // Saved searches and the watchlist, checked against the data just loaded
+    await window.savedItemsView.initialize();
+    
+    // Draw the map once the results are known
+    await window.mapService.initialize();
+    
     // Initialize chart with default data
     window.chartService.initializeChart();
     
+    // Conditions are loaded with the hospital data
+    enableDiseaseSearch();
+    
+    // Weight sliders for the "Recommended" sort
+    window.rankingEngine.renderControls(document.getElementById('rankingWeights'), () => {
+      window.hospitalService.sortByElement.value = 'recommended';
+      window.hospitalService.applyFilters();
+      window.hospitalService.syncUrl();
+    });
+    
     // Add event listeners for global actions
     addGlobalEventListeners();
     
+    // Data is loaded, so a bookmarked detail URL can render now
+    handleRoute();
+    
     console.log('HealthCare Compass application initialized successfully');
   } catch (error) {
     console.error('Error initializing application:', error);
@@ -39,49 +88,64 @@ async function initializeApp() {
  * Add event listeners for global actions
  */
 function addGlobalEventListeners() {
-  // Example: Add event listener for map view toggle
-  // const mapViewBtn = document.getElementById('mapViewBtn');
-  // if (mapViewBtn) {
-  //   mapViewBtn.addEventListener('click', toggleMapView);
-  // }
-  
-  // Example: Add event listener for procedure selection
-  const procedureSelect = document.getElementById('procedureSelect');
-  if (procedureSelect) {
-    procedureSelect.addEventListener('change', function() {
-      window.chartService.updateComparisonChart(window.hospitalService.selectedHospitals);
-    });
-  }
+  // Hash changes after load are in-app navigation, so "Back" can use the history
+  window.addEventListener('hashchange', () => {
+    window.hospitalDetailView.cameFromApp = true;
+    handleRoute();
+  });
+
+  // Signing out or a session expiring closes any page that needs a signed-in user
+  window.authService.onChange(user => {
+    if (!user && getPageViews().some(view => view.requiresAuth && view.isRoute(window.location.hash))) handleRoute();
+  });
 }
 
 /**
- * Toggle map view
+ * Views routed by URL hash, other than the hospital detail page
+ * @returns {Array} Views with isRoute, show and hide; requiresAuth marks those for signed-in users only
  */
-// function toggleMapView() {
-//   // In a real application, this would show a map with hospital locations
-//   // For demonstration, we'll just show an alert
-//   alert('Map view would be displayed here in a real application.');
-  
-  // Example of how this might work in a real application:
-  // 1. Create a map container
-  // const mapContainer = document.createElement('div');
-  // mapContainer.id = 'hospitalMap';
-  // mapContainer.classList.add('hospital-map');
-  // document.querySelector('.dashboard-main').appendChild(mapContainer);
-  
-  // 2. Initialize map (using a library like Leaflet or Google Maps)
-  // const map = L.map('hospitalMap').setView([39.8283, -98.5795], 4);
-  // L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png').addTo(map);
-  
-  // 3. Add markers for hospitals
-  // window.hospitalService.filteredHospitals.forEach(hospital => {
-  //   if (hospital.LAT && hospital.LON) {
-  //     L.marker([hospital.LAT, hospital.LON])
-  //       .addTo(map)
-  //       .bindPopup(`<b>${hospital.NAME}</b><br>${hospital.ADDRESS}, ${hospital.CITY}, ${hospital.STATE}`);
-  //   }
-  // });
-// }
+function getPageViews() {
+  return [window.dataQualityView, window.datasetManager, window.authView, window.savedItemsView];
+}
+
+/**
+ * Show the view for the current URL hash
+ * #/hospital/<id> shows the detail page, #/data-quality the data-quality
+ * report, #/datasets the dataset manager, #/login, #/register and #/logout
+ * the account pages and #/saved the user's saved items; any other hash shows
+ * the search page. Pages that need a signed-in user send others to sign in.
+ */
+function handleRoute() {
+  const pageViews = getPageViews();
+  const hospitalId = HospitalDetailView.parseRoute(window.location.hash);
+  if (hospitalId) {
+    pageViews.forEach(view => view.hide());
+    window.hospitalDetailView.show(hospitalId);
+    return;
+  }
+
+  const detailElement = window.hospitalDetailView.detailElement;
+  const routedView = pageViews.find(view => view.isRoute(window.location.hash));
+  if (routedView && routedView.requiresAuth && !window.authService.isAuthenticated()) {
+    window.authView.redirectToLogin(window.location.hash, 'Sign in to see your saved searches and watchlist.');
+    return;
+  }
+  if (routedView) {
+    if (detailElement && !detailElement.hidden) window.hospitalDetailView.hide();
+    pageViews.filter(view => view !== routedView).forEach(view => view.hide());
+    routedView.show();
+    return;
+  }
+
+  const isViewOpen = element => element && !element.hidden;
+  if (isViewOpen(detailElement) || pageViews.some(view => isViewOpen(view.viewElement))) {
+    window.hospitalDetailView.hide();
+    pageViews.forEach(view => view.hide());
+    // The browser couldn't scroll to the anchor while the search page was hidden
+    const target = window.location.hash.length > 1 ? document.getElementById(window.location.hash.slice(1)) : null;
+    if (target) target.scrollIntoView();
+  }
+}
 
 /**
  * Show error message to user
@@ -101,95 +165,28 @@ function showErrorMessage(message) {
 }
 
 /**
- * Handle adding a second CSV file with disease data
- * This function would be called when the second CSV file is provided
+ * Replace the disease dataset with an uploaded CSV
+ * Expects the columns of data/diseases.csv: CONDITION, ICD10, PROCEDURES, SPECIALTIES, SYNONYMS
  * @param {string} csvData - Raw CSV data
  */
 function handleDiseaseDataUpload(csvData) {
-  // Parse the CSV data
-  const diseaseData = window.dataService.parseCSV(csvData);
-  
-  // Store the disease data in the data service
-  window.dataService.diseasesData = diseaseData;
-  
-  // Update the UI to show disease-related functionality
+  window.dataService.setDiseasesData(window.dataService.parseCSV(csvData));
   enableDiseaseSearch();
-  
-  console.log(`Loaded ${diseaseData.length} disease records`);
+  console.log(`Loaded ${window.dataService.diseasesData.length} disease records`);
 }
 
 /**
- * Enable disease search functionality
- * This would be implemented when the second CSV file is provided
+ * Let the treatment box advertise condition search once conditions are loaded
  */
 function enableDiseaseSearch() {
-  // In a real application, this would update the UI to enable disease search
-  // For demonstration, we'll just log a message
-  console.log('Disease search functionality enabled');
-  
-  // Example of how this might work:
-  // 1. Update the search form to include disease search
-  // const treatmentInput = document.getElementById('treatment');
-  // treatmentInput.placeholder = 'Search by disease, treatment, or procedure';
-  
-  // 2. Update the search handler to include disease data
-  // const searchForm = document.getElementById('searchForm');
-  // searchForm.addEventListener('submit', (e) => {
-  //   e.preventDefault();
-  //   const query = treatmentInput.value.trim();
-  //   
-  //   // Search for matching diseases
-  //   const matchingDiseases = window.dataService.searchDiseases(query);
-  //   
-  //   // Find hospitals that treat these diseases
-  //   const hospitals = window.dataService.getHospitalsForDiseases(matchingDiseases);
-  //   
-  //   // Update the UI with results
-  //   window.hospitalService.filteredHospitals = hospitals;
-  //   window.hospitalService.renderHospitals();
-  // });
+  const treatmentInput = document.getElementById('treatment');
+  if (!treatmentInput || window.dataService.diseasesData.length === 0) return;
+  treatmentInput.placeholder = 'e.g. Hip Replacement, MRI, Osteoarthritis';
+  const label = document.querySelector('label[for="treatment"]');
+  if (label) label.textContent = 'Condition, Treatment or Procedure';
 }
 
 
-document.addEventListener('DOMContentLoaded', function() {
-  window.dataService = new DataService();
-  window.chartService = new ChartService();
-  window.hospitalService = new HospitalService(window.dataService);
-  initializeApp();
-});
-
-async function initializeApp() {
-  try {
-    await window.hospitalService.initialize();
-    window.chartService.initializeChart();
-    addGlobalEventListeners();
-    console.log('HealthCare Compass application initialized successfully');
-  } catch (error) {
-    console.error('Error initializing application:', error);
-    showErrorMessage('Failed to initialize application. Please refresh the page and try again.');
-  }
-}
-
-function addGlobalEventListeners() {
-  const procedureSelect = document.getElementById('procedureSelect');
-  if (procedureSelect) {
-    procedureSelect.addEventListener('change', function() {
-      window.chartService.updateComparisonChart(window.hospitalService.selectedHospitals);
-    });
-  }
-}
-
-function showErrorMessage(message) {
-  const errorElement = document.createElement('div');
-  errorElement.classList.add('error-message');
-  errorElement.innerHTML = `
-    <i class="fas fa-exclamation-circle"></i>
-    <p>${message}</p>
-  `;
-  const container = document.querySelector('.dashboard') || document.body;
-  container.prepend(errorElement);
-}
-
 document.addEventListener('DOMContentLoaded', () => {
   const slider = document.getElementById('hospitalSlider');
   const prevBtn = document.getElementById('prevHospital');
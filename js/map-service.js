@@ -0,0 +1,439 @@
+/**
+ * Map Service for HealthCare Compass
+ * Renders the filtered hospitals on an SVG map drawn from locally served
+ * GeoJSON state boundaries, so no tile server or network access is needed
+ */
+
+class MapService {
+  /**
+   * @param {HospitalService} hospitalService - Hospital service whose results are plotted
+   * @param {string} boundariesUrl - URL of the GeoJSON state boundaries
+   */
+  constructor(hospitalService, boundariesUrl = './data/geo/states.geojson') {
+    this.hospitalService = hospitalService;
+    this.boundariesUrl = boundariesUrl;
+    this.boundaries = null;
+    this.hospitals = [];
+    this.clusters = [];
+    this.highlightedId = null;
+
+    // Map view: center in degrees and Web Mercator zoom level
+    this.view = { lat: 38.4, lon: -92.4, zoom: 6 };
+    this.minZoom = 4;
+    this.maxZoom = 13;
+    this.clusterCellSize = 44; // pixels
+    this.defaultSize = { width: 600, height: 500 };
+
+    // DOM elements
+    this.mapPanelElement = document.getElementById('mapPanel');
+    this.mapElement = document.getElementById('hospitalMap');
+    this.mapViewButton = document.getElementById('mapViewBtn');
+    this.boundsFilterElement = document.getElementById('mapBoundsFilter');
+    this.zoomInButton = document.getElementById('mapZoomIn');
+    this.zoomOutButton = document.getElementById('mapZoomOut');
+    this.resetButton = document.getElementById('mapReset');
+
+    this.initEventListeners();
+  }
+
+  /**
+   * Initialize event listeners for panning, zooming and the map controls
+   */
+  initEventListeners() {
+    if (!this.mapElement) return;
+
+    let dragStart = null;
+    this.mapElement.addEventListener('pointerdown', (e) => {
+      dragStart = { x: e.clientX, y: e.clientY, moved: false };
+    });
+    this.mapElement.addEventListener('pointermove', (e) => {
+      if (!dragStart) return;
+      const dx = e.clientX - dragStart.x;
+      const dy = e.clientY - dragStart.y;
+      if (!dragStart.moved && Math.abs(dx) + Math.abs(dy) < 3) return;
+      // Capturing only once it's a drag; capturing on pointerdown would send a marker's click to the map instead
+      if (!dragStart.moved && this.mapElement.setPointerCapture) this.mapElement.setPointerCapture(e.pointerId);
+      dragStart = { x: e.clientX, y: e.clientY, moved: true };
+      this.panBy(-dx, -dy);
+    });
+    this.mapElement.addEventListener('pointerup', () => {
+      if (dragStart && dragStart.moved) this.handleViewChange();
+      dragStart = null;
+    });
+    this.mapElement.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const rect = this.mapElement.getBoundingClientRect();
+      this.zoomAt(e.deltaY < 0 ? 0.5 : -0.5, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+    this.mapElement.addEventListener('click', (e) => {
+      const marker = e.target.closest('[data-cluster]');
+      if (marker) this.handleMarkerClick(this.clusters[parseInt(marker.dataset.cluster)]);
+    });
+
+    if (this.zoomInButton) this.zoomInButton.addEventListener('click', () => this.zoomAt(1));
+    if (this.zoomOutButton) this.zoomOutButton.addEventListener('click', () => this.zoomAt(-1));
+    if (this.resetButton) this.resetButton.addEventListener('click', () => this.fitToHospitals(this.hospitals));
+    if (this.boundsFilterElement) {
+      this.boundsFilterElement.addEventListener('change', () => this.handleViewChange());
+    }
+    if (this.mapViewButton) {
+      this.mapViewButton.addEventListener('click', () => this.toggleMapView());
+    }
+  }
+
+  /**
+   * Load the state boundaries and draw the initial map
+   * @returns {Promise} Promise that resolves when the boundaries are loaded
+   */
+  async initialize() {
+    try {
+      const response = await fetch(this.boundariesUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load map boundaries from ${this.boundariesUrl} (${response.status})`);
+      }
+      this.boundaries = await response.json();
+    } catch (error) {
+      // Markers still render without the state outlines
+      console.warn('Error loading map boundaries:', error);
+    }
+    this.fitToHospitals(this.hospitals);
+  }
+
+  /**
+   * Show or hide the map panel
+   */
+  toggleMapView() {
+    if (!this.mapPanelElement) return;
+    this.mapPanelElement.hidden = !this.mapPanelElement.hidden;
+    if (this.mapViewButton) {
+      this.mapViewButton.innerHTML = this.mapPanelElement.hidden ?
+        '<i class="fas fa-map"></i> Show Map' :
+        '<i class="fas fa-map"></i> Hide Map';
+    }
+    if (!this.mapPanelElement.hidden) this.render();
+    // A hidden map can't restrict results
+    this.handleViewChange();
+  }
+
+  /**
+   * Replace the plotted hospitals
+   * @param {Array} hospitals - Hospitals to plot
+   */
+  setHospitals(hospitals) {
+    this.hospitals = hospitals.filter(h => h.LAT && h.LON);
+    this.render();
+  }
+
+  /**
+   * Whether results should be restricted to the visible map area
+   * @returns {boolean} True if the bounds filter is on and the map is visible
+   */
+  isBoundsFilterActive() {
+    return Boolean(this.boundsFilterElement && this.boundsFilterElement.checked &&
+      !(this.mapPanelElement && this.mapPanelElement.hidden));
+  }
+
+  /**
+   * Tell the hospital service about the new visible area
+   */
+  handleViewChange() {
+    this.hospitalService.setMapBounds(this.isBoundsFilterActive() ? this.getBounds() : null);
+  }
+
+  /**
+   * Get the current map size in pixels
+   * @returns {Object} {width, height}
+   */
+  getSize() {
+    const width = this.mapElement ? this.mapElement.clientWidth : 0;
+    const height = this.mapElement ? this.mapElement.clientHeight : 0;
+    return {
+      width: width || this.defaultSize.width,
+      height: height || this.defaultSize.height
+    };
+  }
+
+  /**
+   * Project a coordinate to world pixels at the current zoom (Web Mercator)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} {x, y}
+   */
+  projectToWorld(lat, lon) {
+    const scale = 256 * Math.pow(2, this.view.zoom);
+    const sinLat = Math.sin(lat * Math.PI / 180);
+    return {
+      x: (lon + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+  }
+
+  /**
+   * Convert world pixels back to a coordinate at the current zoom
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @returns {Object} {lat, lon}
+   */
+  unprojectFromWorld(x, y) {
+    const scale = 256 * Math.pow(2, this.view.zoom);
+    const n = Math.PI - 2 * Math.PI * y / scale;
+    return {
+      lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+      lon: x / scale * 360 - 180
+    };
+  }
+
+  /**
+   * Project a coordinate to screen pixels
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} {x, y}
+   */
+  project(lat, lon) {
+    const { width, height } = this.getSize();
+    const center = this.projectToWorld(this.view.lat, this.view.lon);
+    const point = this.projectToWorld(lat, lon);
+    return { x: point.x - center.x + width / 2, y: point.y - center.y + height / 2 };
+  }
+
+  /**
+   * Convert screen pixels to a coordinate
+   * @param {number} x - Screen x
+   * @param {number} y - Screen y
+   * @returns {Object} {lat, lon}
+   */
+  unproject(x, y) {
+    const { width, height } = this.getSize();
+    const center = this.projectToWorld(this.view.lat, this.view.lon);
+    return this.unprojectFromWorld(center.x + x - width / 2, center.y + y - height / 2);
+  }
+
+  /**
+   * Get the visible area
+   * @returns {Object} {north, south, east, west}
+   */
+  getBounds() {
+    const { width, height } = this.getSize();
+    const northWest = this.unproject(0, 0);
+    const southEast = this.unproject(width, height);
+    return { north: northWest.lat, west: northWest.lon, south: southEast.lat, east: southEast.lon };
+  }
+
+  /**
+   * Pan the map by a number of screen pixels
+   * @param {number} dx - Horizontal offset
+   * @param {number} dy - Vertical offset
+   */
+  panBy(dx, dy) {
+    const { width, height } = this.getSize();
+    const center = this.unproject(width / 2 + dx, height / 2 + dy);
+    this.view.lat = center.lat;
+    this.view.lon = center.lon;
+    this.render();
+  }
+
+  /**
+   * Zoom in or out, keeping the point under (x, y) fixed
+   * @param {number} delta - Zoom change
+   * @param {number} x - Screen x to zoom around (defaults to the center)
+   * @param {number} y - Screen y to zoom around (defaults to the center)
+   */
+  zoomAt(delta, x, y) {
+    const { width, height } = this.getSize();
+    const anchorX = x === undefined ? width / 2 : x;
+    const anchorY = y === undefined ? height / 2 : y;
+    const anchor = this.unproject(anchorX, anchorY);
+
+    this.view.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, this.view.zoom + delta));
+
+    // Move the center so the anchor stays under the cursor
+    const anchorPoint = this.project(anchor.lat, anchor.lon);
+    const center = this.unproject(width / 2 + anchorPoint.x - anchorX, height / 2 + anchorPoint.y - anchorY);
+    this.view.lat = center.lat;
+    this.view.lon = center.lon;
+
+    this.render();
+    this.handleViewChange();
+  }
+
+  /**
+   * Center and zoom the map to show every hospital
+   * @param {Array} hospitals - Hospitals to fit
+   */
+  fitToHospitals(hospitals) {
+    if (hospitals.length > 0) {
+      const { north, south, east, west } = this.getBoundingBox(hospitals, h => [h.LAT, h.LON]);
+      const { width, height } = this.getSize();
+
+      this.view.lat = (north + south) / 2;
+      this.view.lon = (east + west) / 2;
+
+      // Largest zoom at which the bounding box still fits with some padding
+      let zoom = this.maxZoom;
+      while (zoom > this.minZoom) {
+        this.view.zoom = zoom;
+        const topLeft = this.projectToWorld(north, west);
+        const bottomRight = this.projectToWorld(south, east);
+        if (bottomRight.x - topLeft.x <= width * 0.85 && bottomRight.y - topLeft.y <= height * 0.85) break;
+        zoom -= 0.5;
+      }
+      this.view.zoom = zoom;
+    }
+
+    this.render();
+    this.handleViewChange();
+  }
+
+  /**
+   * Group hospitals that are close together on screen
+   * @returns {Array} Clusters [{x, y, hospitals}]
+   */
+  buildClusters() {
+    const { width, height } = this.getSize();
+    const margin = this.clusterCellSize;
+    const cells = new Map();
+
+    this.hospitals.forEach(hospital => {
+      const point = this.project(hospital.LAT, hospital.LON);
+      if (point.x < -margin || point.y < -margin || point.x > width + margin || point.y > height + margin) return;
+
+      const key = `${Math.floor(point.x / this.clusterCellSize)}:${Math.floor(point.y / this.clusterCellSize)}`;
+      const cell = cells.get(key) || { x: 0, y: 0, hospitals: [] };
+      cell.x += point.x;
+      cell.y += point.y;
+      cell.hospitals.push(hospital);
+      cells.set(key, cell);
+    });
+
+    return [...cells.values()].map(cell => ({
+      x: cell.x / cell.hospitals.length,
+      y: cell.y / cell.hospitals.length,
+      hospitals: cell.hospitals
+    }));
+  }
+
+  /**
+   * Build an SVG path for a GeoJSON polygon or multipolygon
+   * @param {Object} geometry - GeoJSON geometry
+   * @returns {string} SVG path data
+   */
+  geometryToPath(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.map(polygon => polygon.map(ring => ring.map((coord, index) => {
+      const point = this.project(coord[1], coord[0]);
+      return `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+    }).join('') + 'Z').join('')).join('');
+  }
+
+  /**
+   * Draw the boundaries and hospital markers
+   */
+  render() {
+    if (!this.mapElement || (this.mapPanelElement && this.mapPanelElement.hidden)) return;
+
+    const { width, height } = this.getSize();
+    this.clusters = this.buildClusters();
+
+    const states = this.boundaries ? this.boundaries.features.map(feature => `
+      <path class="map-state" d="${this.geometryToPath(feature.geometry)}"><title>${feature.properties.name}</title></path>
+    `).join('') : '';
+
+    const labels = this.boundaries ? this.boundaries.features.map(feature => {
+      const center = this.getFeatureCenter(feature);
+      return `<text class="map-state-label" x="${center.x.toFixed(1)}" y="${center.y.toFixed(1)}">${feature.properties.code}</text>`;
+    }).join('') : '';
+
+    const markers = this.clusters.map((cluster, index) => {
+      const isHighlighted = cluster.hospitals.some(h => h.Id === this.highlightedId);
+      const highlightClass = isHighlighted ? ' highlighted' : '';
+      if (cluster.hospitals.length === 1) {
+        const hospital = cluster.hospitals[0];
+        return `
+          <circle class="map-marker${highlightClass}" data-cluster="${index}" cx="${cluster.x.toFixed(1)}" cy="${cluster.y.toFixed(1)}" r="6">
+            <title>${HtmlUtils.escape(hospital.NAME)}\n${HtmlUtils.escape(hospital.ADDRESS)}, ${HtmlUtils.escape(hospital.CITY)}</title>
+          </circle>`;
+      }
+      const radius = 10 + Math.log2(cluster.hospitals.length) * 3;
+      return `
+        <g class="map-cluster${highlightClass}" data-cluster="${index}">
+          <circle cx="${cluster.x.toFixed(1)}" cy="${cluster.y.toFixed(1)}" r="${radius.toFixed(1)}"></circle>
+          <text x="${cluster.x.toFixed(1)}" y="${cluster.y.toFixed(1)}">${cluster.hospitals.length}</text>
+          <title>${cluster.hospitals.length} facilities - click to zoom in</title>
+        </g>`;
+    }).join('');
+
+    this.mapElement.innerHTML = `
+      <svg class="map-svg" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img" aria-label="Map of hospitals">
+        <g class="map-states">${states}${labels}</g>
+        <g class="map-markers">${markers}</g>
+      </svg>
+    `;
+  }
+
+  /**
+   * Screen position for a state label: the center of the feature's bounding box
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Object} {x, y}
+   */
+  getFeatureCenter(feature) {
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    const { north, south, east, west } = this.getBoundingBox(polygons.flatMap(polygon => polygon[0]), c => [c[1], c[0]]);
+    return this.project((north + south) / 2, (east + west) / 2);
+  }
+
+  /**
+   * Bounding box of a list of points, found in one pass
+   * Math.max(...values) runs out of stack on a nationwide dataset
+   * @param {Array} points - Hospitals or coordinates
+   * @param {Function} getLatLon - Returns [lat, lon] for a point
+   * @returns {Object} {north, south, east, west}
+   */
+  getBoundingBox(points, getLatLon) {
+    const bounds = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+    points.forEach(point => {
+      const [lat, lon] = getLatLon(point);
+      if (lat > bounds.north) bounds.north = lat;
+      if (lat < bounds.south) bounds.south = lat;
+      if (lon > bounds.east) bounds.east = lon;
+      if (lon < bounds.west) bounds.west = lon;
+    });
+    return bounds;
+  }
+
+  /**
+   * Zoom into a cluster, or highlight a single hospital's card
+   * @param {Object} cluster - Clicked cluster
+   */
+  handleMarkerClick(cluster) {
+    if (!cluster) return;
+    if (cluster.hospitals.length > 1) {
+      this.zoomAt(2, cluster.x, cluster.y);
+      return;
+    }
+    const hospital = cluster.hospitals[0];
+    this.highlight(hospital.Id);
+    this.hospitalService.scrollToHospital(hospital);
+  }
+
+  /**
+   * Highlight the marker (or cluster) containing a hospital
+   * @param {string|null} hospitalId - Hospital Id, or null to clear
+   */
+  highlight(hospitalId) {
+    this.highlightedId = hospitalId;
+    if (!this.mapElement) return;
+
+    this.mapElement.querySelectorAll('.highlighted').forEach(element => element.classList.remove('highlighted'));
+    const index = this.clusters.findIndex(cluster => cluster.hospitals.some(h => h.Id === hospitalId));
+    if (index === -1) return;
+
+    const marker = this.mapElement.querySelector(`[data-cluster="${index}"]`);
+    if (marker) {
+      marker.classList.add('highlighted');
+      // Draw the highlighted marker above its neighbours
+      marker.parentNode.appendChild(marker);
+    }
+  }
+}
+
+// Will be initialized in main.js
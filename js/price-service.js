@@ -0,0 +1,414 @@
+/**
+ * Price Service for HealthCare Compass
+ * Ingests hospital price-transparency (standard charge) files and attaches
+ * procedure prices to the hospital data
+ */
+
+class PriceService {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {ProcedureCatalog} procedureCatalog - Catalog used to map billing codes to procedures
+   * @param {string|Object} manifestUrl - URL of the manifest listing standard-charge files, or an
+   *   object with a name and an async load() method resolving to flat price records (imported datasets)
+   */
+  constructor(dataService, procedureCatalog, manifestUrl = './data/prices/manifest.json') {
+    this.dataService = dataService;
+    this.procedureCatalog = procedureCatalog;
+    this.manifestUrl = manifestUrl;
+    this.pricesById = new Map();
+    this.priceStats = new Map(); // Procedure key -> distribution of headline prices, see getPriceStats
+  }
+
+  /**
+   * Load every standard-charge file listed in the manifest and attach the
+   * resulting prices to hospitalsData
+   * @returns {Promise} Promise that resolves with the price map keyed by hospital Id
+   */
+  async loadPrices() {
+    this.pricesById = new Map();
+
+    if (this.manifestUrl && typeof this.manifestUrl.load === 'function') {
+      try {
+        this.loadPriceRecords(await this.manifestUrl.load(), this.manifestUrl.name || 'Imported prices');
+        console.log(`Loaded imported prices for ${this.pricesById.size} hospitals`);
+      } catch (error) {
+        console.warn('Error loading imported prices:', error);
+      }
+      this.applyPrices(this.dataService.hospitalsData);
+      return this.pricesById;
+    }
+
+    try {
+      const response = await fetch(this.manifestUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load price manifest ${this.manifestUrl} (${response.status})`);
+      }
+      const manifest = await response.json();
+      const baseUrl = this.manifestUrl.substring(0, this.manifestUrl.lastIndexOf('/') + 1);
+
+      for (const entry of manifest.files || []) {
+        try {
+          const file = await this.loadStandardChargeFile(baseUrl + entry.file);
+          const prices = this.aggregatePrices(file);
+          entry.hospitalIds.forEach(id => this.pricesById.set(id, prices));
+        } catch (error) {
+          console.warn(`Skipping price file ${entry.file}:`, error);
+        }
+      }
+      console.log(`Loaded published prices for ${this.pricesById.size} hospitals`);
+    } catch (error) {
+      // Without price files every hospital is shown as "price not published"
+      console.warn('Error loading price data:', error);
+    }
+
+    this.applyPrices(this.dataService.hospitalsData);
+    return this.pricesById;
+  }
+
+  /**
+   * Aggregate flat price records, one line item per record
+   * Records have Id, PROCEDURE (catalog key or name) and/or CODE and CODE_TYPE,
+   * CASH_PRICE, GROSS_CHARGE, MIN_NEGOTIATED, MAX_NEGOTIATED and LAST_UPDATED
+   * @param {Array} records - Price records
+   * @param {string} source - Source name shown with each price
+   */
+  loadPriceRecords(records, source) {
+    const itemsById = new Map();
+    let lastUpdated = '';
+
+    records.forEach(record => {
+      const id = String(record.Id || '').trim();
+      if (!id) return;
+      const procedureText = String(record.PROCEDURE || '').trim();
+      const entry = procedureText ?
+        (this.procedureCatalog.get(procedureText) || this.procedureCatalog.resolve(procedureText)) : null;
+      const code = String(record.CODE || '').trim();
+
+      if (!itemsById.has(id)) itemsById.set(id, []);
+      itemsById.get(id).push({
+        procedure: entry ? entry.key : null,
+        description: procedureText,
+        codes: code ? [{ code, type: String(record.CODE_TYPE || '').trim().toUpperCase() }] : [],
+        gross: this.parseAmount(record.GROSS_CHARGE),
+        cash: this.parseAmount(record.CASH_PRICE),
+        min: this.parseAmount(record.MIN_NEGOTIATED),
+        max: this.parseAmount(record.MAX_NEGOTIATED),
+        negotiated: []
+      });
+      if (record.LAST_UPDATED && String(record.LAST_UPDATED) > lastUpdated) lastUpdated = String(record.LAST_UPDATED);
+    });
+
+    itemsById.forEach((items, id) => {
+      this.pricesById.set(id, this.aggregatePrices({ items, source, lastUpdated }));
+    });
+  }
+
+  /**
+   * Fetch and parse a single standard-charge file
+   * @param {string} url - URL of a CMS CSV or JSON standard-charge file
+   * @returns {Promise} Promise that resolves with {hospitalName, lastUpdated, source, items}
+   */
+  async loadStandardChargeFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url} (${response.status})`);
+    }
+
+    const fileName = url.substring(url.lastIndexOf('/') + 1);
+    const parsed = url.toLowerCase().endsWith('.json') ?
+      this.parseJSONStandardCharges(await response.json()) :
+      this.parseCSVStandardCharges(await response.text());
+
+    return { ...parsed, source: fileName };
+  }
+
+  /**
+   * Parse a CMS machine-readable file in the JSON layout
+   * @param {Object} json - Parsed JSON document
+   * @returns {Object} {hospitalName, lastUpdated, items}
+   */
+  parseJSONStandardCharges(json) {
+    const items = [];
+
+    (json.standard_charge_information || []).forEach(info => {
+      const codes = (info.code_information || []).map(c => ({
+        code: String(c.code).trim(),
+        type: String(c.type || '').trim().toUpperCase()
+      }));
+
+      (info.standard_charges || []).forEach(charge => {
+        items.push({
+          description: info.description || '',
+          codes,
+          gross: this.parseAmount(charge.gross_charge),
+          cash: this.parseAmount(charge.discounted_cash),
+          min: this.parseAmount(charge.minimum),
+          max: this.parseAmount(charge.maximum),
+          negotiated: (charge.payers_information || [])
+            .map(payer => this.parseAmount(payer.standard_charge_dollar))
+            .filter(amount => amount !== null)
+        });
+      });
+    });
+
+    return {
+      hospitalName: json.hospital_name || '',
+      lastUpdated: json.last_updated_on || '',
+      items
+    };
+  }
+
+  /**
+   * Parse a CMS machine-readable file in the CSV "tall" or "wide" layout
+   * Both layouts start with two rows of hospital-level data before the
+   * column headers; the wide layout has one negotiated column per payer/plan
+   * @param {string} csvText - Raw CSV text
+   * @returns {Object} {hospitalName, lastUpdated, items}
+   */
+  parseCSVStandardCharges(csvText) {
+    // Descriptions may contain quoted newlines, so split into records with the full parser
+    const rows = this.dataService.parseCSVRows(csvText);
+    let hospitalName = '';
+    let lastUpdated = '';
+    let headerIndex = 0;
+
+    const firstRow = rows[0] || [];
+    if (firstRow.includes('hospital_name')) {
+      const values = rows[1] || [];
+      hospitalName = values[firstRow.indexOf('hospital_name')] || '';
+      lastUpdated = values[firstRow.indexOf('last_updated_on')] || '';
+      headerIndex = 2;
+    }
+
+    const headers = (rows[headerIndex] || []).map(h => h.trim());
+    const column = name => headers.indexOf(name);
+    const codeColumns = [];
+    for (let i = 1; column(`code|${i}`) !== -1; i++) {
+      codeColumns.push({ code: column(`code|${i}`), type: column(`code|${i}|type`) });
+    }
+    const negotiatedColumns = headers
+      .map((header, index) => (/^standard_charge\|.*negotiated_dollar$/.test(header) ? index : -1))
+      .filter(index => index !== -1);
+
+    const items = rows.slice(headerIndex + 1).map(values => {
+      return {
+        description: values[column('description')] || '',
+        codes: codeColumns
+          .filter(c => values[c.code])
+          .map(c => ({ code: values[c.code].trim(), type: (values[c.type] || '').trim().toUpperCase() })),
+        gross: this.parseAmount(values[column('standard_charge|gross')]),
+        cash: this.parseAmount(values[column('standard_charge|discounted_cash')]),
+        min: this.parseAmount(values[column('standard_charge|min')]),
+        max: this.parseAmount(values[column('standard_charge|max')]),
+        negotiated: negotiatedColumns
+          .map(index => this.parseAmount(values[index]))
+          .filter(amount => amount !== null)
+      };
+    });
+
+    return { hospitalName, lastUpdated, items };
+  }
+
+  /**
+   * Parse a dollar amount, returning null for blank or invalid values
+   * @param {*} value - Raw value
+   * @returns {number|null} Amount in dollars
+   */
+  parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(String(value).replace(/[$,]/g, ''));
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Find the procedure a line item is billed under
+   * @param {Array} codes - Line item codes [{code, type}]
+   * @returns {string|null} Procedure key
+   */
+  matchProcedure(codes) {
+    const procedure = this.procedureCatalog.findByCodes(codes);
+    return procedure ? procedure.key : null;
+  }
+
+  /**
+   * Roll line items up into one price summary per procedure
+   * @param {Object} file - Parsed standard-charge file
+   * @returns {Object} Price summaries keyed by procedure
+   */
+  aggregatePrices(file) {
+    const prices = {};
+
+    file.items.forEach(item => {
+      const procedure = item.procedure || this.matchProcedure(item.codes);
+      if (!procedure) return;
+
+      const summary = prices[procedure] || (prices[procedure] = {
+        grossCharge: null,
+        discountedCash: null,
+        minNegotiated: null,
+        maxNegotiated: null,
+        codes: [],
+        source: file.source,
+        lastUpdated: file.lastUpdated
+      });
+
+      const negotiated = [...item.negotiated, item.min, item.max].filter(amount => amount !== null);
+      summary.grossCharge = this.pickMax(summary.grossCharge, item.gross);
+      summary.discountedCash = this.pickMin(summary.discountedCash, item.cash);
+      negotiated.forEach(amount => {
+        summary.minNegotiated = this.pickMin(summary.minNegotiated, amount);
+        summary.maxNegotiated = this.pickMax(summary.maxNegotiated, amount);
+      });
+      // Keep only the billing codes the catalog knows, not revenue codes and the like
+      const catalogCodes = this.procedureCatalog.get(procedure).codes;
+      item.codes
+        .filter(c => catalogCodes.some(known => known.code === c.code && known.type === c.type))
+        .forEach(c => {
+          const label = `${c.type} ${c.code}`;
+          if (!summary.codes.includes(label)) summary.codes.push(label);
+        });
+    });
+
+    return prices;
+  }
+
+  /**
+   * Smaller of two amounts, ignoring nulls
+   * @param {number|null} current - Current amount
+   * @param {number|null} value - Candidate amount
+   * @returns {number|null} Smaller amount
+   */
+  pickMin(current, value) {
+    if (value === null) return current;
+    return current === null ? value : Math.min(current, value);
+  }
+
+  /**
+   * Larger of two amounts, ignoring nulls
+   * @param {number|null} current - Current amount
+   * @param {number|null} value - Candidate amount
+   * @returns {number|null} Larger amount
+   */
+  pickMax(current, value) {
+    if (value === null) return current;
+    return current === null ? value : Math.max(current, value);
+  }
+
+  /**
+   * Attach price summaries to each hospital
+   * hospital.prices holds the full summaries; hospital.costs holds the
+   * headline price per procedure and omits procedures with no published price
+   * @param {Array} hospitals - Hospitals to update in place
+   */
+  applyPrices(hospitals) {
+    this.priceStats = new Map();
+    hospitals.forEach(hospital => {
+      hospital.prices = this.pricesById.get(hospital.Id) || {};
+      hospital.costs = {};
+
+      Object.keys(hospital.prices).forEach(procedure => {
+        const cost = this.getHeadlinePrice(hospital.prices[procedure]);
+        if (cost !== null) hospital.costs[procedure] = cost;
+      });
+    });
+  }
+
+  /**
+   * Headline price for a procedure: the discounted cash price when published,
+   * otherwise the lowest negotiated rate, otherwise the gross charge
+   * @param {Object} summary - Price summary
+   * @returns {number|null} Price in dollars
+   */
+  getHeadlinePrice(summary) {
+    if (summary.discountedCash !== null) return summary.discountedCash;
+    if (summary.minNegotiated !== null) return summary.minNegotiated;
+    return summary.grossCharge;
+  }
+
+  /**
+   * Distribution of headline prices for a procedure across every loaded hospital
+   * low and high are the 33rd and 67th percentiles, which split prices into
+   * thirds for the low/medium/high color bands
+   * @param {string} procedure - Procedure key
+   * @returns {Object|null} {values (sorted), count, min, low, median, high, max}, or null if no hospital publishes a price
+   */
+  getPriceStats(procedure) {
+    // In remote mode only stats fetched with loadRemoteStats are known
+    if (this.priceStats.has(procedure) || this.dataService.isRemote()) return this.priceStats.get(procedure) || null;
+
+    const values = this.dataService.hospitalsData
+      .map(hospital => (hospital.costs ? hospital.costs[procedure] : undefined))
+      .filter(cost => typeof cost === 'number')
+      .sort((a, b) => a - b);
+    const stats = values.length === 0 ? null : {
+      values,
+      count: values.length,
+      min: values[0],
+      low: this.getPercentile(values, 33),
+      median: this.getPercentile(values, 50),
+      high: this.getPercentile(values, 67),
+      max: values[values.length - 1]
+    };
+    this.priceStats.set(procedure, stats);
+    return stats;
+  }
+
+  /**
+   * Fetch a procedure's price distribution from the hospital API (remote mode),
+   * where the hospitals aren't in the browser to compute it from; getPriceStats
+   * returns it from then on
+   * @param {string} procedure - Procedure key
+   * @returns {Promise} Promise that resolves with the stats, or null
+   */
+  async loadRemoteStats(procedure) {
+    if (!procedure || this.priceStats.has(procedure)) return this.getPriceStats(procedure);
+    const { stats } = await this.dataService.fetchPrices({ procedure, pageSize: 0 });
+    this.priceStats.set(procedure, stats);
+    return stats;
+  }
+
+  /**
+   * Percentile of sorted values, interpolating between neighbours
+   * @param {Array} values - Numbers in ascending order
+   * @param {number} percentile - 0 to 100
+   * @returns {number|null} Value, or null for no values
+   */
+  getPercentile(values, percentile) {
+    if (values.length === 0) return null;
+    const position = (values.length - 1) * percentile / 100;
+    const below = Math.floor(position);
+    const above = Math.min(values.length - 1, below + 1);
+    return values[below] + (values[above] - values[below]) * (position - below);
+  }
+
+  /**
+   * Where a price falls among every hospital's price for the procedure
+   * @param {string} procedure - Procedure key
+   * @param {number|null} cost - Price in dollars
+   * @returns {string|null} 'low', 'medium' or 'high', or null without a price or with too few prices to compare
+   */
+  getPriceBand(procedure, cost) {
+    const stats = this.getPriceStats(procedure);
+    if (cost === null || cost === undefined || !stats || stats.count < 3) return null;
+    if (cost <= stats.low) return 'low';
+    if (cost <= stats.high) return 'medium';
+    return 'high';
+  }
+
+  /**
+   * Median price for a procedure among hospitals near a hospital, itself included
+   * @param {Object} hospital - Hospital at the center of the region
+   * @param {string} procedure - Procedure key
+   * @param {number} radius - Region radius in miles
+   * @returns {Object|null} {median, count}, or null if no hospital in the region publishes a price
+   */
+  getRegionalMedian(hospital, procedure, radius = 50) {
+    const values = this.dataService.spatialIndex.within({ lat: hospital.LAT, lon: hospital.LON }, radius)
+      .map(({ item }) => (item.costs ? item.costs[procedure] : undefined))
+      .filter(cost => typeof cost === 'number')
+      .sort((a, b) => a - b);
+    return values.length ? { median: this.getPercentile(values, 50), count: values.length } : null;
+  }
+}
+
+// Will be initialized in main.js
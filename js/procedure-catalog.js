@@ -0,0 +1,175 @@
+/**
+ * Procedure Catalog for HealthCare Compass
+ * Single source of truth for procedure keys, billing codes, display names,
+ * synonyms, categories and typical price bands
+ */
+
+class ProcedureCatalog {
+  /**
+   * @param {string} source - URL of the procedure catalog JSON file
+   */
+  constructor(source = './data/procedures.json') {
+    this.source = source;
+    this.procedures = [];
+    this.procedureByKey = new Map();
+    this.procedureByCode = new Map();
+    this.loaded = false;
+
+    // Words that carry no meaning when matching free-text treatment queries
+    this.stopWords = ['a', 'an', 'the', 'of', 'for', 'my', 'in', 'on', 'procedure', 'treatment', 'cost', 'price'];
+  }
+
+  /**
+   * Load the catalog from its data file
+   * @returns {Promise} Promise that resolves with the list of procedures
+   */
+  async load() {
+    try {
+      const response = await fetch(this.source);
+      if (!response.ok) {
+        throw new Error(`Failed to load procedure catalog from ${this.source} (${response.status})`);
+      }
+      const json = await response.json();
+      this.setProcedures(Array.isArray(json) ? json : json.procedures);
+      console.log(`Loaded ${this.procedures.length} procedures`);
+      return this.procedures;
+    } catch (error) {
+      console.error('Error loading procedure catalog:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the catalog contents and rebuild the lookup indexes
+   * @param {Array} procedures - Procedure entries
+   */
+  setProcedures(procedures) {
+    this.procedures = (procedures || []).map(entry => ({
+      key: entry.key,
+      name: entry.name || entry.key,
+      category: entry.category || 'Other',
+      codes: (entry.codes || []).map(c => ({ code: String(c.code), type: String(c.type).toUpperCase() })),
+      synonyms: entry.synonyms || [],
+      typicalPrice: entry.typicalPrice || null
+    }));
+
+    this.procedureByKey = new Map(this.procedures.map(entry => [entry.key, entry]));
+    this.procedureByCode = new Map();
+    this.procedures.forEach(entry => {
+      entry.codes.forEach(c => this.procedureByCode.set(`${c.type}:${c.code}`, entry));
+    });
+    this.loaded = true;
+  }
+
+  /**
+   * Get all procedures in catalog order
+   * @returns {Array} Procedure entries
+   */
+  getAll() {
+    return this.procedures;
+  }
+
+  /**
+   * Get a procedure by key
+   * @param {string} key - Procedure key
+   * @returns {Object|null} Procedure entry
+   */
+  get(key) {
+    return this.procedureByKey.get(key) || null;
+  }
+
+  /**
+   * Get the procedure used when the user hasn't chosen one
+   * @returns {string|null} Procedure key
+   */
+  getDefaultKey() {
+    return this.procedures.length ? this.procedures[0].key : null;
+  }
+
+  /**
+   * Get display name for procedure
+   * @param {string} key - Procedure key
+   * @returns {string} Display name
+   */
+  getDisplayName(key) {
+    const entry = this.get(key);
+    return entry ? entry.name : key;
+  }
+
+  /**
+   * Get the distinct categories in catalog order
+   * @returns {Array} Category names
+   */
+  getCategories() {
+    return [...new Set(this.procedures.map(entry => entry.category))];
+  }
+
+  /**
+   * Find the procedure billed under any of the given codes
+   * @param {Array} codes - Billing codes [{code, type}]
+   * @returns {Object|null} Procedure entry
+   */
+  findByCodes(codes) {
+    for (const c of codes) {
+      const entry = this.procedureByCode.get(`${String(c.type).toUpperCase()}:${c.code}`);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Rank catalog entries against free text such as "knee surgery" or "27447"
+   * @param {string} text - Free-text query
+   * @returns {Array} Matches [{procedure, score}] with the best match first
+   */
+  search(text) {
+    const query = this.normalizeText(text);
+    if (!query) return [];
+
+    const queryTokens = query.split(' ').filter(token => !this.stopWords.includes(token));
+    if (queryTokens.length === 0) return [];
+
+    return this.procedures.map(entry => {
+      const phrases = [entry.name, entry.key.replace(/-/g, ' '), ...entry.synonyms].map(p => this.normalizeText(p));
+
+      // Exact phrase or billing code matches beat any partial match
+      if (phrases.includes(query) || entry.codes.some(c => c.code === query)) {
+        return { procedure: entry, score: 2 };
+      }
+
+      const matchesToken = (tokens, token) =>
+        tokens.has(token) || (token.length >= 3 && [...tokens].some(t => t.startsWith(token)));
+      const phraseTokens = new Set(phrases.join(' ').split(' '));
+      const nameTokens = new Set(phrases[0].split(' '));
+      const matched = queryTokens.filter(token => matchesToken(phraseTokens, token));
+      // Words found in the display name count slightly more than synonym-only hits
+      const inName = queryTokens.filter(token => matchesToken(nameTokens, token));
+      return { procedure: entry, score: (matched.length + inName.length * 0.1) / queryTokens.length };
+    })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Resolve free text to a single catalog entry
+   * @param {string} text - Free-text query
+   * @returns {Object|null} Procedure entry, or null if nothing matches or the match is ambiguous
+   */
+  resolve(text) {
+    const [best, runnerUp] = this.search(text);
+    if (!best || best.score < 0.5) return null;
+    if (runnerUp && runnerUp.score === best.score) return null;
+    return best.procedure;
+  }
+
+  /**
+   * Lowercase text and strip punctuation for matching
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,241 @@
+/**
+ * Ranking Engine for HealthCare Compass
+ * Scores hospitals on weighted factors (price, quality rating, distance,
+ * volume and specialty match) for the "Recommended" ordering on the search
+ * and Top Hospitals pages. Weights are user-adjustable and kept in localStorage.
+ */
+
+class RankingEngine {
+  /**
+   * @param {DataService} dataService - Data service used for distances
+   * @param {HospitalService} hospitalService - Hospital service providing prices and specialties
+   */
+  constructor(dataService, hospitalService) {
+    this.dataService = dataService;
+    this.hospitalService = hospitalService;
+    this.storageKey = 'rankingWeights';
+    this.maxDistance = 100; // miles; anything this far or farther scores 0 for distance
+
+    // Each factor scores a hospital from 0 to 1, or null when the hospital has no data for it.
+    // A factor that isn't active for the current search (no location, no specialty) is left out entirely.
+    this.factors = [
+      {
+        key: 'price',
+        label: 'Price',
+        defaultWeight: 30,
+        isActive: context => Boolean(context.procedure),
+        score: (hospital, context) => this.scorePrice(hospital, context.procedure)
+      },
+      {
+        key: 'rating',
+        label: 'Quality rating',
+        defaultWeight: 30,
+        isActive: () => true,
+        score: hospital => (typeof hospital.rating === 'number' ? (hospital.rating - 1) / 4 : null)
+      },
+      {
+        key: 'distance',
+        label: 'Distance',
+        defaultWeight: 20,
+        isActive: context => Boolean(context.referencePoint),
+        score: (hospital, context) => {
+          const distance = this.dataService.getDistance(context.referencePoint, hospital);
+          return Math.max(0, 1 - distance / this.maxDistance);
+        }
+      },
+      {
+        key: 'volume',
+        label: 'Volume',
+        defaultWeight: 10,
+        isActive: () => true,
+        score: (hospital, context) => (hospital.UTILIZATION > 0 && context.maxUtilization > 0 ?
+          Math.log1p(hospital.UTILIZATION) / Math.log1p(context.maxUtilization) : null)
+      },
+      {
+        key: 'specialty',
+        label: 'Specialty match',
+        defaultWeight: 10,
+        isActive: context => context.specialties.length > 0,
+        score: (hospital, context) =>
+          (this.hospitalService.getSpecialties(hospital).some(s => context.specialties.includes(s)) ? 1 : 0)
+      }
+    ];
+
+    this.weights = this.loadWeights();
+  }
+
+  /**
+   * Read the stored weights, falling back to the defaults
+   * @returns {Object} Weights (0-100) keyed by factor
+   */
+  loadWeights() {
+    const weights = {};
+    this.factors.forEach(factor => { weights[factor.key] = factor.defaultWeight; });
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      this.factors.forEach(factor => {
+        if (typeof stored[factor.key] === 'number') weights[factor.key] = stored[factor.key];
+      });
+    } catch (error) {
+      console.warn('Ignoring unreadable ranking weights:', error);
+    }
+    return weights;
+  }
+
+  /**
+   * Change a factor's weight and store it
+   * @param {string} key - Factor key
+   * @param {number} weight - Weight from 0 to 100
+   */
+  setWeight(key, weight) {
+    this.weights[key] = Math.min(100, Math.max(0, weight));
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.weights));
+    } catch (error) {
+      console.warn('Could not save ranking weights:', error);
+    }
+  }
+
+  /**
+   * Put every weight back to its default
+   */
+  resetWeights() {
+    this.factors.forEach(factor => this.setWeight(factor.key, factor.defaultWeight));
+  }
+
+  /**
+   * Score a procedure price against the catalog's typical price band
+   * At or below the low end scores 1, at or above the high end scores 0
+   * @param {Object} hospital - Hospital
+   * @param {string} procedure - Procedure key
+   * @returns {number|null} Score, or null if no price is published
+   */
+  scorePrice(hospital, procedure) {
+    const cost = this.hospitalService.getProcedureCost(hospital, procedure);
+    const entry = window.procedureCatalog.get(procedure);
+    if (cost === null || !entry || !entry.typicalPrice) return null;
+
+    const { min, max } = entry.typicalPrice;
+    return Math.min(1, Math.max(0, (max - cost) / (max - min)));
+  }
+
+  /**
+   * Build the scoring context for a search
+   * Without explicit specialties, the procedure's category is used when hospitals list it as a specialty
+   * @param {Object} options - {procedure, referencePoint, specialties}
+   * @returns {Object} Scoring context
+   */
+  createContext({ procedure = null, referencePoint = null, specialties = [] }) {
+    const entry = procedure ? window.procedureCatalog.get(procedure) : null;
+    const category = entry ? entry.category : null;
+    const categorySpecialties = this.hospitalService.getAllSpecialties().includes(category) ? [category] : [];
+    return {
+      procedure,
+      referencePoint,
+      specialties: specialties.length ? specialties : categorySpecialties,
+      maxUtilization: this.dataService.maxUtilization
+    };
+  }
+
+  /**
+   * Score one hospital
+   * @param {Object} hospital - Hospital
+   * @param {Object} context - Context from createContext
+   * @returns {Object} {total (0-100), factors: [{key, label, share, score, points}]}
+   */
+  scoreHospital(hospital, context) {
+    const active = this.factors.filter(factor => factor.isActive(context) && this.weights[factor.key] > 0);
+    const totalWeight = active.reduce((sum, factor) => sum + this.weights[factor.key], 0);
+
+    const factors = active.map(factor => {
+      const share = totalWeight ? this.weights[factor.key] / totalWeight : 0;
+      const score = factor.score(hospital, context);
+      // Missing data earns no points, so unpublished prices and unrated hospitals rank lower
+      return { key: factor.key, label: factor.label, share, score, points: (score || 0) * share * 100 };
+    });
+
+    return { total: factors.reduce((sum, factor) => sum + factor.points, 0), factors };
+  }
+
+  /**
+   * Rank hospitals, best first
+   * @param {Array} hospitals - Hospitals
+   * @param {Object} context - Context from createContext
+   * @returns {Array} [{hospital, result}] sorted by total score
+   */
+  rank(hospitals, context) {
+    return hospitals
+      .map(hospital => ({ hospital, result: this.scoreHospital(hospital, context) }))
+      .sort((a, b) => b.result.total - a.result.total || a.hospital.NAME.localeCompare(b.hospital.NAME));
+  }
+
+  /**
+   * Build the "why is this ranked here" breakdown
+   * @param {Object} result - Result from scoreHospital
+   * @param {number} rank - 1-based position in the ranking
+   * @returns {string} HTML
+   */
+  createBreakdownHTML(result, rank) {
+    const rows = result.factors.map(factor => `
+              <tr>
+                <td>${factor.label}</td>
+                <td>${Math.round(factor.share * 100)}%</td>
+                <td>${factor.score === null ? 'No data' : `${Math.round(factor.score * 100)}/100`}</td>
+                <td>+${factor.points.toFixed(1)}</td>
+              </tr>`).join('');
+
+    return `
+          <details class="score-breakdown">
+            <summary>Score ${Math.round(result.total)} &middot; Why #${rank}?</summary>
+            <table>
+              <thead>
+                <tr><th>Factor</th><th>Weight</th><th>Score</th><th>Points</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </details>`;
+  }
+
+  /**
+   * Render weight sliders into a container
+   * @param {HTMLElement} container - Element to fill
+   * @param {Function} onChange - Called after a weight changes
+   */
+  renderControls(container, onChange) {
+    if (!container) return;
+
+    container.innerHTML = `
+      <details class="ranking-weights">
+        <summary><i class="fas fa-sliders-h"></i> Adjust "Recommended" ranking</summary>
+        <div class="ranking-weights-grid">
+          ${this.factors.map(factor => `
+            <label>
+              <span>${factor.label} <output data-weight-output="${factor.key}">${this.weights[factor.key]}</output></span>
+              <input type="range" min="0" max="100" step="5" value="${this.weights[factor.key]}" data-weight="${factor.key}">
+            </label>`).join('')}
+        </div>
+        <button class="btn btn-outline" data-weight-reset>Reset weights</button>
+      </details>
+    `;
+
+    container.querySelectorAll('input[data-weight]').forEach(input => {
+      input.addEventListener('input', () => {
+        this.setWeight(input.dataset.weight, parseInt(input.value, 10));
+        container.querySelector(`[data-weight-output="${input.dataset.weight}"]`).textContent = input.value;
+      });
+      // Re-rank once the slider is released rather than on every step
+      input.addEventListener('change', () => onChange());
+    });
+
+    container.querySelector('[data-weight-reset]').addEventListener('click', () => {
+      this.resetWeights();
+      container.querySelectorAll('input[data-weight]').forEach(input => {
+        input.value = this.weights[input.dataset.weight];
+        container.querySelector(`[data-weight-output="${input.dataset.weight}"]`).textContent = input.value;
+      });
+      onChange();
+    });
+  }
+}
+
+// Will be initialized in main.js
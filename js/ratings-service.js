@@ -0,0 +1,123 @@
+/**
+ * Ratings Service for HealthCare Compass
+ * Loads hospital quality ratings and merges them into the hospital data
+ */
+
+class RatingsService {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {string|Object} source - URL of a CSV/JSON ratings file, or an object
+   *   with an async load() method resolving to an array of rating records
+   */
+  constructor(dataService, source = './data/ratings.csv') {
+    this.dataService = dataService;
+    this.source = source;
+    this.ratingsById = new Map();
+
+    // Accepted column names for each field, CMS Care Compare names included
+    this.fieldAliases = {
+      id: ['Id', 'ID', 'id'],
+      starRating: ['STAR_RATING', 'Hospital overall rating', 'starRating', 'rating'],
+      surveyCount: ['SURVEY_COUNT', 'Number of Completed Surveys', 'surveyCount', 'surveys'],
+      measureDate: ['MEASURE_DATE', 'Measure End Date', 'measureDate']
+    };
+  }
+
+  /**
+   * Load ratings from the configured source and merge them into hospitalsData
+   * Hospitals without a rating record are marked as unrated
+   * @returns {Promise} Promise that resolves with the ratings map keyed by Id
+   */
+  async loadRatings() {
+    this.ratingsById = new Map();
+
+    try {
+      const records = await this.fetchRecords(this.source);
+      records.forEach(record => {
+        const rating = this.normalizeRecord(record);
+        if (rating) this.ratingsById.set(rating.id, rating);
+      });
+      console.log(`Loaded ratings for ${this.ratingsById.size} hospitals`);
+    } catch (error) {
+      // Missing ratings should not break the app; everyone is simply unrated
+      console.warn('Error loading ratings data:', error);
+    }
+
+    this.applyRatings(this.dataService.hospitalsData);
+    return this.ratingsById;
+  }
+
+  /**
+   * Fetch raw rating records from a URL or a custom data source
+   * @param {string|Object} source - Ratings source
+   * @returns {Promise} Promise that resolves with an array of records
+   */
+  async fetchRecords(source) {
+    if (source && typeof source.load === 'function') {
+      return source.load();
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load ratings from ${source} (${response.status})`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (source.toLowerCase().endsWith('.json') || contentType.includes('json')) {
+      const json = await response.json();
+      return Array.isArray(json) ? json : (json.ratings || []);
+    }
+
+    return this.dataService.parseCSV(await response.text());
+  }
+
+  /**
+   * Normalize a raw record into {id, starRating, surveyCount, measureDate}
+   * @param {Object} record - Raw CSV row or JSON object
+   * @returns {Object|null} Normalized rating, or null if the record has no Id
+   */
+  normalizeRecord(record) {
+    const id = this.readField(record, 'id');
+    if (!id) return null;
+
+    const starRating = parseFloat(this.readField(record, 'starRating'));
+    const surveyCount = parseInt(this.readField(record, 'surveyCount'));
+
+    return {
+      id: String(id).trim(),
+      // CMS publishes "Not Available" for unrated facilities
+      starRating: starRating >= 1 && starRating <= 5 ? starRating : null,
+      surveyCount: isNaN(surveyCount) ? 0 : surveyCount,
+      measureDate: this.readField(record, 'measureDate') || ''
+    };
+  }
+
+  /**
+   * Read a field from a record using the known column aliases
+   * @param {Object} record - Raw record
+   * @param {string} field - Normalized field name
+   * @returns {*} Field value or undefined
+   */
+  readField(record, field) {
+    const key = this.fieldAliases[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+    return key ? record[key] : undefined;
+  }
+
+  /**
+   * Attach rating fields to each hospital
+   * @param {Array} hospitals - Hospitals to update in place
+   */
+  applyRatings(hospitals) {
+    hospitals.forEach(hospital => {
+      const rating = this.ratingsById.get(hospital.Id);
+      const isRated = Boolean(rating && rating.starRating !== null);
+
+      hospital.rating = isRated ? rating.starRating : null;
+      hospital.reviews = isRated ? rating.surveyCount : 0;
+      hospital.ratingDate = isRated ? rating.measureDate : '';
+      hospital.ratingStatus = isRated ? 'rated' : 'unrated';
+    });
+  }
+}
+
+// Will be initialized in main.js
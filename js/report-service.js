@@ -0,0 +1,366 @@
+/**
+ * Report Service for HealthCare Compass
+ * Builds cost comparison reports and downloads them as CSV, Markdown or PDF.
+ * PDFs are generated in the browser with jsPDF; without it the report opens
+ * as a print-ready page instead.
+ */
+
+class ReportService {
+  constructor() {
+    this.title = 'Hospital Cost Comparison Report';
+    this.disclaimers = [
+      'Prices come from the hospitals\' published standard charge files and are shown as published; they are not a quote.',
+      'The price shown is the discounted cash price when published, otherwise the lowest negotiated rate, otherwise the gross charge.',
+      'What you pay depends on your insurance, your plan\'s deductible and coinsurance, and the care you actually receive.',
+      'Contact the hospital and your insurer for an estimate before scheduling care.'
+    ];
+  }
+
+  /**
+   * Collect everything a report shows
+   * @param {Array} hospitals - Hospitals to include, in column order
+   * @param {Array} procedureKeys - Catalog keys of the procedures to include
+   * @returns {Object} Report {title, generatedOn, procedures, hospitals, disclaimers}
+   */
+  buildReport(hospitals, procedureKeys) {
+    const procedures = procedureKeys
+      .map(key => window.procedureCatalog.get(key))
+      .filter(Boolean)
+      .map(entry => ({
+        key: entry.key,
+        name: entry.name,
+        codes: entry.codes.map(c => `${c.type} ${c.code}`).join(', ')
+      }));
+
+    return {
+      title: this.title,
+      generatedOn: new Date().toLocaleDateString(),
+      procedures,
+      hospitals: hospitals.map(hospital => ({
+        name: hospital.NAME,
+        address: `${hospital.ADDRESS}, ${hospital.CITY}, ${hospital.STATE} ${this.formatZip(hospital.ZIP)}`,
+        prices: procedures.map(procedure => this.getPriceDetails(hospital, procedure.key))
+      })),
+      disclaimers: this.disclaimers
+    };
+  }
+
+  /**
+   * Describe one hospital's price for a procedure
+   * @param {Object} hospital - Hospital
+   * @param {string} procedure - Procedure key
+   * @returns {Object|null} {price, priceType, minNegotiated, maxNegotiated, source, lastUpdated}, or null if not published
+   */
+  getPriceDetails(hospital, procedure) {
+    const summary = hospital.prices ? hospital.prices[procedure] : null;
+    const price = hospital.costs ? hospital.costs[procedure] : undefined;
+    if (!summary || typeof price !== 'number') return null;
+
+    const priceType = summary.discountedCash !== null ? 'Cash price' :
+      summary.minNegotiated !== null ? 'Lowest negotiated rate' : 'Gross charge';
+    return {
+      price,
+      priceType,
+      minNegotiated: summary.minNegotiated,
+      maxNegotiated: summary.maxNegotiated,
+      source: summary.source,
+      lastUpdated: summary.lastUpdated
+    };
+  }
+
+  /**
+   * Download a report
+   * @param {string} format - 'csv', 'markdown' or 'pdf'
+   * @param {Array} hospitals - Hospitals to include
+   * @param {Array} procedureKeys - Catalog keys of the procedures to include
+   */
+  exportReport(format, hospitals, procedureKeys) {
+    if (!hospitals || hospitals.length === 0) return;
+
+    const report = this.buildReport(hospitals, procedureKeys);
+    if (format === 'csv') {
+      this.download(this.toCSV(report), this.getFileName('csv'), 'text/csv');
+    } else if (format === 'markdown') {
+      this.download(this.toMarkdown(report), this.getFileName('md'), 'text/markdown');
+    } else if (format === 'pdf') {
+      if (window.jspdf) {
+        this.download(this.toPDF(report), this.getFileName('pdf'), 'application/pdf');
+      } else {
+        this.openPrintView(report);
+      }
+    }
+  }
+
+  /**
+   * Build the CSV version: a short preamble, then one row per hospital and procedure
+   * @param {Object} report - Report from buildReport
+   * @returns {string} CSV text
+   */
+  toCSV(report) {
+    const lines = [
+      [report.title],
+      ['Generated', report.generatedOn],
+      ...report.disclaimers.map(text => ['Note', text]),
+      [],
+      ['Hospital', 'Address', 'Procedure', 'Codes', 'Price', 'Price Type',
+        'Negotiated Min', 'Negotiated Max', 'Source', 'Last Updated']
+    ];
+
+    report.hospitals.forEach(hospital => {
+      report.procedures.forEach((procedure, index) => {
+        const details = hospital.prices[index];
+        lines.push(details ? [
+          hospital.name, hospital.address, procedure.name, procedure.codes,
+          details.price.toFixed(2), details.priceType,
+          details.minNegotiated === null ? '' : details.minNegotiated.toFixed(2),
+          details.maxNegotiated === null ? '' : details.maxNegotiated.toFixed(2),
+          details.source, details.lastUpdated
+        ] : [hospital.name, hospital.address, procedure.name, procedure.codes, '', 'Not published', '', '', '', '']);
+      });
+    });
+
+    return lines.map(values => values.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the Markdown version
+   * @param {Object} report - Report from buildReport
+   * @returns {string} Markdown text
+   */
+  toMarkdown(report) {
+    const cell = text => String(text).replace(/\|/g, '\\|');
+    const header = ['Procedure', ...report.hospitals.map(h => h.name)];
+
+    let markdown = `# ${report.title}\n\n`;
+    markdown += `Generated on ${report.generatedOn}\n\n`;
+
+    markdown += '## Hospitals\n\n';
+    report.hospitals.forEach(hospital => {
+      markdown += `- **${cell(hospital.name)}**, ${cell(hospital.address)}\n`;
+    });
+
+    markdown += '\n## Prices\n\n';
+    markdown += `| ${header.map(cell).join(' | ')} |\n`;
+    // One separator per column, including the procedure column
+    markdown += `|${header.map(() => ' --- ').join('|')}|\n`;
+    report.procedures.forEach((procedure, index) => {
+      const prices = report.hospitals.map(hospital => {
+        const details = hospital.prices[index];
+        return details ? `${this.formatDollars(details.price)} (${details.priceType.toLowerCase()})` : 'Not published';
+      });
+      markdown += `| ${[procedure.name, ...prices].map(cell).join(' | ')} |\n`;
+    });
+
+    markdown += '\n## Price Sources\n\n';
+    report.hospitals.forEach(hospital => {
+      markdown += `- **${cell(hospital.name)}**: ${this.getSourceText(hospital)}\n`;
+    });
+
+    markdown += '\n## Disclaimers\n\n';
+    report.disclaimers.forEach(text => {
+      markdown += `- ${text}\n`;
+    });
+    return markdown;
+  }
+
+  /**
+   * Build the PDF version with jsPDF
+   * @param {Object} report - Report from buildReport
+   * @returns {Blob} PDF file
+   */
+  toPDF(report) {
+    const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+    const margin = 40;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - margin * 2;
+    const lineHeight = 12;
+    let y = margin;
+
+    // Start a new page when the next block would run past the bottom margin
+    const ensureSpace = height => {
+      if (y + height > pageHeight - margin) {
+        doc.addPage();
+        y = margin;
+      }
+    };
+    const writeLines = (text, size, style = 'normal') => {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+      const lines = doc.splitTextToSize(text, contentWidth);
+      const height = lines.length * size * 1.3;
+      ensureSpace(height);
+      doc.text(lines, margin, y + size, { lineHeightFactor: 1.3 });
+      y += height + 4;
+    };
+
+    writeLines(report.title, 18, 'bold');
+    writeLines(`Generated on ${report.generatedOn}`, 10);
+    y += 6;
+
+    writeLines('Hospitals', 13, 'bold');
+    report.hospitals.forEach(hospital => writeLines(`${hospital.name} - ${hospital.address}`, 10));
+    y += 6;
+
+    // Price table: procedure column, then one column per hospital
+    writeLines('Prices', 13, 'bold');
+    const firstColumnWidth = 150;
+    const columnWidth = (contentWidth - firstColumnWidth) / report.hospitals.length;
+    const columnX = index => margin + (index === 0 ? 0 : firstColumnWidth + (index - 1) * columnWidth);
+    const drawRow = (cells, style) => {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(9);
+      const wrapped = cells.map((text, index) =>
+        doc.splitTextToSize(text, (index === 0 ? firstColumnWidth : columnWidth) - 8));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + 6;
+      ensureSpace(height);
+      wrapped.forEach((lines, index) => doc.text(lines, columnX(index), y + 10));
+      y += height;
+      doc.setDrawColor(224, 224, 224);
+      doc.line(margin, y - 3, margin + contentWidth, y - 3);
+    };
+
+    drawRow(['Procedure', ...report.hospitals.map(h => h.name)], 'bold');
+    report.procedures.forEach((procedure, index) => {
+      drawRow([
+        `${procedure.name}\n${procedure.codes}`,
+        ...report.hospitals.map(hospital => {
+          const details = hospital.prices[index];
+          return details ? `${this.formatDollars(details.price)}\n${details.priceType}` : 'Not published';
+        })
+      ], 'normal');
+    });
+    y += 10;
+
+    writeLines('Price Sources', 13, 'bold');
+    report.hospitals.forEach(hospital => writeLines(`${hospital.name}: ${this.getSourceText(hospital)}`, 10));
+    y += 6;
+
+    writeLines('Disclaimers', 13, 'bold');
+    report.disclaimers.forEach(text => writeLines(`- ${text}`, 9));
+
+    return doc.output('blob');
+  }
+
+  /**
+   * Open the report as a print-ready page, for saving as PDF from the print dialog
+   * @param {Object} report - Report from buildReport
+   */
+  openPrintView(report) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      console.warn('Could not open the print view; the browser blocked the popup');
+      return;
+    }
+
+    const rows = report.procedures.map((procedure, index) => `
+          <tr>
+            <th>${HtmlUtils.escape(procedure.name)}<div class="codes">${HtmlUtils.escape(procedure.codes)}</div></th>
+            ${report.hospitals.map(hospital => {
+              const details = hospital.prices[index];
+              return details ? `<td>${this.formatDollars(details.price)}<div class="codes">${HtmlUtils.escape(details.priceType)}</div></td>` : '<td>Not published</td>';
+            }).join('')}
+          </tr>`).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+      <html>
+      <head>
+        <title>${HtmlUtils.escape(report.title)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; font-size: 12px; margin: 30px; }
+          table { width: 100%; border-collapse: collapse; margin: 10px 0 20px; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #ccc; vertical-align: top; }
+          .codes { font-size: 10px; color: #666; font-weight: normal; }
+          @page { size: landscape; }
+        </style>
+      </head>
+      <body>
+        <h1>${HtmlUtils.escape(report.title)}</h1>
+        <p>Generated on ${HtmlUtils.escape(report.generatedOn)}</p>
+        <h2>Hospitals</h2>
+        <ul>${report.hospitals.map(h => `<li><strong>${HtmlUtils.escape(h.name)}</strong>, ${HtmlUtils.escape(h.address)}</li>`).join('')}</ul>
+        <h2>Prices</h2>
+        <table>
+          <thead><tr><th>Procedure</th>${report.hospitals.map(h => `<th>${HtmlUtils.escape(h.name)}</th>`).join('')}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <h2>Price Sources</h2>
+        <ul>${report.hospitals.map(h => `<li><strong>${HtmlUtils.escape(h.name)}</strong>: ${HtmlUtils.escape(this.getSourceText(h))}</li>`).join('')}</ul>
+        <h2>Disclaimers</h2>
+        <ul>${report.disclaimers.map(text => `<li>${HtmlUtils.escape(text)}</li>`).join('')}</ul>
+      </body>
+      </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  /**
+   * Describe where a hospital's prices came from
+   * @param {Object} hospital - Report hospital
+   * @returns {string} Source files and dates
+   */
+  getSourceText(hospital) {
+    const sources = [...new Set(hospital.prices
+      .filter(Boolean)
+      .map(details => `${details.source}${details.lastUpdated ? `, updated ${details.lastUpdated}` : ''}`))];
+    return sources.length ? sources.join('; ') : 'No published prices for these procedures';
+  }
+
+  /**
+   * Format a dollar amount
+   * @param {number} amount - Amount
+   * @returns {string} Formatted amount
+   */
+  formatDollars(amount) {
+    return `$${Math.round(amount).toLocaleString()}`;
+  }
+
+  /**
+   * Format a ZIP code the way the detail page does
+   * @param {string} zip - Raw ZIP code
+   * @returns {string} Formatted ZIP code
+   */
+  formatZip(zip) {
+    return window.hospitalDetailView ? window.hospitalDetailView.formatZip(zip) : zip;
+  }
+
+  /**
+   * Quote a CSV value when it contains a comma, quote or line break
+   * @param {*} value - Value
+   * @returns {string} CSV field
+   */
+  escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build a dated file name
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  getFileName(extension) {
+    return `hospital-cost-report-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Save content as a file
+   * @param {string|Blob} content - File content
+   * @param {string} fileName - File name
+   * @param {string} type - MIME type
+   */
+  download(content, fileName, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,170 @@
+/**
+ * Road Graph for HealthCare Compass
+ * Estimates drive times over a road network preprocessed from an
+ * OpenStreetMap extract. Points are snapped to the nearest road node and
+ * shortest travel times come from Dijkstra's algorithm.
+ *
+ * Compact graph format (JSON), written by scripts/build-road-graph.js:
+ * {
+ *   "format": "road-graph", "version": 1,
+ *   "scale": 100000,               // Coordinates are stored as integers: degrees * scale
+ *   "nodes": [lat0, lon0, dLat1, dLon1, ...],  // Each pair is the change from the previous node
+ *   "edges": [from, to, seconds, ...]          // Two-way road segments with their drive time
+ * }
+ */
+
+class RoadGraph {
+  /**
+   * @param {Object} options - {accessSpeed (mph), maxSnapDistance (miles)}
+   */
+  constructor({ accessSpeed = 20, maxSnapDistance = 10 } = {}) {
+    this.accessSpeed = accessSpeed; // Speed assumed between a point and its nearest road node
+    this.maxSnapDistance = maxSnapDistance; // Points farther than this from any road are outside the graph
+    this.nodeCount = 0;
+    this.offsets = new Int32Array(1); // Adjacency lists in compressed rows: node i's edges are offsets[i]..offsets[i + 1]
+    this.targets = new Int32Array(0);
+    this.seconds = new Float32Array(0);
+    this.nodeIndex = new SpatialIndex();
+    this.snapCache = new Map(); // Hospital Id -> {node, miles}
+  }
+
+  /**
+   * Load a graph in the compact format
+   * @param {Object} graph - Parsed graph JSON
+   * @returns {RoadGraph} This graph
+   */
+  load(graph) {
+    if (!graph || graph.format !== 'road-graph' || graph.version !== 1) {
+      throw new Error('Unsupported road graph format');
+    }
+
+    const scale = graph.scale || 100000;
+    const nodes = [];
+    let lat = 0;
+    let lon = 0;
+    for (let i = 0; i + 1 < graph.nodes.length; i += 2) {
+      lat += graph.nodes[i];
+      lon += graph.nodes[i + 1];
+      nodes.push({ LAT: lat / scale, LON: lon / scale, node: nodes.length });
+    }
+    this.nodeCount = nodes.length;
+
+    // Count each node's edges, then fill the rows; every segment is stored in both directions
+    const edges = graph.edges;
+    const degree = new Int32Array(this.nodeCount + 1);
+    for (let i = 0; i + 2 < edges.length; i += 3) {
+      degree[edges[i] + 1]++;
+      degree[edges[i + 1] + 1]++;
+    }
+    this.offsets = new Int32Array(this.nodeCount + 1);
+    for (let i = 1; i <= this.nodeCount; i++) this.offsets[i] = this.offsets[i - 1] + degree[i];
+    this.targets = new Int32Array(this.offsets[this.nodeCount]);
+    this.seconds = new Float32Array(this.offsets[this.nodeCount]);
+    const next = this.offsets.slice(0, this.nodeCount);
+    for (let i = 0; i + 2 < edges.length; i += 3) {
+      const [from, to, time] = [edges[i], edges[i + 1], edges[i + 2]];
+      this.targets[next[from]] = to;
+      this.seconds[next[from]++] = time;
+      this.targets[next[to]] = from;
+      this.seconds[next[to]++] = time;
+    }
+
+    this.nodeIndex.build(nodes);
+    this.snapCache = new Map();
+    return this;
+  }
+
+  /**
+   * Estimate drive times from a point to each hospital
+   * @param {Object} origin - Point {lat, lon}
+   * @param {Array} hospitals - Hospitals
+   * @returns {Promise} Promise that resolves with a Map of hospital Id -> minutes; hospitals off the graph are left out
+   */
+  async getTravelTimes(origin, hospitals) {
+    const times = new Map();
+    const start = this.snap(origin);
+    if (!start) return times;
+
+    const seconds = this.getShortestTimes(start.node);
+    hospitals.forEach(hospital => {
+      let end = this.snapCache.get(hospital.Id);
+      if (end === undefined) {
+        end = this.snap({ lat: hospital.LAT, lon: hospital.LON });
+        this.snapCache.set(hospital.Id, end);
+      }
+      if (!end || !isFinite(seconds[end.node])) return;
+      const accessMinutes = (start.miles + end.miles) / this.accessSpeed * 60;
+      times.set(hospital.Id, seconds[end.node] / 60 + accessMinutes);
+    });
+    return times;
+  }
+
+  /**
+   * Find the road node nearest a point
+   * @param {Object} point - Point {lat, lon}
+   * @returns {Object|null} {node, miles}, or null if no road is close enough
+   */
+  snap(point) {
+    const [nearest] = this.nodeIndex.nearest(point, 1);
+    if (!nearest || nearest.distance > this.maxSnapDistance) return null;
+    return { node: nearest.item.node, miles: nearest.distance };
+  }
+
+  /**
+   * Dijkstra's algorithm from one node to every other
+   * @param {number} source - Start node
+   * @returns {Float64Array} Seconds to each node (Infinity if unreachable)
+   */
+  getShortestTimes(source) {
+    const times = new Float64Array(this.nodeCount).fill(Infinity);
+    times[source] = 0;
+
+    // Binary min-heap of [seconds, node]; stale entries are skipped when popped
+    const heap = [[0, source]];
+    const push = entry => {
+      heap.push(entry);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    while (heap.length) {
+      const [time, node] = pop();
+      if (time > times[node]) continue;
+      for (let e = this.offsets[node]; e < this.offsets[node + 1]; e++) {
+        const target = this.targets[e];
+        const candidate = time + this.seconds[e];
+        if (candidate < times[target]) {
+          times[target] = candidate;
+          push([candidate, target]);
+        }
+      }
+    }
+    return times;
+  }
+}
+
+// Will be initialized in main.js
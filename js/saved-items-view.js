@@ -0,0 +1,514 @@
+/**
+ * Saved Items View for HealthCare Compass
+ * Named searches and a watchlist of hospitals for the signed-in user, kept in
+ * IndexedDB and listed on the #/saved page. Each watched hospital keeps a
+ * snapshot of its prices and rating; whenever hospital data is loaded the
+ * snapshots are compared with the new data and any changes are listed in the
+ * notification panel.
+ */
+
+class SavedItemsView {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {HospitalService} hospitalService - Hospital service whose search state is saved
+   * @param {UserDataStore} store - Storage for each user's saved items
+   * @param {AuthService} authService - Auth service; saved items belong to the signed-in user
+   */
+  constructor(dataService, hospitalService, store, authService) {
+    this.dataService = dataService;
+    this.hospitalService = hospitalService;
+    this.store = store;
+    this.authService = authService;
+    this.route = '#/saved';
+    this.requiresAuth = true;
+    this.profile = this.createEmptyProfile(null);
+    this.message = '';
+
+    // DOM elements
+    this.viewElement = document.getElementById('savedItems');
+    this.mainSections = document.querySelectorAll('[data-main-view]');
+    this.notificationsElement = document.getElementById('notifications');
+    this.saveSearchButton = document.getElementById('saveSearchBtn');
+    this.notificationsButton = document.getElementById('notificationsBtn');
+    this.notificationCountElement = document.getElementById('notificationCount');
+    this.notificationsPanel = document.getElementById('notificationsPanel');
+
+    this.initEventListeners();
+  }
+
+  /**
+   * Listen for saving, watching and the notification panel
+   */
+  initEventListeners() {
+    if (this.saveSearchButton) {
+      this.saveSearchButton.addEventListener('click', () => this.promptSaveSearch());
+    }
+
+    if (this.viewElement) {
+      this.viewElement.addEventListener('click', (e) => this.handleAction(e));
+    }
+
+    // Someone else's items must not stay on screen after signing out
+    this.authService.onChange(() => this.initialize());
+
+    // Watch buttons are on hospital cards and detail pages, which are redrawn often
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-watch-id]');
+      if (!button) return;
+      e.preventDefault();
+      this.toggleWatch(button.dataset.watchId);
+    });
+
+    if (this.notificationsButton && this.notificationsPanel) {
+      this.notificationsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setNotificationsOpen(this.notificationsPanel.hidden);
+      });
+      this.notificationsPanel.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target.closest('[data-action="clear-notifications"]')) this.clearNotifications();
+      });
+      document.addEventListener('click', () => this.setNotificationsOpen(false));
+    }
+  }
+
+  /**
+   * Check whether a URL hash is the saved-items route
+   * @param {string} hash - URL hash
+   * @returns {boolean} Whether the hash shows this view
+   */
+  isRoute(hash) {
+    return String(hash || '') === this.route;
+  }
+
+  /**
+   * Show the saved searches and watchlist
+   */
+  show() {
+    if (!this.viewElement) return;
+    this.viewElement.hidden = false;
+    this.render();
+    this.mainSections.forEach(section => { section.hidden = true; });
+    document.title = 'My Saved Items - HealthCare Compass';
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Hide the saved items and show the search page again
+   */
+  hide() {
+    if (!this.viewElement || this.viewElement.hidden) return;
+    this.viewElement.hidden = true;
+    this.viewElement.innerHTML = '';
+    this.message = '';
+    this.mainSections.forEach(section => { section.hidden = false; });
+    document.title = 'HealthCare Compass';
+  }
+
+  /**
+   * Saved items for a user who hasn't saved anything
+   * @param {string|null} userId - User id, or null when signed out
+   * @returns {Object} {userId, savedSearches, watchlist, notifications}
+   */
+  createEmptyProfile(userId) {
+    return { userId, savedSearches: [], watchlist: [], notifications: [] };
+  }
+
+  /**
+   * Load the signed-in user's saved items and check watched hospitals for changes
+   * Called once the hospital data is loaded, and again whenever the user signs in or out
+   * @returns {Promise} Promise that resolves when everything is drawn
+   */
+  async initialize() {
+    const user = this.authService.getCurrentUser();
+    this.profile = this.createEmptyProfile(user ? user.email : null);
+    this.message = '';
+    if (user) {
+      try {
+        this.profile = await this.store.get(user.email);
+      } catch (error) {
+        console.warn('Could not load saved searches and watchlist:', error);
+        this.message = 'Saved searches and the watchlist are unavailable: this browser does not allow local storage (IndexedDB).';
+      }
+    }
+    if (this.notificationsElement) this.notificationsElement.hidden = !user;
+    await this.checkForChanges();
+    this.hospitalService.renderHospitals();
+  }
+
+  /**
+   * Send a signed-out user to the sign-in page
+   * @param {string} reason - What signing in is needed for
+   * @returns {boolean} True if the user had to be redirected
+   */
+  requireSignIn(reason) {
+    if (this.authService.isAuthenticated()) return false;
+    const returnTo = window.location.hash && window.location.hash !== '#' ? window.location.hash : '#hospital-search-card';
+    window.authView.redirectToLogin(returnTo, reason);
+    return true;
+  }
+
+  /**
+   * Store the signed-in user's saved items
+   * @returns {Promise} Promise that resolves when stored; failures are logged, not thrown
+   */
+  async persist() {
+    if (!this.profile.userId) return;
+    try {
+      await this.store.put(this.profile);
+    } catch (error) {
+      console.warn('Could not save searches and watchlist:', error);
+    }
+  }
+
+  /**
+   * Ask for a name and save the current search
+   */
+  async promptSaveSearch() {
+    if (this.requireSignIn('Sign in to save searches.')) return;
+    const state = this.hospitalService.getState();
+    const suggestion = [state.treatment, state.location].filter(Boolean).join(' near ') || 'All hospitals';
+    const name = window.prompt('Name this search', suggestion);
+    if (name === null || !name.trim()) return;
+    await this.saveSearch(name.trim(), state);
+  }
+
+  /**
+   * Save a search: the query and filters, not the page or the compared hospitals
+   * @param {string} name - Search name
+   * @param {Object} state - Search state from HospitalService.getState
+   * @returns {Promise} Promise that resolves with the saved search
+   */
+  async saveSearch(name, state) {
+    const { page, compare, ...filters } = state;
+    const search = {
+      id: `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      state: filters,
+      createdAt: new Date().toISOString()
+    };
+    this.profile.savedSearches.push(search);
+    await this.persist();
+    if (this.saveSearchButton) {
+      this.saveSearchButton.innerHTML = '<i class="fas fa-check"></i> Saved';
+      setTimeout(() => { this.saveSearchButton.innerHTML = '<i class="fas fa-bookmark"></i> Save Search'; }, 2000);
+    }
+    return search;
+  }
+
+  /**
+   * Run a saved search
+   * @param {string} id - Saved search id
+   */
+  applySearch(id) {
+    const search = this.profile.savedSearches.find(entry => entry.id === id);
+    if (!search) return;
+    this.hospitalService.restoreState({ ...search.state, page: 1 });
+    this.hospitalService.syncUrl();
+    // Leaving the route shows the search page and scrolls to the results
+    window.location.hash = '#hospital-search-card';
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search id
+   * @returns {Promise} Promise that resolves when stored
+   */
+  async deleteSearch(id) {
+    this.profile.savedSearches = this.profile.savedSearches.filter(entry => entry.id !== id);
+    this.message = '';
+    await this.persist();
+    this.render();
+  }
+
+  /**
+   * Whether a hospital is on the watchlist
+   * @param {string} hospitalId - Hospital Id
+   * @returns {boolean} True if watched
+   */
+  isWatched(hospitalId) {
+    return this.profile.watchlist.some(entry => entry.hospitalId === hospitalId);
+  }
+
+  /**
+   * Add a hospital to the watchlist, or remove it
+   * Removing goes by Id alone, so hospitals that left the loaded dataset can still be removed
+   * @param {string} hospitalId - Hospital Id
+   * @returns {Promise} Promise that resolves when stored
+   */
+  async toggleWatch(hospitalId) {
+    if (this.requireSignIn('Sign in to watch hospitals for price and rating changes.')) return;
+    if (this.isWatched(hospitalId)) {
+      this.profile.watchlist = this.profile.watchlist.filter(entry => entry.hospitalId !== hospitalId);
+    } else {
+      const hospital = this.dataService.getHospitalById(hospitalId);
+      if (!hospital) return;
+      this.profile.watchlist.push({
+        hospitalId: hospital.Id,
+        name: hospital.NAME,
+        addedAt: new Date().toISOString(),
+        snapshot: this.takeSnapshot(hospital)
+      });
+    }
+    this.message = '';
+    await this.persist();
+    this.render();
+    this.refreshWatchButtons(hospitalId);
+  }
+
+  /**
+   * Record the values changes are reported for
+   * @param {Object} hospital - Hospital
+   * @returns {Object} {rating, costs, dataset, takenAt}
+   */
+  takeSnapshot(hospital) {
+    return {
+      rating: typeof hospital.rating === 'number' ? hospital.rating : null,
+      costs: { ...(hospital.costs || {}) },
+      dataset: this.getDatasetName(),
+      takenAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Name of the loaded dataset
+   * @returns {string} Dataset name
+   */
+  getDatasetName() {
+    const manager = window.datasetManager;
+    if (!manager) return 'Built-in data';
+    return manager.activeDataset ? manager.activeDataset.name : manager.builtinName;
+  }
+
+  /**
+   * Compare every watched hospital with the loaded data, add what changed to
+   * the notifications and move the snapshots forward
+   * Called after every hospital data load, including dataset switches
+   * @returns {Promise} Promise that resolves with the new notifications
+   */
+  async checkForChanges() {
+    try {
+      // In remote mode watched hospitals are fetched to compare them
+      await this.dataService.loadHospitals(this.profile.watchlist.map(entry => entry.hospitalId));
+    } catch (error) {
+      // Otherwise every one of them would be reported as missing; try again on the next load
+      console.warn('Could not fetch watched hospitals:', error);
+      this.render();
+      this.renderNotifications();
+      return [];
+    }
+
+    const detectedAt = new Date().toISOString();
+    const dataset = this.getDatasetName();
+    const found = [];
+
+    this.profile.watchlist.forEach(entry => {
+      const hospital = this.dataService.getHospitalById(entry.hospitalId);
+      if (!hospital) {
+        // Report a missing hospital once, and keep its snapshot for when it comes back
+        if (!entry.snapshot.missing) {
+          found.push({ hospitalId: entry.hospitalId, name: entry.name, dataset, detectedAt, changes: ['Not in the loaded dataset'] });
+          entry.snapshot.missing = true;
+        }
+        return;
+      }
+
+      const changes = this.diffSnapshots(entry.snapshot, this.takeSnapshot(hospital));
+      if (changes.length) {
+        found.push({ hospitalId: entry.hospitalId, name: hospital.NAME, dataset, detectedAt, changes });
+      }
+      entry.name = hospital.NAME;
+      entry.snapshot = this.takeSnapshot(hospital);
+    });
+
+    if (found.length) {
+      this.profile.notifications = [...found, ...this.profile.notifications];
+    }
+    if (this.profile.watchlist.length) await this.persist();
+    this.render();
+    this.renderNotifications();
+    return found;
+  }
+
+  /**
+   * Describe the differences between two snapshots of a hospital
+   * @param {Object} before - Earlier snapshot
+   * @param {Object} after - Current snapshot
+   * @returns {Array} Change descriptions
+   */
+  diffSnapshots(before, after) {
+    const changes = [];
+    const formatMoney = value => `$${Math.round(value).toLocaleString()}`;
+
+    if (before.rating !== after.rating) {
+      if (before.rating === null) changes.push(`Now rated ${after.rating.toFixed(1)} stars`);
+      else if (after.rating === null) changes.push(`Rating of ${before.rating.toFixed(1)} stars withdrawn`);
+      else changes.push(`Rating ${before.rating > after.rating ? 'fell' : 'rose'} from ${before.rating.toFixed(1)} to ${after.rating.toFixed(1)} stars`);
+    }
+
+    const procedures = new Set([...Object.keys(before.costs), ...Object.keys(after.costs)]);
+    procedures.forEach(procedure => {
+      const old = before.costs[procedure];
+      const cost = after.costs[procedure];
+      const name = window.procedureCatalog ? window.procedureCatalog.getDisplayName(procedure) : procedure;
+      if (old === undefined) {
+        changes.push(`${name}: price now published, ${formatMoney(cost)}`);
+      } else if (cost === undefined) {
+        changes.push(`${name}: price no longer published (was ${formatMoney(old)})`);
+      } else if (Math.round(old) !== Math.round(cost)) {
+        const percent = (cost - old) / old * 100;
+        changes.push(`${name}: ${formatMoney(old)} → ${formatMoney(cost)} (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`);
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Dismiss every notification
+   * @returns {Promise} Promise that resolves when stored
+   */
+  async clearNotifications() {
+    this.profile.notifications = [];
+    await this.persist();
+    this.renderNotifications();
+  }
+
+  /**
+   * Open or close the notification panel
+   * @param {boolean} open - Whether to open it
+   */
+  setNotificationsOpen(open) {
+    if (!this.notificationsPanel) return;
+    this.notificationsPanel.hidden = !open;
+    if (this.notificationsButton) this.notificationsButton.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * Handle a click on a saved-items button
+   * @param {Event} e - Click event
+   */
+  handleAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const id = button.dataset.id;
+    if (button.dataset.action === 'apply-search') this.applySearch(id);
+    if (button.dataset.action === 'delete-search') this.deleteSearch(id);
+  }
+
+  /**
+   * Watch button for a hospital card or detail page
+   * @param {Object} hospital - Hospital
+   * @returns {string} HTML
+   */
+  createWatchButton(hospital) {
+    const watched = this.isWatched(hospital.Id);
+    return `
+      <button class="btn btn-outline watch-btn${watched ? ' watched' : ''}" data-watch-id="${HtmlUtils.escape(hospital.Id)}"
+        aria-pressed="${watched}" title="${watched ? 'Stop watching' : 'Get notified when prices or ratings change'}">
+        <i class="${watched ? 'fas' : 'far'} fa-bell"></i> ${watched ? 'Watching' : 'Watch'}
+      </button>`;
+  }
+
+  /**
+   * Redraw the watch buttons for a hospital wherever they are shown
+   * @param {string} hospitalId - Hospital Id
+   */
+  refreshWatchButtons(hospitalId) {
+    const hospital = this.dataService.getHospitalById(hospitalId);
+    if (!hospital) return;
+    // Ids come from data files and imported datasets, so they're escaped for the selector
+    document.querySelectorAll(`[data-watch-id="${CSS.escape(hospitalId)}"]`).forEach(button => {
+      button.outerHTML = this.createWatchButton(hospital);
+    });
+  }
+
+  /**
+   * Draw the saved searches and the watchlist
+   */
+  render() {
+    // Drawn only while the page is open; show() draws it fresh
+    if (!this.viewElement || this.viewElement.hidden) return;
+    const { savedSearches, watchlist } = this.profile;
+
+    this.viewElement.innerHTML = `
+      <div class="container">
+        <a href="#hospital-search-card" class="detail-back"><i class="fas fa-arrow-left"></i> Back to search</a>
+        <div class="card detail-card saved-panel">
+          <h2>My Saved Items</h2>
+          ${this.message ? `<p class="saved-message">${HtmlUtils.escape(this.message)}</p>` : ''}
+          <h4>Saved Searches</h4>
+          ${savedSearches.length ? `
+            <ul class="saved-list">
+              ${savedSearches.map(search => `
+                <li>
+                  <button class="saved-link" data-action="apply-search" data-id="${HtmlUtils.escape(search.id)}">${HtmlUtils.escape(search.name)}</button>
+                  <span class="saved-meta">${HtmlUtils.escape(this.describeSearch(search.state))}</span>
+                  <button class="btn-icon" data-action="delete-search" data-id="${HtmlUtils.escape(search.id)}" title="Delete saved search"><i class="fas fa-trash"></i></button>
+                </li>
+              `).join('')}
+            </ul>` : '<p class="saved-empty">Use "Save Search" above the results to keep a search and its filters.</p>'}
+          <h4>Watchlist</h4>
+          ${watchlist.length ? `
+            <ul class="saved-list">
+              ${watchlist.map(entry => `
+                <li>
+                  <a class="saved-link" href="#/hospital/${encodeURIComponent(entry.hospitalId)}">${HtmlUtils.escape(entry.name)}</a>
+                  <span class="saved-meta">Watching since ${new Date(entry.addedAt).toLocaleDateString()}</span>
+                  <button class="btn-icon" data-watch-id="${HtmlUtils.escape(entry.hospitalId)}" title="Stop watching"><i class="fas fa-times"></i></button>
+                </li>
+              `).join('')}
+            </ul>` : '<p class="saved-empty">Watch a hospital to be told when its prices or rating change.</p>'}
+          <p class="detail-note">Saved for ${HtmlUtils.escape(this.profile.userId)}.</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Summarize a saved search's filters
+   * @param {Object} state - Saved search state
+   * @returns {string} Description
+   */
+  describeSearch(state) {
+    const parts = [];
+    if (state.treatment) parts.push(state.treatment);
+    if (state.location) parts.push(`near ${state.location}`);
+    if (state.specialty && state.specialty !== 'all') parts.push(state.specialty);
+    if (state.facility && state.facility !== 'all') parts.push(state.facility);
+    if (state.budget && state.budget !== 'any') parts.push(`budget ${state.budget}`);
+    if (state.distance && state.distance !== 'any') parts.push(`within ${state.distance.replace('time-', '')} ${state.distance.startsWith('time-') ? 'min' : 'mi'}`);
+    if (state.rating && state.rating !== 'any') parts.push(`${state.rating}+ stars`);
+    return parts.join(' · ') || 'All hospitals';
+  }
+
+  /**
+   * Draw the notification count and panel
+   */
+  renderNotifications() {
+    const notifications = this.profile.notifications;
+    if (this.notificationCountElement) {
+      this.notificationCountElement.hidden = notifications.length === 0;
+      this.notificationCountElement.textContent = notifications.length;
+    }
+    if (!this.notificationsPanel) return;
+
+    this.notificationsPanel.innerHTML = notifications.length ? `
+      <div class="notifications-header">
+        <strong>Changes at watched hospitals</strong>
+        <button class="btn-icon" data-action="clear-notifications" title="Clear notifications">Clear</button>
+      </div>
+      <a href="${this.route}" class="saved-meta">View saved searches and watchlist</a>
+      <ul>
+        ${notifications.map(notification => `
+          <li>
+            <a href="#/hospital/${encodeURIComponent(notification.hospitalId)}">${HtmlUtils.escape(notification.name)}</a>
+            <ul>${notification.changes.map(change => `<li>${HtmlUtils.escape(change)}</li>`).join('')}</ul>
+            <span class="saved-meta">${HtmlUtils.escape(notification.dataset)} &middot; ${new Date(notification.detectedAt).toLocaleDateString()}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : '<p class="saved-empty">No changes at your watched hospitals since your last visit.</p>';
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,283 @@
+/**
+ * Search Index for HealthCare Compass
+ * In-memory inverted index over a list of records. Built once at load, it
+ * answers word, prefix and typo-tolerant queries ("liberty hospitl") without
+ * scanning every record, so search stays fast on a nationwide dataset.
+ */
+
+class SearchIndex {
+  /**
+   * @param {Array} fields - [{name, weight}]; name is the record property indexed, weight ranks matches in it
+   * @param {Object} options - {aliases, maxPrefixTerms}
+   */
+  constructor(fields, { aliases = {}, maxPrefixTerms = 200 } = {}) {
+    this.fields = fields.map((field, index) => ({ ...field, bit: 1 << index }));
+    this.aliases = aliases; // Query word -> index term it also stands for, e.g. st -> saint
+    this.maxPrefixTerms = maxPrefixTerms; // Most index terms a short prefix like "st" expands to
+    this.documents = [];
+    this.postings = new Map(); // term -> {docs: [record index], masks: [bitmask of the fields holding it]}
+    this.terms = []; // Sorted distinct terms, for prefix lookups
+    this.gramIndex = new Map(); // trigram -> [term], for fuzzy lookups
+
+    // How much a match counts toward a record's score
+    this.matchQuality = { exact: 1, prefix: 0.8, fuzzy: [1, 0.6, 0.4] };
+  }
+
+  /**
+   * Index a list of records, replacing anything indexed before
+   * @param {Array} documents - Records to index
+   * @returns {SearchIndex} This index
+   */
+  build(documents) {
+    this.documents = documents;
+    this.postings = new Map();
+
+    documents.forEach((document, docIndex) => {
+      this.fields.forEach(field => {
+        this.tokenize(document[field.name]).forEach(term => {
+          let posting = this.postings.get(term);
+          if (!posting) {
+            posting = { docs: [], masks: [] };
+            this.postings.set(term, posting);
+          }
+          // Records are added in order, so a repeat can only be the last entry
+          const last = posting.docs.length - 1;
+          if (posting.docs[last] === docIndex) {
+            posting.masks[last] |= field.bit;
+          } else {
+            posting.docs.push(docIndex);
+            posting.masks.push(field.bit);
+          }
+        });
+      });
+    });
+
+    this.terms = [...this.postings.keys()].sort();
+    this.gramIndex = new Map();
+    this.terms.forEach(term => {
+      if (term.length < 3) return;
+      this.getTrigrams(term).forEach(gram => {
+        if (!this.gramIndex.has(gram)) this.gramIndex.set(gram, []);
+        this.gramIndex.get(gram).push(term);
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Split text into lowercase words without accents
+   * @param {*} text - Text to split
+   * @returns {Array} Distinct words
+   */
+  tokenize(text) {
+    const words = String(text === undefined || text === null ? '' : text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    return [...new Set(words)];
+  }
+
+  /**
+   * Search the index; every query word must match
+   * Words match exactly, as the start of a longer word, or with a typo or two
+   * @param {string} query - Search text
+   * @param {Object} options - {fields: field names to search (default all), prefix: allow prefix matches, limit}
+   * @returns {Array} [{document, score, terms}] best first; terms are the index terms that matched
+   */
+  search(query, { fields = null, prefix = true, limit = Infinity } = {}) {
+    const tokens = this.tokenize(query);
+    if (tokens.length === 0) return [];
+
+    const fieldMask = this.fields
+      .filter(field => !fields || fields.includes(field.name))
+      .reduce((mask, field) => mask | field.bit, 0);
+
+    // Best score per record for each query word
+    const tokenScores = tokens.map(token => {
+      const scores = new Map();
+      this.expandToken(token, prefix).forEach((quality, term) => {
+        const posting = this.postings.get(term);
+        posting.docs.forEach((docIndex, i) => {
+          const mask = posting.masks[i] & fieldMask;
+          if (!mask) return;
+          const score = quality * this.getFieldWeight(mask);
+          if (score > (scores.get(docIndex) || { score: 0 }).score) scores.set(docIndex, { score, term });
+        });
+      });
+      return scores;
+    });
+
+    // Walk the smallest set and keep records every other word matched too
+    const [smallest] = [...tokenScores].sort((a, b) => a.size - b.size);
+    const results = [];
+    smallest.forEach((unused, docIndex) => {
+      let score = 0;
+      const terms = [];
+      for (const scores of tokenScores) {
+        const match = scores.get(docIndex);
+        if (!match) return;
+        score += match.score;
+        terms.push(match.term);
+      }
+      results.push({ document: this.documents[docIndex], score, terms });
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return limit < results.length ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Find the index terms a query word can stand for
+   * @param {string} token - Query word
+   * @param {boolean} prefix - Whether the word may be the start of a longer term
+   * @returns {Map} term -> match quality
+   */
+  expandToken(token, prefix = true) {
+    const expansions = new Map();
+    if (this.postings.has(token)) expansions.set(token, this.matchQuality.exact);
+    const alias = this.aliases[token];
+    if (alias && this.postings.has(alias)) expansions.set(alias, this.matchQuality.exact);
+
+    if (prefix && token.length >= 2) {
+      let i = this.findFirstTermFrom(token);
+      for (let count = 0; i < this.terms.length && this.terms[i].startsWith(token) && count < this.maxPrefixTerms; i++, count++) {
+        if (!expansions.has(this.terms[i])) expansions.set(this.terms[i], this.matchQuality.prefix);
+      }
+    }
+
+    this.findSimilarTerms(token).forEach((distance, term) => {
+      if (!expansions.has(term)) expansions.set(term, this.matchQuality.fuzzy[distance]);
+    });
+    return expansions;
+  }
+
+  /**
+   * Find terms within a few typos of a word
+   * Short words must match exactly; longer ones allow one edit, or two from eight letters up
+   * @param {string} token - Query word
+   * @returns {Map} term -> edit distance
+   */
+  findSimilarTerms(token) {
+    const similar = new Map();
+    const maxEdits = this.getMaxEdits(token);
+    if (maxEdits === 0) return similar;
+
+    // A term within k edits shares all but at most 3k of the word's trigrams
+    const grams = this.getTrigrams(token);
+    const shared = new Map();
+    grams.forEach(gram => {
+      (this.gramIndex.get(gram) || []).forEach(term => shared.set(term, (shared.get(term) || 0) + 1));
+    });
+
+    const minShared = Math.max(1, grams.size - 3 * maxEdits);
+    shared.forEach((count, term) => {
+      if (count < minShared || term === token || Math.abs(term.length - token.length) > maxEdits) return;
+      const distance = this.getEditDistance(token, term, maxEdits);
+      if (distance <= maxEdits) similar.set(term, distance);
+    });
+    return similar;
+  }
+
+  /**
+   * Number of typos tolerated in a word of this length
+   * @param {string} token - Query word
+   * @returns {number} 0, 1 or 2
+   */
+  getMaxEdits(token) {
+    if (token.length < 4 || /^\d+$/.test(token)) return 0;
+    return token.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+   * Gives up early once the distance is known to exceed maxEdits
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} maxEdits - Largest distance of interest
+   * @returns {number} Distance, or maxEdits + 1 if larger
+   */
+  getEditDistance(a, b, maxEdits) {
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (unused, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, beforePrevious[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > maxEdits) return maxEdits + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Trigrams of a word padded at both ends, so short words still have several
+   * @param {string} word - Word
+   * @returns {Set} Trigrams
+   */
+  getTrigrams(word) {
+    const padded = `^${word}$`;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+  }
+
+  /**
+   * Binary search for the first sorted term not before a prefix
+   * @param {string} prefix - Prefix
+   * @returns {number} Index into this.terms
+   */
+  findFirstTermFrom(prefix) {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.terms[mid] < prefix) low = mid + 1; else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Highest weight among the fields in a bitmask
+   * @param {number} mask - Field bitmask
+   * @returns {number} Weight
+   */
+  getFieldWeight(mask) {
+    return this.fields.reduce((weight, field) => (mask & field.bit ? Math.max(weight, field.weight || 1) : weight), 0);
+  }
+
+  /**
+   * Escape text for HTML and wrap the words a query matched in <mark>
+   * @param {string} text - Text to show
+   * @param {string} query - Search text
+   * @returns {string} HTML
+   */
+  highlight(text, query) {
+    const matched = new Set();
+    this.tokenize(query).forEach(token => {
+      this.expandToken(token).forEach((quality, term) => matched.add(term));
+    });
+
+    return String(text === undefined || text === null ? '' : text)
+      .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+      .map((part, index) => {
+        // Odd parts are words, even parts the text between them
+        const isMatch = index % 2 === 1 && matched.has(this.tokenize(part)[0]);
+        return isMatch ? `<mark>${HtmlUtils.escape(part)}</mark>` : HtmlUtils.escape(part);
+      })
+      .join('');
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,171 @@
+/**
+ * Spatial Index for HealthCare Compass
+ * k-d tree over hospital coordinates for radius and nearest-N queries.
+ * Points are placed on the unit sphere (x, y, z), where straight-line
+ * distance grows with great-circle distance, so the tree prunes correctly
+ * at any latitude without special cases near the poles or the date line.
+ */
+
+class SpatialIndex {
+  /**
+   * @param {Object} options - {latField, lonField, earthRadius (miles)}
+   */
+  constructor({ latField = 'LAT', lonField = 'LON', earthRadius = 3958.8 } = {}) {
+    this.latField = latField;
+    this.lonField = lonField;
+    this.earthRadius = earthRadius;
+    this.items = [];
+    this.order = new Int32Array(0); // Item indexes arranged as an implicit balanced tree
+    this.coords = new Float64Array(0); // x, y, z per item
+  }
+
+  /**
+   * Index a list of items, replacing anything indexed before
+   * Items without valid coordinates are left out
+   * @param {Array} items - Items with latitude and longitude fields
+   * @returns {SpatialIndex} This index
+   */
+  build(items) {
+    this.items = items;
+    this.coords = new Float64Array(items.length * 3);
+    const located = [];
+    items.forEach((item, index) => {
+      const lat = item[this.latField];
+      const lon = item[this.lonField];
+      if (typeof lat !== 'number' || typeof lon !== 'number' || !isFinite(lat) || !isFinite(lon)) return;
+      this.coords.set(this.toCartesian(lat, lon), index * 3);
+      located.push(index);
+    });
+
+    this.order = Int32Array.from(located);
+    this.buildRange(0, this.order.length, 0);
+    return this;
+  }
+
+  /**
+   * Arrange order[start, end) so its middle entry splits the range on one axis
+   * @param {number} start - First position
+   * @param {number} end - Position after the last
+   * @param {number} depth - Tree depth, picks the axis
+   */
+  buildRange(start, end, depth) {
+    if (end - start < 2) return;
+    const axis = depth % 3;
+    this.order.subarray(start, end).sort((a, b) => this.coords[a * 3 + axis] - this.coords[b * 3 + axis]);
+    const mid = (start + end) >> 1;
+    this.buildRange(start, mid, depth + 1);
+    this.buildRange(mid + 1, end, depth + 1);
+  }
+
+  /**
+   * Find every item within a distance of a point
+   * @param {Object} point - {lat, lon}
+   * @param {number} radius - Distance in miles
+   * @returns {Array} [{item, distance}] nearest first
+   */
+  within(point, radius) {
+    const target = this.toCartesian(point.lat, point.lon);
+    const maxChord = this.toChord(radius);
+    const found = [];
+
+    const visit = (start, end, depth) => {
+      if (start >= end) return;
+      const mid = (start + end) >> 1;
+      const index = this.order[mid];
+      const chord = this.getChord(target, index);
+      if (chord <= maxChord) found.push({ index, chord });
+
+      const axis = depth % 3;
+      const offset = target[axis] - this.coords[index * 3 + axis];
+      // Search the near side first; the far side only if the radius reaches across the split
+      const [near, far] = offset < 0 ? [[start, mid], [mid + 1, end]] : [[mid + 1, end], [start, mid]];
+      visit(near[0], near[1], depth + 1);
+      if (Math.abs(offset) <= maxChord) visit(far[0], far[1], depth + 1);
+    };
+    visit(0, this.order.length, 0);
+
+    return found
+      .sort((a, b) => a.chord - b.chord)
+      .map(({ index, chord }) => ({ item: this.items[index], distance: this.toDistance(chord) }));
+  }
+
+  /**
+   * Find the items closest to a point
+   * @param {Object} point - {lat, lon}
+   * @param {number} count - Number of items to return
+   * @param {Function} accept - Optional test an item must pass to be counted
+   * @returns {Array} [{item, distance}] nearest first
+   */
+  nearest(point, count, accept = () => true) {
+    if (count <= 0) return [];
+    const target = this.toCartesian(point.lat, point.lon);
+    const best = []; // [{index, chord}] sorted nearest first, at most count long
+
+    const visit = (start, end, depth) => {
+      if (start >= end) return;
+      const mid = (start + end) >> 1;
+      const index = this.order[mid];
+      const chord = this.getChord(target, index);
+      if ((best.length < count || chord < best[best.length - 1].chord) && accept(this.items[index])) {
+        let position = best.length;
+        while (position > 0 && best[position - 1].chord > chord) position--;
+        best.splice(position, 0, { index, chord });
+        if (best.length > count) best.pop();
+      }
+
+      const axis = depth % 3;
+      const offset = target[axis] - this.coords[index * 3 + axis];
+      const [near, far] = offset < 0 ? [[start, mid], [mid + 1, end]] : [[mid + 1, end], [start, mid]];
+      visit(near[0], near[1], depth + 1);
+      if (best.length < count || Math.abs(offset) < best[best.length - 1].chord) visit(far[0], far[1], depth + 1);
+    };
+    visit(0, this.order.length, 0);
+
+    return best.map(({ index, chord }) => ({ item: this.items[index], distance: this.toDistance(chord) }));
+  }
+
+  /**
+   * Position on the unit sphere
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Array} [x, y, z]
+   */
+  toCartesian(lat, lon) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lon * Math.PI / 180;
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+  }
+
+  /**
+   * Straight-line distance through the unit sphere from a point to an indexed item
+   * @param {Array} target - [x, y, z]
+   * @param {number} index - Item index
+   * @returns {number} Chord length
+   */
+  getChord(target, index) {
+    const dx = target[0] - this.coords[index * 3];
+    const dy = target[1] - this.coords[index * 3 + 1];
+    const dz = target[2] - this.coords[index * 3 + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Chord length for a great-circle distance
+   * @param {number} miles - Distance in miles
+   * @returns {number} Chord length
+   */
+  toChord(miles) {
+    return 2 * Math.sin(Math.min(Math.PI, miles / this.earthRadius) / 2);
+  }
+
+  /**
+   * Great-circle distance for a chord length; the same value the Haversine formula gives
+   * @param {number} chord - Chord length
+   * @returns {number} Distance in miles
+   */
+  toDistance(chord) {
+    return 2 * this.earthRadius * Math.asin(Math.min(1, chord / 2));
+  }
+}
+
+// Will be initialized in main.js
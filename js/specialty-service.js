@@ -0,0 +1,208 @@
+/**
+ * Specialty Service for HealthCare Compass
+ * Loads each facility's specialties and facility type and merges them into the
+ * hospital data. Facilities missing from the file get a type inferred from
+ * their name but no specialties: a guess would look like real data to the
+ * specialty filter and the ranking.
+ */
+
+class SpecialtyService {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {FacilityClassifier} classifier - Classifier used when a facility type is missing
+   * @param {string|Object} source - URL of a CSV/JSON specialty file, or an object
+   *   with an async load() method resolving to an array of specialty records
+   */
+  constructor(dataService, classifier, source = './data/specialties.csv') {
+    this.dataService = dataService;
+    this.classifier = classifier;
+    this.source = source;
+    this.specialtiesById = new Map();
+    this.remoteSpecialties = []; // Labels from the hospital API, used in remote mode
+    this.allSpecialties = null; // {hospitals, labels} listed by getAllSpecialties for the loaded hospitals
+
+    // Accepted column names for each field
+    this.fieldAliases = {
+      id: ['Id', 'ID', 'id'],
+      facilityType: ['FACILITY_TYPE', 'facilityType', 'type'],
+      specialties: ['SPECIALTIES', 'specialties']
+    };
+  }
+
+  /**
+   * Load specialties from the configured source and merge them into hospitalsData
+   * @returns {Promise} Promise that resolves with the specialty map keyed by Id
+   */
+  async loadSpecialties() {
+    this.specialtiesById = new Map();
+
+    try {
+      const records = await this.fetchRecords(this.source);
+      records.forEach(record => {
+        const entry = this.normalizeRecord(record);
+        if (entry) this.specialtiesById.set(entry.id, entry);
+      });
+      console.log(`Loaded specialties for ${this.specialtiesById.size} facilities`);
+    } catch (error) {
+      // Without the file every facility is classified from its name
+      console.warn('Error loading specialty data:', error);
+    }
+
+    this.applySpecialties(this.dataService.hospitalsData);
+    return this.specialtiesById;
+  }
+
+  /**
+   * Fetch the specialty list from the hospital API (remote mode), where the
+   * hospitals aren't in the browser to collect it from
+   * @returns {Promise} Promise that resolves with the specialty labels
+   */
+  async loadRemoteSpecialties() {
+    try {
+      this.remoteSpecialties = await this.dataService.fetchSpecialties();
+    } catch (error) {
+      // The specialty filter just offers "All Specialties"
+      console.warn('Error loading specialties from the API:', error);
+      this.remoteSpecialties = [];
+    }
+    return this.remoteSpecialties;
+  }
+
+  /**
+   * Fetch raw specialty records from a URL or a custom data source
+   * @param {string|Object} source - Specialty source
+   * @returns {Promise} Promise that resolves with an array of records
+   */
+  async fetchRecords(source) {
+    if (source && typeof source.load === 'function') {
+      return source.load();
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load specialties from ${source} (${response.status})`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (source.toLowerCase().endsWith('.json') || contentType.includes('json')) {
+      const json = await response.json();
+      return Array.isArray(json) ? json : (json.specialties || []);
+    }
+
+    return this.dataService.parseCSV(await response.text());
+  }
+
+  /**
+   * Normalize a raw record into {id, facilityType, specialties}
+   * @param {Object} record - Raw CSV row or JSON object
+   * @returns {Object|null} Normalized entry, or null if the record has no Id
+   */
+  normalizeRecord(record) {
+    const id = this.readField(record, 'id');
+    if (!id) return null;
+
+    const facilityType = String(this.readField(record, 'facilityType') || '').trim().toLowerCase();
+    const specialties = this.readField(record, 'specialties');
+
+    return {
+      id: String(id).trim(),
+      // Unknown types are treated as missing so the classifier fills them in
+      facilityType: this.classifier.isType(facilityType) ? facilityType : null,
+      specialties: Array.isArray(specialties) ? specialties :
+        String(specialties || '').split(';').map(value => value.trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Read a field from a record using the known column aliases
+   * @param {Object} record - Raw record
+   * @param {string} field - Normalized field name
+   * @returns {*} Field value or undefined
+   */
+  readField(record, field) {
+    const key = this.fieldAliases[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+    return key ? record[key] : undefined;
+  }
+
+  /**
+   * Attach facility type and specialty fields to each hospital
+   * @param {Array} hospitals - Hospitals to update in place
+   */
+  applySpecialties(hospitals) {
+    hospitals.forEach(hospital => {
+      const entry = this.specialtiesById.get(hospital.Id);
+      const facilityType = (entry && entry.facilityType) || this.classifier.classify(hospital.NAME);
+      const isListed = Boolean(entry && entry.specialties.length);
+
+      hospital.facilityType = facilityType;
+      hospital.facilityTypeSource = entry && entry.facilityType ? 'listed' : 'inferred';
+      hospital.specialties = isListed ? entry.specialties : [];
+      hospital.specialtySource = isListed ? 'listed' : 'missing';
+    });
+    this.allSpecialties = null;
+  }
+
+  /**
+   * Get every specialty offered by at least one loaded facility
+   * @returns {Array} Sorted specialty labels
+   */
+  getAllSpecialties() {
+    if (this.dataService.isRemote()) return this.remoteSpecialties;
+    // Listed once per load; ranking asks on every sort
+    const hospitals = this.dataService.hospitalsData;
+    if (!this.allSpecialties || this.allSpecialties.hospitals !== hospitals) {
+      const specialties = new Set();
+      hospitals.forEach(hospital => {
+        (hospital.specialties || []).forEach(specialty => specialties.add(specialty));
+      });
+      this.allSpecialties = { hospitals, labels: [...specialties].sort() };
+    }
+    return this.allSpecialties.labels;
+  }
+
+  /**
+   * Turn a specialty label into the key used in filters and URLs
+   * @param {string} specialty - Specialty label, e.g. "General Surgery"
+   * @returns {string} Key, e.g. "general-surgery"
+   */
+  toKey(specialty) {
+    return specialty.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Find the label for a specialty key
+   * @param {string} key - Specialty key
+   * @returns {string|null} Label, or null if no loaded facility offers it
+   */
+  getLabel(key) {
+    return this.getAllSpecialties().find(specialty => this.toKey(specialty) === key) || null;
+  }
+
+  /**
+   * Fill a specialty select with the loaded specialties, keeping its "all" option
+   * @param {HTMLSelectElement} select - Select element
+   */
+  populateSpecialtySelect(select) {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '<option value="all">All Specialties</option>' + this.getAllSpecialties()
+      .map(specialty => `<option value="${HtmlUtils.escape(this.toKey(specialty))}">${HtmlUtils.escape(specialty)}</option>`)
+      .join('');
+    if ([...select.options].some(option => option.value === current)) select.value = current;
+  }
+
+  /**
+   * Fill a facility type select, keeping its "all" option
+   * @param {HTMLSelectElement} select - Select element
+   */
+  populateFacilityTypeSelect(select) {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '<option value="all">All Facility Types</option>' + Object.entries(this.classifier.types)
+      .map(([type, label]) => `<option value="${type}">${label}</option>`)
+      .join('');
+    if ([...select.options].some(option => option.value === current)) select.value = current;
+  }
+}
+
+// Will be initialized in main.js
@@ -1,98 +1,275 @@
-// Function to load and display top hospitals
-async function loadTopHospitals() {
+/**
+ * Top Hospitals page for HealthCare Compass
+ * Ranks hospitals by the weighted "Recommended" score, utilization, revenue,
+ * rating or procedure price within a chosen city, county or radius, using the
+ * same data, filters and ranking engine as the search page
+ */
+
+class TopHospitalsPage {
+  /**
+   * @param {DataService} dataService - Data service holding hospitalsData
+   * @param {HospitalService} hospitalService - Hospital service providing filters and card helpers
+   */
+  constructor(dataService, hospitalService) {
+    this.dataService = dataService;
+    this.hospitalService = hospitalService;
+    this.topCount = 10;
+    this.rankingContext = null;
+
+    // Ranking metrics; hospitals without a value for the metric are left out of the ranking
+    this.metrics = {
+      recommended: {
+        title: 'Recommended',
+        getValue: hospital => window.rankingEngine.scoreHospital(hospital, this.rankingContext).total,
+        direction: -1,
+        format: value => `Score ${Math.round(value)} of 100`
+      },
+      utilization: {
+        title: 'Utilization',
+        getValue: hospital => (hospital.UTILIZATION > 0 ? hospital.UTILIZATION : null),
+        direction: -1,
+        format: value => `${value.toLocaleString()} encounters`
+      },
+      revenue: {
+        title: 'Revenue',
+        getValue: hospital => (hospital.REVENUE > 0 ? hospital.REVENUE : null),
+        direction: -1,
+        format: value => `$${Math.round(value).toLocaleString()} revenue`
+      },
+      rating: {
+        title: 'Quality Rating',
+        getValue: hospital => (typeof hospital.rating === 'number' ? hospital.rating : null),
+        direction: -1,
+        format: value => `${value.toFixed(1)} stars`
+      },
+      price: {
+        title: 'Lowest Price',
+        getValue: hospital => this.hospitalService.getProcedureCost(hospital, this.procedureSelect.value),
+        direction: 1,
+        format: value => `$${Math.round(value).toLocaleString()} for ${window.procedureCatalog.getDisplayName(this.procedureSelect.value)}`
+      }
+    };
+
+    // DOM elements
+    this.listElement = document.getElementById('topHospitalsList');
+    this.titleElement = document.getElementById('topHospitalsTitle');
+    this.subtitleElement = document.getElementById('topHospitalsSubtitle');
+    this.specialtyFilter = document.getElementById('topSpecialtyFilter');
+    this.facilityTypeFilter = document.getElementById('topFacilityTypeFilter');
+    this.rankBySelect = document.getElementById('topRankBy');
+    this.procedureSelect = document.getElementById('topProcedureSelect');
+    this.procedureGroup = document.getElementById('topProcedureGroup');
+    this.scopeSelect = document.getElementById('topScope');
+    this.citySelect = document.getElementById('topCitySelect');
+    this.countySelect = document.getElementById('topCountySelect');
+    this.radiusLocationInput = document.getElementById('topRadiusLocation');
+    this.radiusMilesSelect = document.getElementById('topRadiusMiles');
+  }
+
+  /**
+   * Load the shared data, fill the dropdowns and show the first ranking
+   * @returns {Promise} Promise that resolves when the page is rendered
+   */
+  async initialize() {
     try {
-        const response = await fetch('../data/organizations.csv');
-        const data = await response.text();
-        const hospitals = parseCSV(data);
-        
-        // Sort hospitals by utilization in descending order
-        const sortedHospitals = hospitals.sort((a, b) => b.UTILIZATION - a.UTILIZATION);
-        
-        // Get top 10 hospitals
-        const topHospitals = sortedHospitals.slice(0, 10);
-        
-        // Display top hospitals
-        displayTopHospitals(topHospitals);
+      // Rank the imported dataset chosen on the search page, if any
+      if (window.datasetManager) await window.datasetManager.restoreActiveDataset();
+      await this.hospitalService.loadData();
+      this.populateSelects();
+      this.initEventListeners();
+      window.rankingEngine.renderControls(document.getElementById('rankingWeights'), () => {
+        this.rankBySelect.value = 'recommended';
+        this.render();
+      });
+      this.render();
     } catch (error) {
-        console.error('Error loading top hospitals:', error);
+      console.error('Error loading top hospitals:', error);
+      if (this.listElement) {
+        this.listElement.innerHTML = `
+          <div class="error-message">
+            <i class="fas fa-exclamation-circle"></i>
+            <p>Error loading hospital data. Please try again later.</p>
+          </div>
+        `;
+      }
     }
-}
+  }
+
+  /**
+   * Fill the procedure, specialty, facility type, city and county dropdowns from the loaded data
+   */
+  populateSelects() {
+    if (window.specialtyService) {
+      window.specialtyService.populateSpecialtySelect(this.specialtyFilter);
+      window.specialtyService.populateFacilityTypeSelect(this.facilityTypeFilter);
+    }
+
+    const catalog = window.procedureCatalog;
+    this.procedureSelect.innerHTML = catalog.getAll()
+      .map(entry => `<option value="${HtmlUtils.escape(entry.key)}">${HtmlUtils.escape(entry.name)}</option>`)
+      .join('');
 
-// Function to parse CSV data
-function parseCSV(csv) {
-    const lines = csv.split('\n');
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-        const values = line.split(',');
-        return headers.reduce((obj, header, index) => {
-            obj[header] = values[index];
-            return obj;
-        }, {});
+    const hospitals = this.dataService.hospitalsData;
+    const toOptions = values => [...new Set(values)]
+      .filter(Boolean)
+      .sort()
+      .map(value => `<option value="${HtmlUtils.escape(value)}">${HtmlUtils.escape(value)}</option>`)
+      .join('');
+    this.citySelect.innerHTML = toOptions(hospitals.map(h => `${h.CITY}, ${h.STATE}`));
+    this.countySelect.innerHTML = toOptions(hospitals.map(h => (h.COUNTY ? `${h.COUNTY}, ${h.STATE}` : '')));
+  }
+
+  /**
+   * Re-rank whenever a control changes
+   */
+  initEventListeners() {
+    [this.specialtyFilter, this.facilityTypeFilter, this.rankBySelect, this.procedureSelect, this.scopeSelect,
+      this.citySelect, this.countySelect, this.radiusMilesSelect].forEach(element => {
+      element.addEventListener('change', () => this.render());
     });
-}
+    this.radiusLocationInput.addEventListener('change', () => this.render());
+  }
+
+  /**
+   * Apply the chosen scope
+   * @param {Array} hospitals - Hospitals
+   * @returns {Object} {hospitals, label, error, point}
+   */
+  applyScope(hospitals) {
+    switch (this.scopeSelect.value) {
+      case 'city':
+        return {
+          hospitals: hospitals.filter(h => `${h.CITY}, ${h.STATE}` === this.citySelect.value),
+          label: `in ${this.citySelect.value}`
+        };
+      case 'county':
+        return {
+          hospitals: hospitals.filter(h => `${h.COUNTY}, ${h.STATE}` === this.countySelect.value),
+          label: `in ${this.formatCounty(this.countySelect.value)}`
+        };
+      case 'radius': {
+        const location = this.radiusLocationInput.value.trim();
+        if (!location) return { hospitals: [], label: '', error: 'Enter a ZIP code or city to rank hospitals near it.' };
+        const point = window.geocoder.geocode(location);
+        if (!point) return { hospitals: [], label: '', error: `Location "${location}" not recognized. Try a 5-digit ZIP code or "City, ST".` };
+        const miles = parseInt(this.radiusMilesSelect.value, 10);
+        return {
+          hospitals: this.dataService.filterByDistance(hospitals, point, miles),
+          label: `within ${miles} miles of ${point.label}`,
+          point
+        };
+      }
+      default:
+        return { hospitals, label: '' };
+    }
+  }
+
+  /**
+   * Name a county for display; independent cities such as "St. Louis City" are not counties
+   * @param {string} county - County name, optionally followed by ", ST"
+   * @returns {string} Display name
+   */
+  formatCounty(county) {
+    const [name, state] = county.split(', ');
+    const displayName = name.endsWith(' City') ? name : `${name} County`;
+    return state ? `${displayName}, ${state}` : displayName;
+  }
+
+  /**
+   * Rank the hospitals in scope by the chosen metric
+   * @returns {Object} {ranked: [{hospital, value}], label, error}
+   */
+  getRanking() {
+    let hospitals = [...this.dataService.hospitalsData];
+    if (this.specialtyFilter.value !== 'all') {
+      hospitals = this.hospitalService.filterBySpecialty(hospitals, this.specialtyFilter.value);
+    }
+    if (this.facilityTypeFilter.value !== 'all') {
+      hospitals = this.hospitalService.filterByFacilityType(hospitals, this.facilityTypeFilter.value);
+    }
 
-// Function to display top hospitals in the UI
-function displayTopHospitals(hospitals) {
-    const topHospitalsList = document.getElementById('topHospitalsList');
-    if (!topHospitalsList) return;
+    const scope = this.applyScope(hospitals);
+    const metric = this.metrics[this.rankBySelect.value];
+    const specialty = this.specialtyFilter.value;
+    this.rankingContext = window.rankingEngine.createContext({
+      procedure: this.procedureSelect.value,
+      referencePoint: scope.point || null,
+      specialties: specialty !== 'all' ? [this.hospitalService.getSpecialtyLabel(specialty)] : []
+    });
+    // The dataset lists some facilities more than once; rank each name and address once
+    const seen = new Set();
+    const ranked = scope.hospitals
+      .map(hospital => ({ hospital, value: metric.getValue(hospital) }))
+      .filter(entry => entry.value !== null)
+      .sort((a, b) => (a.value - b.value) * metric.direction || a.hospital.NAME.localeCompare(b.hospital.NAME))
+      .filter(({ hospital }) => {
+        const key = `${hospital.NAME}|${hospital.ADDRESS}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.topCount);
+
+    return { ranked, label: scope.label, error: scope.error };
+  }
+
+  /**
+   * Render the ranking and the page title
+   */
+  render() {
+    const metric = this.metrics[this.rankBySelect.value];
+    this.procedureGroup.hidden = !['price', 'recommended'].includes(this.rankBySelect.value);
+    this.citySelect.hidden = this.scopeSelect.value !== 'city';
+    this.countySelect.hidden = this.scopeSelect.value !== 'county';
+    this.radiusLocationInput.hidden = this.scopeSelect.value !== 'radius';
+    this.radiusMilesSelect.hidden = this.scopeSelect.value !== 'radius';
+
+    const { ranked, label, error } = this.getRanking();
+    this.titleElement.textContent = `Top Hospitals by ${metric.title}`;
+    this.subtitleElement.textContent = label ? `Ranked ${label}` : 'Ranked across all hospitals in the dataset';
 
-    const html = hospitals.map((hospital, index) => `
+    if (error || ranked.length === 0) {
+      this.listElement.innerHTML = `
+        <div class="no-results">
+          <i class="fas fa-hospital"></i>
+          <p>${error ? HtmlUtils.escape(error) : `No hospitals in this area report ${metric.title.toLowerCase()}${this.specialtyFilter.value !== 'all' || this.facilityTypeFilter.value !== 'all' ? ' for these filters' : ''}.`}</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.listElement.innerHTML = ranked.map(({ hospital, value }, index) => `
         <div class="hospital-item">
             <div class="hospital-rank">#${index + 1}</div>
             <div class="hospital-info">
-                <h4>${hospital.NAME}</h4>
-                <p>${hospital.CITY}, ${hospital.STATE}</p>
-                <p>Utilization: ${hospital.UTILIZATION}</p>
+                <h4><a href="index.html${HtmlUtils.escape(HospitalDetailView.getRoute(hospital.Id))}">${HtmlUtils.escape(hospital.NAME)}</a></h4>
+                <p>${HtmlUtils.escape(hospital.CITY)}, ${HtmlUtils.escape(hospital.STATE)}${hospital.COUNTY ? ` • ${HtmlUtils.escape(this.formatCounty(hospital.COUNTY))}` : ''}</p>
+                <p class="hospital-metric">${metric.format(value)}</p>
+                ${this.rankBySelect.value === 'recommended' ?
+                  window.rankingEngine.createBreakdownHTML(window.rankingEngine.scoreHospital(hospital, this.rankingContext), index + 1) : ''}
             </div>
             <div class="hospital-contact">
-                <p><i class="fas fa-phone"></i> ${hospital.PHONE}</p>
-                <p><i class="fas fa-map-marker-alt"></i> ${hospital.ADDRESS}</p>
+                ${this.hospitalService.createRatingBadge(hospital)}
+                <p><i class="fas fa-phone"></i> ${HtmlUtils.escape(hospital.PHONE)}</p>
+                <p><i class="fas fa-map-marker-alt"></i> ${HtmlUtils.escape(hospital.ADDRESS)}</p>
             </div>
         </div>
     `).join('');
-
-    topHospitalsList.innerHTML = html;
+  }
 }
 
-// Function to sort hospitals
-function sortHospitals(hospitals, sortBy) {
-    switch(sortBy) {
-        case 'name':
-            return hospitals.sort((a, b) => a.NAME.localeCompare(b.NAME));
-        case 'city':
-            return hospitals.sort((a, b) => a.CITY.localeCompare(b.CITY));
-        case 'utilization':
-        default:
-            return hospitals.sort((a, b) => b.UTILIZATION - a.UTILIZATION);
-    }
-}
-
-// Function to filter hospitals by specialty
-function filterHospitalsBySpecialty(hospitals, specialty) {
-    if (specialty === 'all') return hospitals;
-    // This function will be implemented when we have specialty data
-    return hospitals;
-}
-
-// Event listeners
+// Initialize the page once the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    loadTopHospitals();
-    
-    // Add event listeners for filters
-    const specialtyFilter = document.getElementById('specialtyFilter');
-    const sortByFilter = document.getElementById('sortBy');
-    
-    if (specialtyFilter) {
-        specialtyFilter.addEventListener('change', (e) => {
-            // Implement specialty filtering when data is available
-            console.log('Filtering by specialty:', e.target.value);
-        });
-    }
-    
-    if (sortByFilter) {
-        sortByFilter.addEventListener('change', (e) => {
-            // Implement sorting
-            console.log('Sorting by:', e.target.value);
-        });
-    }
-}); 
\ No newline at end of file
+  window.dataService = new DataService();
+  window.procedureCatalog = new ProcedureCatalog();
+  window.geocoder = new Geocoder(window.dataService);
+  window.ratingsService = new RatingsService(window.dataService);
+  window.priceService = new PriceService(window.dataService, window.procedureCatalog);
+  window.specialtyService = new SpecialtyService(window.dataService, new FacilityClassifier());
+  window.hospitalService = new HospitalService(window.dataService);
+  window.rankingEngine = new RankingEngine(window.dataService, window.hospitalService);
+  window.datasetManager = new DatasetManager(window.dataService, new DatasetStore());
+  window.topHospitalsPage = new TopHospitalsPage(window.dataService, window.hospitalService);
+
+  window.topHospitalsPage.initialize();
+});
@@ -0,0 +1,135 @@
+/**
+ * Travel Time Service for HealthCare Compass
+ * Estimated drive minutes from the searched location to each hospital, from
+ * a bundled road graph (see RoadGraph) or a pluggable local routing service.
+ * With neither, the app keeps using straight-line miles.
+ */
+
+class TravelTimeService {
+  /**
+   * @param {DataService} dataService - Data service holding the hospitals
+   * @param {string|Object|null} source - URL of a compact road graph, an object with an async load() resolving to one, or null for none.
+   *   The bundled graph is a coarse Missouri highway network; scripts/build-road-graph.js builds one from an OpenStreetMap extract
+   */
+  constructor(dataService, source = './data/roads/missouri.json') {
+    this.dataService = dataService;
+    this.source = source;
+    // Anything with an async getTravelTimes(origin, hospitals) resolving to a Map of hospital Id -> minutes
+    this.router = null;
+    this.cache = { key: null, minutes: null, promise: null }; // Travel times from the last reference point
+  }
+
+  /**
+   * Load the road graph, if one is configured; called with every hospital load
+   * A missing or broken graph leaves travel times off rather than failing the app
+   * @returns {Promise} Promise that resolves when loading is done
+   */
+  async load() {
+    // Estimates belong to the hospitals they were made for, which may have just been replaced
+    this.cache = { key: null, minutes: null, promise: null };
+    if (this.router || !this.source) return;
+    try {
+      let graph;
+      if (typeof this.source.load === 'function') {
+        graph = await this.source.load();
+      } else {
+        const response = await fetch(this.source);
+        if (!response.ok) {
+          throw new Error(`Failed to load road graph from ${this.source} (${response.status})`);
+        }
+        graph = await response.json();
+      }
+      this.setRouter(new RoadGraph().load(graph));
+      console.log(`Loaded road graph with ${this.router.nodeCount} nodes`);
+    } catch (error) {
+      console.warn('Error loading road graph, using straight-line distances:', error);
+    }
+  }
+
+  /**
+   * Use a different router, e.g. a routing service running on this machine
+   * @param {Object|null} router - Object with getTravelTimes(origin, hospitals), or null to turn travel times off
+   */
+  setRouter(router) {
+    this.router = router;
+    this.cache = { key: null, minutes: null, promise: null };
+  }
+
+  /**
+   * Whether drive times can be estimated
+   * @returns {boolean} True when a router is set
+   */
+  isAvailable() {
+    return Boolean(this.router);
+  }
+
+  /**
+   * Whether drive times from a point are ready to read
+   * @param {Object} point - Reference point {lat, lon}
+   * @returns {boolean} True once prepare(point) has finished
+   */
+  isReady(point) {
+    return Boolean(point && this.cache.minutes && this.cache.key === this.getKey(point));
+  }
+
+  /**
+   * Estimate drive times from a point to every hospital
+   * @param {Object} point - Reference point {lat, lon}
+   * @returns {Promise} Promise that resolves with a Map of hospital Id -> minutes
+   */
+  prepare(point) {
+    const key = this.getKey(point);
+    if (this.cache.key === key && this.cache.promise) return this.cache.promise;
+
+    const promise = this.router.getTravelTimes(point, this.dataService.hospitalsData)
+      .then(minutes => {
+        if (this.cache.promise === promise) this.cache.minutes = minutes;
+        return minutes;
+      })
+      .catch(error => {
+        // Leave the point without travel times; the straight-line fallback applies
+        console.warn('Error estimating travel times:', error);
+        if (this.cache.promise === promise) this.cache.minutes = new Map();
+        return this.cache.minutes;
+      });
+    this.cache = { key, minutes: null, promise };
+    return promise;
+  }
+
+  /**
+   * Drive time from a prepared point to a hospital
+   * @param {Object} point - Reference point {lat, lon}
+   * @param {Object} hospital - Hospital
+   * @returns {number|null} Minutes, or null if not estimated
+   */
+  getMinutes(point, hospital) {
+    if (!this.isReady(point)) return null;
+    const minutes = this.cache.minutes.get(hospital.Id);
+    return minutes === undefined ? null : minutes;
+  }
+
+  /**
+   * Keep hospitals within a drive time of a prepared point
+   * @param {Array} hospitals - Hospitals to filter
+   * @param {Object} point - Reference point {lat, lon}
+   * @param {number} maxMinutes - Longest drive in minutes
+   * @returns {Array} Filtered hospitals
+   */
+  filterByMinutes(hospitals, point, maxMinutes) {
+    return hospitals.filter(hospital => {
+      const minutes = this.getMinutes(point, hospital);
+      return minutes !== null && minutes <= maxMinutes;
+    });
+  }
+
+  /**
+   * Cache key for a point
+   * @param {Object} point - Point {lat, lon}
+   * @returns {string} Key
+   */
+  getKey(point) {
+    return `${point.lat},${point.lon}`;
+  }
+}
+
+// Will be initialized in main.js
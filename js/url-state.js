@@ -0,0 +1,119 @@
+/**
+ * URL State Service for HealthCare Compass
+ * Mirrors the search, filter, sort, page and comparison state in the query
+ * string so searches can be bookmarked, shared and walked with back/forward.
+ * The hash is left alone; it belongs to the detail-page routes.
+ */
+
+class UrlStateService {
+  /**
+   * @param {HospitalService} hospitalService - Hospital service that owns the search state
+   */
+  constructor(hospitalService) {
+    this.hospitalService = hospitalService;
+    this.lastQuery = window.location.search;
+    this.maxTextLength = 100; // Longest treatment or location text read back from a URL
+
+    // Values left out of the URL because they are what the page starts with
+    this.defaults = {
+      treatment: '',
+      location: '',
+      budget: 'any',
+      specialty: 'all',
+      facility: 'all',
+      distance: 'any',
+      rating: 'any',
+      sort: 'recommended',
+      page: 1,
+      procedure: null,
+      compare: null // null leaves the stored comparison selection alone
+    };
+
+    window.addEventListener('popstate', () => this.handlePopState());
+  }
+
+  /**
+   * Read the state encoded in the current URL
+   * @returns {Object|null} State, or null if the URL carries no search state
+   */
+  read() {
+    const params = new URLSearchParams(window.location.search);
+    const hasState = Object.keys(this.defaults).some(key => params.has(key));
+    if (!hasState) return null;
+
+    const page = parseInt(params.get('page'), 10);
+    return {
+      treatment: this.readText(params, 'treatment'),
+      location: this.readText(params, 'location'),
+      budget: params.get('budget') || this.defaults.budget,
+      specialty: params.get('specialty') || this.defaults.specialty,
+      facility: params.get('facility') || this.defaults.facility,
+      distance: params.get('distance') || this.defaults.distance,
+      rating: params.get('rating') || this.defaults.rating,
+      sort: params.get('sort') || this.defaults.sort,
+      page: page > 0 ? page : this.defaults.page,
+      procedure: params.get('procedure') || this.defaults.procedure,
+      compare: params.has('compare') ? params.get('compare').split(',').filter(Boolean) : this.defaults.compare
+    };
+  }
+
+  /**
+   * Read a free-text parameter
+   * Shared links can carry anything, so control characters are dropped and the
+   * length capped; views still escape the text wherever they show it
+   * @param {URLSearchParams} params - Query parameters
+   * @param {string} key - 'treatment' or 'location'
+   * @returns {string} Text, or the default
+   */
+  readText(params, key) {
+    const text = (params.get(key) || '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+    return text.slice(0, this.maxTextLength) || this.defaults[key];
+  }
+
+  /**
+   * Build the query string for a state, leaving out default values
+   * @param {Object} state - State from HospitalService.getState()
+   * @returns {string} Query string including the leading "?", or '' for the default state
+   */
+  toQuery(state) {
+    const params = new URLSearchParams();
+    ['treatment', 'location', 'budget', 'specialty', 'facility', 'distance', 'rating', 'sort'].forEach(key => {
+      if (state[key] && state[key] !== this.defaults[key]) params.set(key, state[key]);
+    });
+    if (state.page > 1) params.set('page', state.page);
+    // The default procedure is only worth recording once the URL says something else
+    if (state.procedure && (params.toString() || state.procedure !== window.procedureCatalog.getDefaultKey())) {
+      params.set('procedure', state.procedure);
+    }
+    if (state.compare.length) params.set('compare', state.compare.join(','));
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Write a state to the URL as a new history entry
+   * @param {Object} state - State from HospitalService.getState()
+   */
+  save(state) {
+    const query = this.toQuery(state);
+    if (query === this.lastQuery) return;
+
+    this.lastQuery = query;
+    window.history.pushState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+  }
+
+  /**
+   * Restore the search when the user navigates back or forward
+   * Hash-only changes (detail page routes) keep the query string and are skipped
+   */
+  handlePopState() {
+    const query = window.location.search;
+    if (query === this.lastQuery) return;
+
+    this.lastQuery = query;
+    this.hospitalService.restoreState(this.read() || { ...this.defaults });
+  }
+}
+
+// Will be initialized in main.js
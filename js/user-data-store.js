@@ -0,0 +1,78 @@
+/**
+ * User Data Store for HealthCare Compass
+ * Keeps each user's saved searches, watchlist and notifications in IndexedDB,
+ * one record per user
+ */
+
+class UserDataStore {
+  /**
+   * @param {string} dbName - IndexedDB database name
+   */
+  constructor(dbName = 'healthcare-compass-user-data') {
+    this.dbName = dbName;
+    this.storeName = 'profiles';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise} Promise that resolves with the IDBDatabase
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'userId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again rather than caching the failure
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+   * @returns {Promise} Promise that resolves with the request result
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read a user's data
+   * @param {string} userId - User id
+   * @returns {Promise} Promise that resolves with {userId, savedSearches, watchlist, notifications}, empty for a new user
+   */
+  async get(userId) {
+    const profile = await this.run('readonly', store => store.get(userId));
+    return { userId, savedSearches: [], watchlist: [], notifications: [], ...profile };
+  }
+
+  /**
+   * Store a user's data, replacing what was there
+   * @param {Object} profile - {userId, savedSearches, watchlist, notifications}
+   * @returns {Promise} Promise that resolves when the data is stored
+   */
+  async put(profile) {
+    await this.run('readwrite', store => store.put(profile));
+  }
+}
+
+// Will be initialized in main.js
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Road graph builder for HealthCare Compass
+ * Turns an OpenStreetMap XML extract into the compact road graph that
+ * RoadGraph (js/road-graph.js) loads for drive-time estimates.
+ *
+ *   node scripts/build-road-graph.js <extract.osm> <graph.json> [--spacing 2]
+ *
+ * Drivable highways are kept and timed at their maxspeed, or a typical speed
+ * for their class. Nodes along a road are dropped unless they are junctions,
+ * ends, or needed to leave one every --spacing miles for points to snap to;
+ * longer straight segments are split to the same spacing. Only the largest
+ * connected network is written. One-way restrictions are not kept, since the
+ * format stores two-way segments.
+ *
+ * A .osm.pbf download has to be converted to XML first, e.g.
+ *   osmium cat missouri-latest.osm.pbf -o missouri.osm
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Typical speeds (mph) for roads without a usable maxspeed; other highway values aren't driven on
+const SPEEDS = {
+  motorway: 65, motorway_link: 40,
+  trunk: 55, trunk_link: 35,
+  primary: 45, primary_link: 30,
+  secondary: 40, secondary_link: 30,
+  tertiary: 35, tertiary_link: 25,
+  unclassified: 30, residential: 25, living_street: 10
+};
+const SCALE = 100000; // Coordinates are stored as integers: degrees * SCALE
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Read the command line
+ * @param {Array} args - Command line arguments
+ * @returns {Object} {input, output, spacing}
+ */
+function parseArgs(args) {
+  const positional = [];
+  let spacing = 2;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--spacing') {
+      spacing = Number(args[++i]);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  if (positional.length !== 2 || !(spacing > 0)) {
+    throw new Error('Usage: node scripts/build-road-graph.js <extract.osm> <graph.json> [--spacing 2]');
+  }
+  return { input: positional[0], output: positional[1], spacing };
+}
+
+/**
+ * Call a function for every element tag in an XML file, streaming it
+ * OSM XML keeps attributes on the tag, so tags are all that's needed; comments are skipped
+ * @param {string} file - XML file
+ * @param {Function} onTag - Called with (name, attributes, selfClosing); closing tags have names like '/way'
+ * @returns {Promise} Promise that resolves at the end of the file
+ */
+async function scanTags(file, onTag) {
+  let buffer = '';
+  const scan = () => {
+    let position = 0;
+    for (;;) {
+      const start = buffer.indexOf('<', position);
+      if (start === -1) {
+        position = buffer.length;
+        break;
+      }
+      const isComment = buffer.startsWith('<!--', start);
+      const end = isComment ? buffer.indexOf('-->', start) : buffer.indexOf('>', start);
+      if (end === -1) {
+        position = start;
+        break;
+      }
+      position = end + (isComment ? 3 : 1);
+      if (isComment) continue;
+
+      const tag = buffer.slice(start + 1, end);
+      const name = tag.match(/^\/?[\w:]+/);
+      if (!name) continue;
+      const attributes = {};
+      for (const [, key, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) attributes[key] = decodeEntities(value);
+      onTag(name[0], attributes, tag.endsWith('/'));
+    }
+    buffer = buffer.slice(position);
+  };
+
+  for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+    buffer += chunk;
+    scan();
+  }
+}
+
+/**
+ * Decode the entities XML writers use in attribute values
+ * @param {string} value - Attribute value
+ * @returns {string} Text
+ */
+function decodeEntities(value) {
+  return value.replace(/&(lt|gt|quot|apos|amp);/g, (match, entity) => ({ lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' })[entity]);
+}
+
+/**
+ * Driving speed for a way
+ * @param {Object} tags - The way's tags
+ * @returns {number|null} Miles per hour, or null if the way isn't a drivable road
+ */
+function getSpeed(tags) {
+  if (!SPEEDS[tags.highway] || tags.area === 'yes') return null;
+  if (['no', 'private'].includes(tags.access) || tags.motor_vehicle === 'no' || tags.motorcar === 'no') return null;
+
+  // maxspeed is km/h unless it says mph; values like "none" or "signals" fall back to the class speed
+  const match = (tags.maxspeed || '').split(';')[0].trim().match(/^(\d+(?:\.\d+)?)\s*(mph)?$/);
+  if (!match) return SPEEDS[tags.highway];
+  return match[2] ? Number(match[1]) : Number(match[1]) / 1.609344;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Array} a - [lat, lon]
+ * @param {Array} b - [lat, lon]
+ * @returns {number} Miles
+ */
+function getMiles(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b[0] - a[0]);
+  const dLon = toRadians(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a[0])) * Math.cos(toRadians(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Read the drivable ways, then the coordinates of the nodes they use
+ * @param {string} file - OSM XML extract
+ * @returns {Promise} Promise that resolves with {ways: [{refs, speed}], coordinates: Map of node id -> [lat, lon], uses: Map of node id -> count}
+ */
+async function readExtract(file) {
+  // Ways come after the nodes in OSM XML, so the file is read twice to keep only the nodes roads use
+  const ways = [];
+  const uses = new Map();
+  let way = null;
+  await scanTags(file, (name, attributes, selfClosing) => {
+    if (name === 'way') {
+      way = { refs: [], tags: {} };
+      if (!selfClosing) return;
+      name = '/way';
+    }
+    if (!way) return;
+    if (name === 'nd') way.refs.push(attributes.ref);
+    if (name === 'tag') way.tags[attributes.k] = attributes.v;
+    if (name === '/way') {
+      const speed = getSpeed(way.tags);
+      if (speed && way.refs.length > 1) {
+        ways.push({ refs: way.refs, speed });
+        way.refs.forEach(ref => uses.set(ref, (uses.get(ref) || 0) + 1));
+      }
+      way = null;
+    }
+  });
+
+  const coordinates = new Map();
+  await scanTags(file, (name, attributes) => {
+    if (name === 'node' && uses.has(attributes.id)) {
+      coordinates.set(attributes.id, [Number(attributes.lat), Number(attributes.lon)]);
+    }
+  });
+  return { ways, coordinates, uses };
+}
+
+/**
+ * Build the graph: simplify the ways into timed segments between kept nodes
+ * @param {Object} extract - From readExtract
+ * @param {number} spacing - Longest stretch of road without a node, in miles
+ * @returns {Object} {points: [[lat, lon]], segments: Map of "a,b" -> seconds}
+ */
+function buildGraph({ ways, coordinates, uses }, spacing) {
+  const points = [];
+  const nodeIds = new Map(); // OSM node id -> index in points
+  const segments = new Map();
+  const getNode = ref => {
+    if (!nodeIds.has(ref)) {
+      nodeIds.set(ref, points.length);
+      points.push(coordinates.get(ref));
+    }
+    return nodeIds.get(ref);
+  };
+  const addSegment = (a, b, seconds) => {
+    if (a === b) return;
+    const key = a < b ? `${a},${b}` : `${b},${a}`;
+    if (!segments.has(key) || seconds < segments.get(key)) segments.set(key, seconds);
+  };
+
+  ways.forEach(({ refs, speed }) => {
+    let previous = null; // Last kept node
+    let previousPoint = null;
+    let miles = 0; // Since the last kept node
+    let seconds = 0;
+    refs.forEach((ref, index) => {
+      const point = coordinates.get(ref);
+      if (!point) {
+        // The road leaves the extract; pick it up again where it comes back
+        previous = null;
+        return;
+      }
+      if (previous === null) {
+        previous = getNode(ref);
+        previousPoint = point;
+        miles = 0;
+        seconds = 0;
+        return;
+      }
+
+      // Split long straight segments so every stretch of road has a node nearby
+      const length = getMiles(previousPoint, point);
+      const pieces = Math.max(1, Math.ceil(length / spacing));
+      for (let piece = 1; piece < pieces; piece++) {
+        const fraction = piece / pieces;
+        points.push([
+          previousPoint[0] + (point[0] - previousPoint[0]) * fraction,
+          previousPoint[1] + (point[1] - previousPoint[1]) * fraction
+        ]);
+        const node = points.length - 1;
+        addSegment(previous, node, seconds + length / pieces / speed * 3600);
+        previous = node;
+        miles = 0;
+        seconds = 0;
+      }
+      miles += length / pieces;
+      seconds += length / pieces / speed * 3600;
+      previousPoint = point;
+
+      if (index === refs.length - 1 || uses.get(ref) > 1 || miles >= spacing) {
+        const node = getNode(ref);
+        addSegment(previous, node, seconds);
+        previous = node;
+        miles = 0;
+        seconds = 0;
+      }
+    });
+  });
+  return { points, segments };
+}
+
+/**
+ * Keep the largest connected network; islands would never be reached from it
+ * @param {Object} graph - {points, segments}
+ * @returns {Object} {points, segments} renumbered, nodes sorted by position for small deltas
+ */
+function keepLargestNetwork({ points, segments }) {
+  const parent = points.map((point, index) => index);
+  const find = node => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+  const pairs = [...segments.keys()].map(key => key.split(',').map(Number));
+  pairs.forEach(([a, b]) => { parent[find(a)] = find(b); });
+
+  const sizes = new Map();
+  pairs.forEach(([a]) => sizes.set(find(a), (sizes.get(find(a)) || 0) + 1));
+  const [largest] = [...sizes.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+
+  const order = [...new Set(pairs.flat())]
+    .filter(index => find(index) === largest)
+    .sort((a, b) => points[a][0] - points[b][0] || points[a][1] - points[b][1]);
+  const renumber = new Map(order.map((index, position) => [index, position]));
+
+  const keptSegments = new Map();
+  pairs.forEach(([a, b]) => {
+    if (renumber.has(a)) keptSegments.set(`${renumber.get(a)},${renumber.get(b)}`, segments.get(`${a},${b}`));
+  });
+  return { points: order.map(index => points[index]), segments: keptSegments };
+}
+
+/**
+ * Encode a graph in the compact format
+ * @param {Object} graph - {points, segments}
+ * @param {string} source - Name of the extract it was built from
+ * @returns {Object} Graph JSON
+ */
+function encode({ points, segments }, source) {
+  const nodes = [];
+  let lat = 0;
+  let lon = 0;
+  points.forEach(point => {
+    const nextLat = Math.round(point[0] * SCALE);
+    const nextLon = Math.round(point[1] * SCALE);
+    nodes.push(nextLat - lat, nextLon - lon);
+    lat = nextLat;
+    lon = nextLon;
+  });
+  const edges = [];
+  segments.forEach((seconds, key) => {
+    const [a, b] = key.split(',').map(Number);
+    edges.push(a, b, Math.max(1, Math.round(seconds)));
+  });
+  return { format: 'road-graph', version: 1, scale: SCALE, source, nodes, edges };
+}
+
+async function main() {
+  const { input, output, spacing } = parseArgs(process.argv.slice(2));
+  const extract = await readExtract(input);
+  const graph = keepLargestNetwork(buildGraph(extract, spacing));
+  if (!graph.points.length) throw new Error(`No drivable roads in ${input}`);
+
+  fs.writeFileSync(output, JSON.stringify(encode(graph, path.basename(input))) + '\n');
+  console.log(`Wrote ${graph.points.length} nodes and ${graph.segments.size} road segments from ${extract.ways.length} ways to ${output}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+/**
+ * Browser Context for the HealthCare Compass server
+ * Runs the app's own scripts from js/ in a Node vm context that stands in for
+ * the browser, so the server parses, filters and ranks hospitals with exactly
+ * the code the search page uses. There is no page: getElementById finds
+ * nothing, localStorage is kept in memory and fetch reads files from disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class BrowserContext {
+  /**
+   * @param {string} root - App directory; scripts and fetched URLs resolve against it
+   * @param {Object} options - {dataDir}: directory to read ./data/ URLs from instead of the app's own
+   */
+  constructor(root, { dataDir = null } = {}) {
+    this.root = root;
+    this.dataDir = dataDir;
+    this.contentTypes = { '.csv': 'text/csv', '.json': 'application/json' };
+
+    // The scripts reach each other's services through window, as in the browser
+    this.window = vm.createContext({
+      console,
+      setTimeout,
+      clearTimeout,
+      TextDecoder,
+      TextEncoder,
+      URL,
+      URLSearchParams,
+      fetch: url => this.fetch(url),
+      localStorage: this.createStorage(),
+      document: this.createDocument(),
+      navigator: {}
+    });
+    this.window.window = this.window;
+  }
+
+  /**
+   * Run scripts in order, as <script> tags would
+   * @param {Array} files - Script paths relative to the app directory
+   */
+  load(files) {
+    files.forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(this.root, file), 'utf8'), this.window, { filename: file });
+    });
+  }
+
+  /**
+   * Look up classes the scripts declared
+   * Top-level class declarations aren't properties of window, so they're read by name
+   * @param {Array} names - Class names
+   * @returns {Object} Classes keyed by name
+   */
+  getClasses(names) {
+    return Object.fromEntries(names.map(name => [name, vm.runInContext(name, this.window)]));
+  }
+
+  /**
+   * fetch for the scripts, reading the file a URL names
+   * @param {string} url - URL, usually relative like './data/organizations.csv'
+   * @returns {Promise} Promise that resolves with a Response, 404 if there is no such file
+   */
+  async fetch(url) {
+    const file = this.resolve(url);
+    try {
+      const body = await fs.promises.readFile(file);
+      const contentType = this.contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+      return new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+      return new Response(null, { status: 404 });
+    }
+  }
+
+  /**
+   * Map a URL to a file
+   * @param {string} url - URL
+   * @returns {string} File path
+   */
+  resolve(url) {
+    // Resolving against a root URL drops any ../ that would climb out of the app
+    const pathname = decodeURIComponent(new URL(url, 'http://localhost/').pathname);
+    if (this.dataDir && pathname.startsWith('/data/')) {
+      return path.join(this.dataDir, pathname.slice('/data/'.length));
+    }
+    return path.join(this.root, pathname);
+  }
+
+  /**
+   * In-memory localStorage; ranking weights and the like start from their defaults
+   * @returns {Object} Storage with getItem, setItem and removeItem
+   */
+  createStorage() {
+    const items = new Map();
+    return {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => { items.set(key, String(value)); },
+      removeItem: key => { items.delete(key); }
+    };
+  }
+
+  /**
+   * A document with no elements, enough for services that look up their controls
+   * @returns {Object} Document stand-in
+   */
+  createDocument() {
+    return {
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      createElement: () => ({ style: {}, dataset: {} }),
+      addEventListener: () => {}
+    };
+  }
+}
+
+module.exports = BrowserContext;
@@ -0,0 +1,413 @@
+/**
+ * Hospital API for HealthCare Compass
+ * REST endpoints over the hospitals loaded in a BrowserContext, answered with
+ * the search page's own search, filter and ranking code (HospitalService,
+ * DataService, RankingEngine). Every response is JSON; errors are {error}.
+ *
+ *   GET /api/hospitals       Search, filter, sort and page the hospitals
+ *   GET /api/hospitals/:id   One hospital
+ *   GET /api/procedures      The procedure catalog, with how many hospitals price each procedure
+ *   GET /api/prices          Published prices, cheapest first, with the price distribution of a procedure
+ *   GET /api/specialties     Specialties offered by at least one hospital
+ */
+
+/**
+ * An error answered with a 4xx status and its message
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Message for the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class HospitalApi {
+  /**
+   * @param {Object} window - BrowserContext window with dataService, hospitalService,
+   *   procedureCatalog, priceService, specialtyService and rankingEngine loaded
+   * @param {Object} options - {basePath, defaultPageSize, maxPageSize}
+   */
+  constructor(window, { basePath = '/api', defaultPageSize = 20, maxPageSize = 100 } = {}) {
+    this.window = window;
+    this.basePath = basePath;
+    this.defaultPageSize = defaultPageSize;
+    this.maxPageSize = maxPageSize;
+    // Values the search page's dropdowns offer; drive times aren't estimated here, so remote mode hides that sort
+    this.sortOptions = ['recommended', 'price-low', 'price-high', 'rating-high', 'distance'];
+    this.budgetOptions = ['any', '0-1000', '1000-5000', '5000-10000', '10000+'];
+  }
+
+  /**
+   * Whether a request path belongs to the API
+   * @param {string} pathname - Request path
+   * @returns {boolean} True for paths under the base path
+   */
+  handles(pathname) {
+    return pathname === this.basePath || pathname.startsWith(`${this.basePath}/`);
+  }
+
+  /**
+   * Answer a request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  handle(request, response) {
+    let status = 200;
+    let body;
+    try {
+      if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.setHeader('Allow', 'GET, HEAD');
+        throw new ApiError(405, `${request.method} is not supported`);
+      }
+      const url = new URL(request.url, 'http://localhost');
+      body = this.route(url.pathname.slice(this.basePath.length), url.searchParams);
+    } catch (error) {
+      status = error instanceof ApiError ? error.status : 500;
+      if (status === 500) console.error(`Error answering ${request.url}:`, error);
+      body = { error: status === 500 ? 'Internal server error' : error.message };
+    }
+
+    const json = JSON.stringify(body);
+    response.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      // The app may be served from elsewhere than the API
+      'Access-Control-Allow-Origin': '*'
+    });
+    response.end(request.method === 'HEAD' ? undefined : json);
+  }
+
+  /**
+   * Find the endpoint for a path
+   * @param {string} path - Path under the base path, e.g. '/hospitals'
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} Response body
+   */
+  route(path, params) {
+    const hospitalMatch = path.match(/^\/hospitals\/([^/]+)$/);
+    if (path === '/hospitals') return this.listHospitals(params);
+    if (hospitalMatch) {
+      let id;
+      try {
+        id = decodeURIComponent(hospitalMatch[1]);
+      } catch (error) {
+        throw new ApiError(400, `Malformed hospital Id ${hospitalMatch[1]}`);
+      }
+      return this.getHospital(id);
+    }
+    if (path === '/procedures') return this.listProcedures();
+    if (path === '/prices') return this.listPrices(params);
+    if (path === '/specialties') return this.listSpecialties();
+    throw new ApiError(404, `No API endpoint at ${this.basePath}${path}`);
+  }
+
+  /**
+   * GET /api/hospitals
+   * The treatment is matched as on the search page: a procedure, a condition or a hospital name.
+   * Parameters: treatment; location (ZIP or "City, ST") or lat and lon; radius (miles);
+   * budget, specialty (key), facility (type), rating (minimum stars) and procedure as the
+   * search page's filters; bounds (south,west,north,east); sort; weights ("price:40,rating:20")
+   * for the recommended sort; page and pageSize
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} {total, page, pageSize, pages, procedure, referencePoint, locationStatus,
+   *   hospitals}; hospitals have distance with a reference point and score with the recommended sort
+   */
+  listHospitals(params) {
+    const service = this.window.hospitalService;
+    const { hospitals: matched, match } = service.findHospitals((params.get('treatment') || '').trim());
+    const procedure = this.readProcedure(params) ||
+      (match && match.procedure ? match.procedure.key : this.window.procedureCatalog.getDefaultKey());
+    const { referencePoint, locationStatus } = this.readLocation(params);
+    const radius = this.readNumber(params, 'radius', { min: 1, integer: true });
+    const rating = this.readNumber(params, 'rating', { min: 1, max: 5, integer: true });
+    const filters = {
+      budget: this.readChoice(params, 'budget', this.budgetOptions, 'any'),
+      specialty: this.readSpecialty(params),
+      facility: this.readFacilityType(params),
+      distance: radius === null ? 'any' : String(radius),
+      rating: rating === null ? 'any' : String(rating)
+    };
+    const bounds = this.readBounds(params);
+    const sort = this.readChoice(params, 'sort', this.sortOptions, 'recommended');
+    const weights = this.readWeights(params);
+
+    // An unrecognized location finds nothing, as on the search page
+    let results = locationStatus === 'unrecognized' ? [] : service.filterHospitals(matched, filters, procedure, referencePoint);
+    if (bounds) results = service.filterByBounds(results, bounds);
+    const specialties = service.getRankingSpecialties(filters.specialty, match ? match.diseases : []);
+    results = this.withWeights(weights, () => service.sortHospitals(results, sort, { procedure, referencePoint, specialties }));
+    const scores = sort === 'recommended' ? service.rankingScores : new Map();
+
+    const { items, ...page } = this.paginate(results, params);
+    return {
+      ...page,
+      procedure,
+      referencePoint,
+      locationStatus,
+      hospitals: items.map(hospital => this.toResource(hospital, referencePoint, scores.get(hospital.Id)))
+    };
+  }
+
+  /**
+   * GET /api/hospitals/:id
+   * @param {string} id - Hospital Id
+   * @returns {Object} Hospital with its prices, rating, specialties and facility type
+   */
+  getHospital(id) {
+    const hospital = this.window.dataService.getHospitalById(id);
+    if (!hospital) throw new ApiError(404, `No hospital with Id ${id}`);
+    return this.toResource(hospital, null, null);
+  }
+
+  /**
+   * GET /api/procedures
+   * @returns {Object} {procedures: [catalog entry with pricedHospitals]}
+   */
+  listProcedures() {
+    const priceService = this.window.priceService;
+    return {
+      procedures: this.window.procedureCatalog.getAll().map(entry => {
+        const stats = priceService.getPriceStats(entry.key);
+        return { ...entry, pricedHospitals: stats ? stats.count : 0 };
+      })
+    };
+  }
+
+  /**
+   * GET /api/prices
+   * Parameters: procedure (key) and/or hospital (Id) to narrow the list; page and pageSize
+   * (pageSize=0 for just the distribution)
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} {total, page, pageSize, pages, procedure, stats, prices}; stats is the
+   *   procedure's price distribution {count, min, low, median, high, max}, or null
+   */
+  listPrices(params) {
+    const procedure = this.readProcedure(params);
+    const hospitalId = params.get('hospital');
+    let hospitals = this.window.dataService.hospitalsData;
+    if (hospitalId) {
+      const hospital = this.window.dataService.getHospitalById(hospitalId);
+      if (!hospital) throw new ApiError(404, `No hospital with Id ${hospitalId}`);
+      hospitals = [hospital];
+    }
+
+    const prices = hospitals.flatMap(hospital => Object.keys(hospital.prices || {})
+      .filter(key => !procedure || key === procedure)
+      .map(key => ({
+        hospitalId: hospital.Id,
+        hospitalName: hospital.NAME,
+        city: hospital.CITY,
+        state: hospital.STATE,
+        procedure: key,
+        cost: this.window.hospitalService.getProcedureCost(hospital, key),
+        ...hospital.prices[key]
+      })));
+    // Cheapest first; prices without a headline amount go last
+    prices.sort((a, b) => (a.cost === null) - (b.cost === null) || a.cost - b.cost);
+
+    // The sorted values are left out; the distribution is enough for price bands
+    const { values, ...stats } = (procedure && this.window.priceService.getPriceStats(procedure)) || {};
+    const { items, ...page } = this.paginate(prices, params);
+    return { ...page, procedure, stats: values ? stats : null, prices: items };
+  }
+
+  /**
+   * GET /api/specialties
+   * @returns {Object} {specialties: [{key, label, hospitals}]}
+   */
+  listSpecialties() {
+    const specialtyService = this.window.specialtyService;
+    const counts = new Map();
+    this.window.dataService.hospitalsData.forEach(hospital => {
+      (hospital.specialties || []).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+    });
+    return {
+      specialties: specialtyService.getAllSpecialties().map(label => ({
+        key: specialtyService.toKey(label),
+        label,
+        hospitals: counts.get(label) || 0
+      }))
+    };
+  }
+
+  /**
+   * Read the reference point: lat and lon, or a location geocoded as on the search page
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} {referencePoint, locationStatus ('none', 'recognized' or 'unrecognized')}
+   */
+  readLocation(params) {
+    const lat = this.readNumber(params, 'lat', { min: -90, max: 90 });
+    const lon = this.readNumber(params, 'lon', { min: -180, max: 180 });
+    if ((lat === null) !== (lon === null)) throw new ApiError(400, 'lat and lon must be given together');
+    if (lat !== null) return { referencePoint: { lat, lon }, locationStatus: 'recognized' };
+
+    const location = (params.get('location') || '').trim();
+    if (!location) return { referencePoint: null, locationStatus: 'none' };
+    const point = this.window.hospitalService.locate(location);
+    return { referencePoint: point, locationStatus: point ? 'recognized' : 'unrecognized' };
+  }
+
+  /**
+   * Read a procedure key
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string|null} Procedure key, or null if not given
+   */
+  readProcedure(params) {
+    const procedure = params.get('procedure');
+    if (!procedure) return null;
+    if (!this.window.procedureCatalog.get(procedure)) throw new ApiError(400, `Unknown procedure ${procedure}`);
+    return procedure;
+  }
+
+  /**
+   * Read a specialty key
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string} Specialty key, or 'all'
+   */
+  readSpecialty(params) {
+    const specialty = params.get('specialty') || 'all';
+    if (specialty !== 'all' && !this.window.specialtyService.getLabel(specialty)) {
+      throw new ApiError(400, `Unknown specialty ${specialty}`);
+    }
+    return specialty;
+  }
+
+  /**
+   * Read a facility type
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string} Facility type, or 'all'
+   */
+  readFacilityType(params) {
+    const facility = params.get('facility') || 'all';
+    if (facility !== 'all' && !this.window.specialtyService.classifier.isType(facility)) {
+      throw new ApiError(400, `Unknown facility type ${facility}`);
+    }
+    return facility;
+  }
+
+  /**
+   * Read the map bounds to keep results within
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object|null} {south, west, north, east}, or null if not given
+   */
+  readBounds(params) {
+    if (!params.get('bounds')) return null;
+    const values = params.get('bounds').split(',').map(Number);
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value))) {
+      throw new ApiError(400, 'bounds must be south,west,north,east');
+    }
+    const [south, west, north, east] = values;
+    return { south, west, north, east };
+  }
+
+  /**
+   * Read ranking weights for the recommended sort
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} Weights (0-100) keyed by factor; factors left out keep their defaults
+   */
+  readWeights(params) {
+    const weights = {};
+    const keys = this.window.rankingEngine.factors.map(factor => factor.key);
+    (params.get('weights') || '').split(',').filter(Boolean).forEach(pair => {
+      const [key, value] = pair.split(':');
+      const weight = Number(value);
+      if (!keys.includes(key) || !Number.isFinite(weight) || weight < 0 || weight > 100) {
+        throw new ApiError(400, `weights must be factor:weight pairs with weights from 0 to 100, factors being ${keys.join(', ')}`);
+      }
+      weights[key] = weight;
+    });
+    return weights;
+  }
+
+  /**
+   * Read one of a set of values
+   * @param {URLSearchParams} params - Query parameters
+   * @param {string} name - Parameter name
+   * @param {Array} choices - Accepted values
+   * @param {string} fallback - Value when the parameter is missing
+   * @returns {string} Value
+   */
+  readChoice(params, name, choices, fallback) {
+    const value = params.get(name) || fallback;
+    if (!choices.includes(value)) throw new ApiError(400, `${name} must be one of ${choices.join(', ')}`);
+    return value;
+  }
+
+  /**
+   * Read a number
+   * 'any' counts as missing, matching the search page's filter values
+   * @param {URLSearchParams} params - Query parameters
+   * @param {string} name - Parameter name
+   * @param {Object} limits - {min, max, integer}
+   * @returns {number|null} Number, or null if not given
+   */
+  readNumber(params, name, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    const text = params.get(name);
+    if (text === null || text === '' || text === 'any') return null;
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      const range = [min > -Infinity && `at least ${min}`, max < Infinity && `at most ${max}`].filter(Boolean).join(' and ');
+      throw new ApiError(400, `${name} must be ${integer ? 'a whole number' : 'a number'}${range ? ` ${range}` : ''}`);
+    }
+    return value;
+  }
+
+  /**
+   * Cut out the requested page
+   * A page past the end gives the last page
+   * @param {Array} items - Everything that matched
+   * @param {URLSearchParams} params - Query parameters with page and pageSize
+   * @returns {Object} {total, page, pageSize, pages, items}
+   */
+  paginate(items, params) {
+    const pageSize = this.readNumber(params, 'pageSize', { min: 0, max: this.maxPageSize, integer: true });
+    const size = pageSize === null ? this.defaultPageSize : pageSize;
+    const pages = size ? Math.max(1, Math.ceil(items.length / size)) : 1;
+    const page = Math.min(this.readNumber(params, 'page', { min: 1, integer: true }) || 1, pages);
+    return {
+      total: items.length,
+      page,
+      pageSize: size,
+      pages,
+      items: items.slice((page - 1) * size, page * size)
+    };
+  }
+
+  /**
+   * A hospital as sent to clients
+   * @param {Object} hospital - Hospital
+   * @param {Object|null} referencePoint - Point distances are measured from
+   * @param {Object|null} score - {result, rank} from the recommended sort
+   * @returns {Object} Copy with distance (miles) and score ({total, factors, rank}) when known
+   */
+  toResource(hospital, referencePoint, score) {
+    const resource = { ...hospital };
+    if (referencePoint) resource.distance = this.window.dataService.getDistance(referencePoint, hospital);
+    if (score) resource.score = { ...score.result, rank: score.rank };
+    return resource;
+  }
+
+  /**
+   * Run a callback with ranking weights changed for one request
+   * Answering is synchronous, so no other request sees them
+   * @param {Object} weights - Weights keyed by factor
+   * @param {Function} callback - Work to do with the weights
+   * @returns {*} What the callback returns
+   */
+  withWeights(weights, callback) {
+    const engine = this.window.rankingEngine;
+    const saved = engine.weights;
+    engine.weights = { ...saved, ...weights };
+    try {
+      return callback();
+    } finally {
+      engine.weights = saved;
+    }
+  }
+}
+
+module.exports = { HospitalApi, ApiError };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * HealthCare Compass server
+ * Serves the app and the hospital API from one Node process with no
+ * dependencies. Hospitals, ratings, prices and specialties are loaded from
+ * data/ once at startup by the app's own scripts.
+ *
+ *   node server/server.js [--port 8080] [--data ./data]
+ *
+ * The port can also come from PORT. Point the app at the API by passing '/api'
+ * to new DataService() in js/main.js.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const BrowserContext = require('./browser-context');
+const { HospitalApi } = require('./hospital-api');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The scripts the API needs, in the order index.html loads them
+const SCRIPTS = [
+  'js/html-utils.js',
+  'js/csv-parser.js',
+  'js/data-validator.js',
+  'js/search-index.js',
+  'js/spatial-index.js',
+  'js/data-service.js',
+  'js/procedure-catalog.js',
+  'js/geocoder.js',
+  'js/ratings-service.js',
+  'js/price-service.js',
+  'js/facility-classifier.js',
+  'js/specialty-service.js',
+  'js/hospital-service.js',
+  'js/ranking-engine.js'
+];
+
+// The only files the app is served from; anything else in the repo stays private
+const PUBLIC_FILES = ['index.html', 'top-hospitals.html'].map(name => path.join(ROOT, name));
+const PUBLIC_DIRECTORIES = ['css', 'js', 'data'].map(name => path.join(ROOT, name) + path.sep);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Read --name value options
+ * @param {Array} args - Command line arguments
+ * @returns {Object} {port, data}
+ */
+function parseArgs(args) {
+  const options = { port: Number(process.env.PORT) || 8080, data: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const [name, value] = [args[i], args[i + 1]];
+    if (name === '--port' && /^\d+$/.test(value || '')) options.port = Number(value);
+    else if (name === '--data' && value) options.data = path.resolve(value);
+    else throw new Error(`Unknown option ${name}; usage: node server/server.js [--port 8080] [--data ./data]`);
+  }
+  return options;
+}
+
+/**
+ * Load the hospitals with the app's services, set up as top-hospitals.js does
+ * @param {string} dataDir - Directory to read data files from, or null for the app's data/
+ * @returns {Promise} Promise that resolves with the context's window
+ */
+async function loadServices(dataDir) {
+  const context = new BrowserContext(ROOT, { dataDir });
+  context.load(SCRIPTS);
+  const {
+    DataService, ProcedureCatalog, Geocoder, RatingsService, PriceService,
+    FacilityClassifier, SpecialtyService, HospitalService, RankingEngine
+  } = context.getClasses([
+    'DataService', 'ProcedureCatalog', 'Geocoder', 'RatingsService', 'PriceService',
+    'FacilityClassifier', 'SpecialtyService', 'HospitalService', 'RankingEngine'
+  ]);
+
+  const window = context.window;
+  window.dataService = new DataService();
+  window.procedureCatalog = new ProcedureCatalog();
+  window.geocoder = new Geocoder(window.dataService);
+  window.ratingsService = new RatingsService(window.dataService);
+  window.priceService = new PriceService(window.dataService, window.procedureCatalog);
+  window.specialtyService = new SpecialtyService(window.dataService, new FacilityClassifier());
+  window.hospitalService = new HospitalService(window.dataService);
+  window.rankingEngine = new RankingEngine(window.dataService, window.hospitalService);
+
+  await window.hospitalService.loadData();
+  return window;
+}
+
+/**
+ * Send one of the app's public files
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function serveStatic(request, response) {
+  const send = (status, body, headers = {}) => {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  };
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    send(405, 'Method not allowed', { Allow: 'GET, HEAD' });
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch (error) {
+    send(400, 'Bad request');
+    return;
+  }
+  if (pathname === '/') pathname = '/index.html';
+  const file = path.join(ROOT, pathname);
+  const isPublic = PUBLIC_FILES.includes(file) || PUBLIC_DIRECTORIES.some(directory => file.startsWith(directory));
+  // Only the app's own files, and no dotfiles
+  if (!isPublic || pathname.split('/').some(part => part.startsWith('.'))) {
+    send(404, 'Not found');
+    return;
+  }
+
+  fs.readFile(file, (error, body) => {
+    if (error) {
+      send(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500, error.code === 'ENOENT' || error.code === 'EISDIR' ? 'Not found' : 'Internal server error');
+      return;
+    }
+    send(200, body, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const window = await loadServices(options.data);
+  const api = new HospitalApi(window);
+
+  const server = http.createServer((request, response) => {
+    const pathname = request.url.split('?')[0];
+    if (api.handles(pathname)) {
+      api.handle(request, response);
+    } else {
+      serveStatic(request, response);
+    }
+  });
+  server.listen(options.port, () => {
+    console.log(`HealthCare Compass at http://localhost:${options.port}/ (API at ${api.basePath})`);
+  });
+}
+
+// Required from the tests, the services load without starting a server
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Could not start the server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadServices };
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { CostEstimator, window } = loadClasses(['js/cost-estimator.js'], ['CostEstimator']);
+
+const PLAN = { enabled: true, deductible: 1500, deductibleMet: 0, coinsurance: 20, copay: 0, outOfPocketMax: 6000, network: 'in' };
+
+/**
+ * A hospital with one published price
+ * @param {Object} price - Price summary fields
+ * @returns {Object} Hospital
+ */
+function hospitalWith(price) {
+  return { Id: 'h1', prices: { 'hip-replacement': { minNegotiated: null, maxNegotiated: null, grossCharge: null, ...price } }, costs: {} };
+}
+
+const estimate = (hospital, plan) => plain(new CostEstimator().estimate(hospital, 'hip-replacement', { ...PLAN, ...plan }));
+
+test('pays the deductible, then coinsurance on the rest', () => {
+  assert.deepStrictEqual(estimate(hospitalWith({ minNegotiated: 9000, maxNegotiated: 11000 })), {
+    allowed: 10000,
+    deductible: 1500,
+    coinsurance: 1700,
+    copay: 0,
+    balanceBill: 0,
+    youPay: 3200,
+    planPays: 6800,
+    capped: false
+  });
+});
+
+test('counts spending so far toward the deductible and the maximum', () => {
+  const result = estimate(hospitalWith({ minNegotiated: 10000, maxNegotiated: 10000 }), { deductibleMet: 1000 });
+  assert.strictEqual(result.deductible, 500);
+  assert.strictEqual(result.coinsurance, 1900);
+  assert.strictEqual(result.youPay, 2400);
+});
+
+test('takes the copay before the deductible', () => {
+  const result = estimate(hospitalWith({ minNegotiated: 2000, maxNegotiated: 2000 }), { copay: 250 });
+  assert.deepStrictEqual([result.copay, result.deductible, result.coinsurance], [250, 1500, 50]);
+  assert.strictEqual(result.planPays, 200);
+});
+
+test('stops at the out-of-pocket maximum', () => {
+  const result = estimate(hospitalWith({ minNegotiated: 60000, maxNegotiated: 60000 }), { deductibleMet: 500 });
+  assert.strictEqual(result.youPay, 5500);
+  assert.strictEqual(result.planPays, 54500);
+  assert.strictEqual(result.capped, true);
+});
+
+test('adds the balance bill out of network, beyond the maximum', () => {
+  const hospital = hospitalWith({ minNegotiated: 60000, maxNegotiated: 60000, grossCharge: 90000 });
+  const result = estimate(hospital, { network: 'out' });
+  assert.strictEqual(result.balanceBill, 30000);
+  assert.strictEqual(result.youPay, 36000);
+  assert.strictEqual(estimate(hospital, { network: 'in' }).balanceBill, 0);
+});
+
+test('falls back to one negotiated rate, then the headline cost', () => {
+  assert.strictEqual(estimate(hospitalWith({ maxNegotiated: 4000 })).allowed, 4000);
+  assert.strictEqual(estimate({ Id: 'h2', prices: {}, costs: { 'hip-replacement': 3000 } }).allowed, 3000);
+  assert.strictEqual(new CostEstimator().estimate({ Id: 'h3', prices: {}, costs: {} }, 'hip-replacement', PLAN), null);
+});
+
+test('clamps and saves plan changes', () => {
+  const estimator = new CostEstimator();
+  const plan = estimator.setPlan({ enabled: 1, deductible: '-50', coinsurance: '150', copay: 'abc', network: 'elsewhere' });
+  assert.deepStrictEqual(plain(plan), { ...PLAN, deductible: 0, coinsurance: 100 });
+  assert.deepStrictEqual(plain(new CostEstimator().plan), plain(plan));
+  window.localStorage.removeItem(estimator.storageKey);
+});
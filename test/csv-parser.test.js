@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { CsvParser } = loadClasses(['js/csv-parser.js'], ['CsvParser']);
+
+const fieldsOf = rows => plain(rows.map(row => row.fields));
+
+test('parses quoted fields with commas, newlines and doubled quotes', () => {
+  const rows = new CsvParser().parse('Id,NAME\n1,"Mercy, South"\n2,"Line one\nline two"\n3,"The ""Big"" One"\n');
+  assert.deepStrictEqual(fieldsOf(rows), [
+    ['Id', 'NAME'],
+    ['1', 'Mercy, South'],
+    ['2', 'Line one\nline two'],
+    ['3', 'The "Big" One']
+  ]);
+});
+
+test('accepts CRLF, LF and CR line endings and skips blank lines', () => {
+  const rows = new CsvParser().parse('a,b\r\n1,2\n\n3,4\r5,6');
+  assert.deepStrictEqual(fieldsOf(rows), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+});
+
+test('reports the line each record starts on', () => {
+  const rows = new CsvParser().parse('a,b\n"multi\nline",x\ny,z\n');
+  assert.deepStrictEqual(plain(rows.map(row => row.line)), [1, 2, 4]);
+});
+
+test('drops a byte order mark from the first header', () => {
+  const rows = new CsvParser().parse('\uFEFFId,NAME\n1,A\n');
+  assert.strictEqual(rows[0].fields[0], 'Id');
+});
+
+test('gives the same rows however the text is split into chunks', () => {
+  const text = 'Id,NAME\r\n1,"Say ""hi"", then\r\nleave"\r\n2,B\r\n';
+  const expected = fieldsOf(new CsvParser().parse(text));
+  for (let size = 1; size <= text.length; size++) {
+    const parser = new CsvParser();
+    for (let i = 0; i < text.length; i += size) parser.push(text.slice(i, i + size));
+    parser.end();
+    assert.deepStrictEqual(fieldsOf(parser.rows), expected, `chunks of ${size}`);
+  }
+});
+
+test('recovers from malformed quotes and records an error', () => {
+  const parser = new CsvParser();
+  const rows = parser.parse('a,b\n1,x"y\n2,"never closed\n');
+  assert.deepStrictEqual(fieldsOf(rows), [['a', 'b'], ['1', 'x"y'], ['2', 'never closed\n']]);
+  assert.deepStrictEqual(plain(parser.errors), [
+    { line: 2, message: 'Quote in the middle of a field' },
+    { line: 3, message: 'Quoted field is never closed' }
+  ]);
+});
+
+test('parses a stream of bytes split inside a multi-byte character', async () => {
+  const bytes = new TextEncoder().encode('NAME\nSt. Luke’s\n');
+  const split = bytes.indexOf(0xE2) + 1;
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, split));
+      controller.enqueue(bytes.slice(split));
+      controller.close();
+    }
+  });
+  const rows = await new CsvParser().parseStream(stream);
+  assert.deepStrictEqual(fieldsOf(rows), [['NAME'], ['St. Luke’s']]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { CsvParser, DataValidator } = loadClasses(['js/csv-parser.js', 'js/data-validator.js'], ['CsvParser', 'DataValidator']);
+
+const HEADER = 'Id,NAME,ADDRESS,CITY,STATE,ZIP,LAT,LON,PHONE,REVENUE,UTILIZATION';
+
+/**
+ * Validate organizations CSV rows
+ * @param {Array} lines - Data lines, without the header
+ * @returns {Object} {records, report}
+ */
+function validate(lines) {
+  const rows = new CsvParser().parse([HEADER, ...lines].join('\n'));
+  return new DataValidator().validate(rows, 'organizations', { source: 'organizations.csv' });
+}
+
+test('converts accepted rows to typed records', () => {
+  const { records, report } = validate(['h1,Mercy,1 Main St,Springfield,mo,65802,37.2,-93.3,417-555-0100,"$1,250",40']);
+  assert.deepStrictEqual(plain(records), [{
+    Id: 'h1', NAME: 'Mercy', ADDRESS: '1 Main St', CITY: 'Springfield', STATE: 'MO', ZIP: '65802',
+    LAT: 37.2, LON: -93.3, PHONE: '4175550100', REVENUE: 1250, UTILIZATION: 40
+  }]);
+  assert.strictEqual(report.totalRows, 1);
+  assert.strictEqual(report.acceptedRows, 1);
+  assert.deepStrictEqual(plain(report.coerced.map(entry => entry.column)), ['STATE', 'PHONE', 'REVENUE']);
+});
+
+test('rejects rows missing required values or with the wrong field count', () => {
+  const { records, report } = validate([
+    'h1,,1 Main St,Springfield,MO,65802,37.2,-93.3,,,',
+    'h2,Mercy,1 Main St,Springfield,MO,65802,north,-93.3,,,',
+    'h3,Mercy,Springfield'
+  ]);
+  assert.strictEqual(records.length, 0);
+  assert.deepStrictEqual(plain(report.rejected), [
+    { line: 2, id: 'h1', name: '', reasons: ['NAME is required'] },
+    { line: 3, id: 'h2', name: 'Mercy', reasons: ['LAT "north" is not a number'] },
+    {
+      line: 4,
+      id: 'h3',
+      name: 'Mercy',
+      reasons: ['Has 3 fields; the header has 11', 'CITY is required', 'STATE is required', 'LAT is required', 'LON is required']
+    }
+  ]);
+});
+
+test('keeps the first of duplicate Ids', () => {
+  const { records, report } = validate([
+    'h1,First,,Springfield,MO,,37.2,-93.3,,,',
+    'h1,Second,,Springfield,MO,,37.2,-93.3,,,',
+    'h1,Third,,Springfield,MO,,37.2,-93.3,,,'
+  ]);
+  assert.deepStrictEqual(plain(records.map(record => record.NAME)), ['First']);
+  assert.deepStrictEqual(plain(report.duplicateIds), [{ id: 'h1', lines: [2, 3, 4] }]);
+});
+
+test('repairs optional values instead of rejecting the row', () => {
+  const { records, report } = validate(['h1,Mercy,,Springfield,MO,2138,37.2,-93.3,(417) 555-0100 or 555-0199,-5,lots']);
+  assert.strictEqual(records[0].ZIP, '02138');
+  assert.strictEqual(records[0].PHONE, '4175550100');
+  assert.strictEqual(records[0].REVENUE, 0);
+  assert.strictEqual(records[0].UTILIZATION, 0);
+  assert.deepStrictEqual(plain(report.coerced.map(entry => entry.reason)), [
+    'Restored leading zero',
+    'More than one number listed; kept the first',
+    'Outside 0 to ∞; treated as not reported',
+    'Not a number; treated as not reported'
+  ]);
+});
+
+test('lists missing and unknown columns', () => {
+  const rows = new CsvParser().parse('Id,NAME,CITY,STATE,LAT,LON,WEBSITE\nh1,Mercy,Springfield,MO,37.2,-93.3,mercy.net\n');
+  const { records, report } = new DataValidator().validate(rows, 'organizations');
+  assert.deepStrictEqual(plain(report.missingColumns), ['ADDRESS', 'ZIP', 'PHONE', 'REVENUE', 'UTILIZATION']);
+  assert.deepStrictEqual(plain(report.unknownColumns), ['WEBSITE']);
+  assert.strictEqual(records[0].WEBSITE, 'mercy.net');
+});
+
+test('throws for an unknown schema', () => {
+  assert.throws(() => new DataValidator().validate([], 'ratings'), /Unknown data schema "ratings"/);
+});
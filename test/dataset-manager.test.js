@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { DatasetManager, DataValidator } = loadClasses(
+  ['js/csv-parser.js', 'js/data-validator.js', 'js/dataset-manager.js'],
+  ['DatasetManager', 'DataValidator']
+);
+
+/**
+ * A manager with no page or store, for its parsing and mapping
+ * @returns {DatasetManager} Manager
+ */
+function createManager() {
+  return new DatasetManager({ hospitalsSource: './data/organizations.csv', validator: new DataValidator() }, null);
+}
+
+test('parses CSV files into headers and records', () => {
+  const { headers, records } = createManager().parseFile('kansas.csv', ' Hospital Name ,City\n"Stormont, Vail",Topeka\nShort\n');
+  assert.deepStrictEqual(plain(headers), ['Hospital Name', 'City']);
+  assert.deepStrictEqual(plain(records), [
+    { 'Hospital Name': 'Stormont, Vail', City: 'Topeka' },
+    { 'Hospital Name': 'Short', City: '' }
+  ]);
+});
+
+test('parses JSON arrays, and arrays wrapped in an object', () => {
+  const manager = createManager();
+  const array = manager.parseFile('ratings.json', '[{"id": 1, "stars": 4}, {"id": 2, "surveys": 300}, "stray"]');
+  assert.deepStrictEqual(plain(array.headers), ['id', 'stars', 'surveys']);
+  assert.strictEqual(array.records.length, 2);
+
+  // Content that looks like JSON is read as JSON whatever the file is called
+  const wrapped = manager.parseFile('export.txt', '{"meta": {}, "data": [{"id": 1}]}');
+  assert.deepStrictEqual(plain(wrapped.records), [{ id: 1 }]);
+  assert.throws(() => manager.parseFile('broken.json', '[{"id": 1'));
+});
+
+test('maps columns by name and known aliases, ignoring case and punctuation', () => {
+  const mapping = createManager().guessMapping('organizations', ['Facility ID', 'Hospital_Name', 'CITY', 'State', 'Zip Code', 'Latitude', 'lng', 'Notes']);
+  assert.deepStrictEqual(plain(mapping), {
+    Id: 'Facility ID',
+    NAME: 'Hospital_Name',
+    ADDRESS: '',
+    CITY: 'CITY',
+    STATE: 'State',
+    ZIP: 'Zip Code',
+    LAT: 'Latitude',
+    LON: 'lng',
+    PHONE: '',
+    REVENUE: '',
+    UTILIZATION: ''
+  });
+});
+
+test('guesses what a file holds from the columns it covers', () => {
+  const manager = createManager();
+  assert.strictEqual(manager.guessKind(['Id', 'NAME', 'CITY', 'STATE', 'LAT', 'LON']), 'organizations');
+  assert.strictEqual(manager.guessKind(['Provider ID', 'Hospital overall rating', 'Number of Completed Surveys']), 'ratings');
+  assert.strictEqual(manager.guessKind(['hospital_id', 'billing_code', 'standard_charge_discounted_cash', 'standard_charge_gross']), 'prices');
+});
+
+test('prefers the kind with more matching columns when the required ones tie', () => {
+  // Both ratings and prices need only Id, so the extra price columns decide it
+  assert.strictEqual(createManager().guessKind(['Id', 'CPT', 'Cash Price']), 'prices');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses } = require('./helpers');
+
+const { FacilityClassifier } = loadClasses(['js/facility-classifier.js'], ['FacilityClassifier']);
+
+test('classifies names by the words that mark each type', () => {
+  const classifier = new FacilityClassifier();
+  const cases = {
+    'LIBERTY HOSPITAL': 'acute-hospital',
+    'CAPITAL REGION MEDICAL CENTER': 'acute-hospital',
+    'GLADSTONE URGENT CARE  LLC': 'urgent-care',
+    'RUSK REHABILITATION CENTER': 'rehab',
+    'MARY  QUEEN AND MOTHER CENTER': 'other',
+    'SUNSET MANOR': 'nursing',
+    'OZARKS COMMUNITY HEALTH CENTER': 'clinic',
+    'SMITH FAMILY PRACTICE': 'clinic',
+    'JOHN DOE MD': 'clinic'
+  };
+  Object.entries(cases).forEach(([name, type]) => assert.strictEqual(classifier.classify(name), type, name));
+});
+
+test('checks the special cases before the general ones', () => {
+  const classifier = new FacilityClassifier();
+  // A hospital's home health agency and hospice are not the hospital
+  assert.strictEqual(classifier.classify('MERCY HOSPITAL HOME HEALTH'), 'other');
+  assert.strictEqual(classifier.classify('Saint Luke\'s Hospice'), 'other');
+  // "Care & Rehabilitation Center" is a nursing home, not a rehab hospital
+  assert.strictEqual(classifier.classify('MAPLE CARE & REHABILITATION CENTER'), 'nursing');
+  assert.strictEqual(classifier.classify('HOSPITAL URGENT CARE'), 'urgent-care');
+});
+
+test('calls names it cannot place "other"', () => {
+  const classifier = new FacilityClassifier();
+  assert.strictEqual(classifier.classify('ACME LLC'), 'other');
+  assert.strictEqual(classifier.classify(''), 'other');
+  assert.strictEqual(classifier.classify(null), 'other');
+});
+
+test('knows its types and labels them', () => {
+  const classifier = new FacilityClassifier();
+  assert.ok(classifier.isType('urgent-care'));
+  assert.ok(!classifier.isType('toString'));
+  assert.strictEqual(classifier.getLabel('nursing'), 'Nursing & Long-Term Care');
+  assert.strictEqual(classifier.getLabel('unknown'), 'Other Facility');
+});
@@ -0,0 +1,37 @@
+/**
+ * Test helpers for HealthCare Compass
+ * The tests run the app's own scripts from js/ in the server's browser
+ * context, so they exercise the same code the pages load.
+ *
+ *   node --test
+ */
+
+const path = require('path');
+const BrowserContext = require('../server/browser-context');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Load scripts and return the classes they declare
+ * @param {Array} files - Script paths relative to the app directory, in load order
+ * @param {Array} names - Class names to return
+ * @returns {Object} Classes keyed by name, plus window for the context they run in
+ */
+function loadClasses(files, names) {
+  const context = new BrowserContext(ROOT);
+  context.load(files);
+  return { ...context.getClasses(names), window: context.window };
+}
+
+/**
+ * Copy a value out of the script context
+ * Arrays and objects made there have that context's prototypes, which strict
+ * deep equality would treat as different
+ * @param {*} value - JSON-safe value
+ * @returns {*} Equal value with this context's prototypes
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { ROOT, loadClasses, plain };
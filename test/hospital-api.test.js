@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServices } = require('../server/server');
+const { HospitalApi } = require('../server/hospital-api');
+const { plain } = require('./helpers');
+
+const LIBERTY = '611047a3-d5a3-3697-bda4-7cbe0d6770e7';
+
+let api;
+test.before(async () => {
+  api = new HospitalApi(await loadServices(null));
+});
+
+/**
+ * Answer a GET without a server
+ * @param {string} url - Path and query under /api
+ * @returns {Object} Response body
+ */
+function get(url) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  return plain(api.route(pathname, searchParams));
+}
+
+/**
+ * The status a request fails with
+ * @param {string} url - Path and query under /api
+ * @returns {number} HTTP status
+ */
+function statusOf(url) {
+  try {
+    get(url);
+  } catch (error) {
+    return error.status;
+  }
+  return 200;
+}
+
+test('pages the hospitals', () => {
+  const first = get('/hospitals?pageSize=5');
+  assert.strictEqual(first.hospitals.length, 5);
+  assert.strictEqual(first.pages, Math.ceil(first.total / 5));
+  const second = get('/hospitals?pageSize=5&page=2');
+  assert.strictEqual(second.total, first.total);
+  assert.ok(second.hospitals.every(hospital => !first.hospitals.some(other => other.Id === hospital.Id)));
+});
+
+test('keeps hospitals within the radius, nearest first', () => {
+  const result = get('/hospitals?lat=38.63&lon=-90.2&radius=10&sort=distance&pageSize=100');
+  const distances = result.hospitals.map(hospital => hospital.distance);
+  assert.ok(result.total > 0 && result.total < get('/hospitals').total);
+  assert.ok(distances.every(distance => distance <= 10));
+  assert.deepStrictEqual(distances, [...distances].sort((a, b) => a - b));
+});
+
+test('finds one hospital by Id', () => {
+  assert.strictEqual(get(`/hospitals/${LIBERTY}`).NAME, 'LIBERTY HOSPITAL');
+  assert.strictEqual(statusOf('/hospitals/no-such-hospital'), 404);
+  assert.strictEqual(statusOf('/hospitals/%E0%A4%A'), 400);
+});
+
+test('rejects the drive-time sort, which the server cannot estimate', () => {
+  assert.strictEqual(statusOf('/hospitals?lat=38.63&lon=-90.2&sort=travel-time'), 400);
+  assert.strictEqual(statusOf('/hospitals?sort=rating-high'), 200);
+});
+
+test('rejects values the search page does not offer', () => {
+  assert.strictEqual(statusOf('/hospitals?budget=cheap'), 400);
+  assert.strictEqual(statusOf('/hospitals?radius=-5'), 400);
+  assert.strictEqual(statusOf('/hospitals?rating=9'), 400);
+  assert.strictEqual(statusOf('/nothing-here'), 404);
+});
+
+test('lists only specialties some hospital offers', () => {
+  const { specialties } = get('/specialties');
+  assert.ok(specialties.length > 0);
+  assert.ok(specialties.every(entry => entry.hospitals > 0 && entry.key && entry.label));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { MapService } = loadClasses(['js/map-service.js'], ['MapService']);
+
+const HOSPITALS = [
+  { Id: 'stl', LAT: 38.63, LON: -90.2 },
+  { Id: 'kc', LAT: 39.1, LON: -94.58 },
+  { Id: 'sgf', LAT: 37.21, LON: -93.29 }
+];
+
+/**
+ * A map with no page, reporting visible-area changes
+ * @param {boolean} boundsFilter - Whether "only show hospitals in the map area" is checked
+ * @returns {Object} {map, changes}; changes collects what setMapBounds received
+ */
+function createMap(boundsFilter) {
+  const changes = [];
+  const map = new MapService({ setMapBounds: bounds => changes.push(bounds) });
+  map.boundsFilterElement = { checked: boundsFilter };
+  return { map, changes };
+}
+
+const contains = (bounds, { LAT, LON }) => LAT <= bounds.north && LAT >= bounds.south && LON <= bounds.east && LON >= bounds.west;
+
+test('sees an area centered on the view, the size of the map', () => {
+  const { map } = createMap(false);
+  const bounds = map.getBounds();
+  assert.ok(bounds.north > map.view.lat && bounds.south < map.view.lat);
+  assert.ok(Math.abs((bounds.east + bounds.west) / 2 - map.view.lon) < 1e-9);
+
+  const { x, y } = map.project(bounds.south, bounds.east);
+  assert.ok(Math.abs(x - map.defaultSize.width) < 1e-6 && Math.abs(y - map.defaultSize.height) < 1e-6);
+});
+
+test('hands the visible area to the search only while the bounds filter is on', () => {
+  const on = createMap(true);
+  on.map.zoomAt(1);
+  assert.deepStrictEqual(on.changes, [on.map.getBounds()]);
+
+  const off = createMap(false);
+  off.map.zoomAt(1);
+  assert.deepStrictEqual(off.changes, [null]);
+});
+
+test('fits every hospital in view, then reports the new area', () => {
+  const { map, changes } = createMap(true);
+  map.fitToHospitals(HOSPITALS);
+  assert.ok(HOSPITALS.every(hospital => contains(changes[0], hospital)));
+  assert.ok(map.view.zoom > map.minZoom);
+
+  // Anything closer in would crop one of them
+  map.zoomAt(1);
+  assert.ok(!HOSPITALS.every(hospital => contains(changes[1], hospital)));
+});
+
+test('finds the bounding box of more points than fit on the stack', () => {
+  const { map } = createMap(false);
+  const points = Array.from({ length: 300000 }, (unused, i) => [36 + (i % 1000) / 250, -95 + (i % 777) / 200]);
+  points.push([40.6, -89.1]);
+  const box = map.getBoundingBox(points, point => point);
+  assert.deepStrictEqual(plain(box), { north: 40.6, south: 36, east: -89.1, west: -95 });
+});
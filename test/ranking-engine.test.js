@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { RankingEngine, window } = loadClasses(['js/ranking-engine.js'], ['RankingEngine']);
+
+window.procedureCatalog = {
+  get: key => ({
+    'knee-replacement': { key, category: 'Orthopedics', typicalPrice: { min: 20000, max: 40000 } },
+    'flu-shot': { key, category: 'Primary Care', typicalPrice: null }
+  })[key] || null
+};
+
+const HOSPITALS = [
+  { Id: 'a', NAME: 'Alpha', LAT: 38.6, LON: -90.2, rating: 5, UTILIZATION: 1000, costs: { 'knee-replacement': 20000 }, specialties: ['Orthopedics'] },
+  { Id: 'b', NAME: 'Bravo', LAT: 39.6, LON: -90.2, rating: 3, UTILIZATION: 10, costs: { 'knee-replacement': 30000 }, specialties: [] },
+  { Id: 'c', NAME: 'Charlie', LAT: 38.6, LON: -90.2, rating: null, UTILIZATION: 0, costs: {}, specialties: ['Cardiology'] }
+];
+
+/**
+ * An engine over the sample hospitals with default weights
+ * Distances are one mile per hundredth of a degree of latitude
+ * @returns {RankingEngine} Engine
+ */
+function createEngine() {
+  window.localStorage.removeItem('rankingWeights');
+  const dataService = {
+    hospitalsData: HOSPITALS,
+    maxUtilization: 1000,
+    getDistance: (point, hospital) => Math.abs(point.lat - hospital.LAT) * 100
+  };
+  const hospitalService = {
+    getProcedureCost: (hospital, procedure) => (procedure in hospital.costs ? hospital.costs[procedure] : null),
+    getSpecialties: hospital => hospital.specialties,
+    getAllSpecialties: () => ['Cardiology', 'Orthopedics']
+  };
+  return new RankingEngine(dataService, hospitalService);
+}
+
+const factorsOf = result => Object.fromEntries(result.factors.map(factor => [factor.key, factor]));
+
+test('scores a price against the procedure\'s typical band', () => {
+  const engine = createEngine();
+  assert.strictEqual(engine.scorePrice(HOSPITALS[0], 'knee-replacement'), 1);
+  assert.strictEqual(engine.scorePrice(HOSPITALS[1], 'knee-replacement'), 0.5);
+  assert.strictEqual(engine.scorePrice({ costs: { 'knee-replacement': 90000 } }, 'knee-replacement'), 0);
+  assert.strictEqual(engine.scorePrice(HOSPITALS[2], 'knee-replacement'), null);
+  assert.strictEqual(engine.scorePrice({ costs: { 'flu-shot': 30 } }, 'flu-shot'), null);
+});
+
+test('shares the weight among the factors that apply to the search', () => {
+  const engine = createEngine();
+  const factors = factorsOf(engine.scoreHospital(HOSPITALS[0], engine.createContext({})));
+  assert.deepStrictEqual(Object.keys(factors), ['rating', 'volume']);
+  assert.strictEqual(factors.rating.share, 0.75);
+  assert.strictEqual(factors.volume.share, 0.25);
+
+  const withEverything = engine.createContext({ procedure: 'knee-replacement', referencePoint: { lat: 38.6, lon: -90.2 } });
+  const shares = engine.scoreHospital(HOSPITALS[0], withEverything).factors.map(factor => factor.share);
+  assert.strictEqual(shares.length, 5);
+  assert.ok(Math.abs(shares.reduce((sum, share) => sum + share, 0) - 1) < 1e-9);
+});
+
+test('gives no points for missing data', () => {
+  const engine = createEngine();
+  const result = engine.scoreHospital(HOSPITALS[2], engine.createContext({ procedure: 'knee-replacement' }));
+  assert.deepStrictEqual(plain(result.factors.map(factor => [factor.key, factor.score, factor.points])), [
+    ['price', null, 0],
+    ['rating', null, 0],
+    ['volume', null, 0],
+    ['specialty', 0, 0]
+  ]);
+  assert.strictEqual(result.total, 0);
+});
+
+test('scores distance down to nothing at the maximum', () => {
+  const engine = createEngine();
+  const context = engine.createContext({ referencePoint: { lat: 38.6, lon: -90.2 } });
+  assert.strictEqual(factorsOf(engine.scoreHospital(HOSPITALS[0], context)).distance.score, 1);
+  assert.strictEqual(factorsOf(engine.scoreHospital(HOSPITALS[1], context)).distance.score, 0);
+});
+
+test('matches the procedure\'s category when hospitals list it as a specialty', () => {
+  const engine = createEngine();
+  const context = engine.createContext({ procedure: 'knee-replacement' });
+  assert.strictEqual(factorsOf(engine.scoreHospital(HOSPITALS[0], context)).specialty.score, 1);
+  assert.strictEqual(factorsOf(engine.scoreHospital(HOSPITALS[1], context)).specialty.score, 0);
+  assert.ok(!('specialty' in factorsOf(engine.scoreHospital(HOSPITALS[0], engine.createContext({ procedure: 'flu-shot' })))));
+});
+
+test('ranks by total, then by name', () => {
+  const engine = createEngine();
+  const ranked = engine.rank(HOSPITALS, engine.createContext({ procedure: 'knee-replacement' }));
+  assert.deepStrictEqual(plain(ranked.map(entry => entry.hospital.Id)), ['a', 'b', 'c']);
+
+  engine.setWeight('rating', 0);
+  engine.setWeight('volume', 0);
+  engine.setWeight('specialty', 0);
+  const tied = engine.rank([HOSPITALS[2], { ...HOSPITALS[2], Id: 'd', NAME: 'Able' }], engine.createContext({}));
+  assert.deepStrictEqual(plain(tied.map(entry => entry.hospital.Id)), ['d', 'c']);
+});
+
+test('clamps, stores and resets the weights', () => {
+  const engine = createEngine();
+  engine.setWeight('price', 150);
+  engine.setWeight('rating', -5);
+  assert.deepStrictEqual([engine.weights.price, engine.weights.rating], [100, 0]);
+
+  const reloaded = new RankingEngine(engine.dataService, engine.hospitalService);
+  assert.deepStrictEqual(plain(reloaded.weights), plain(engine.weights));
+
+  reloaded.resetWeights();
+  assert.deepStrictEqual(plain(reloaded.weights), { price: 30, rating: 30, distance: 20, volume: 10, specialty: 10 });
+});
+
+test('ignores unreadable stored weights', () => {
+  window.localStorage.setItem('rankingWeights', '{not json');
+  const originalWarn = window.console.warn;
+  window.console.warn = () => {};
+  try {
+    const engine = new RankingEngine({}, {});
+    assert.strictEqual(engine.weights.price, 30);
+  } finally {
+    window.console.warn = originalWarn;
+  }
+});
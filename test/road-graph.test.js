@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadClasses, plain } = require('./helpers');
+
+const { RoadGraph } = loadClasses(['js/spatial-index.js', 'js/road-graph.js'], ['RoadGraph']);
+
+/**
+ * Write a graph in the compact format
+ * @param {Array} points - [[lat, lon]] per node
+ * @param {Array} segments - [[from, to, seconds]]
+ * @returns {Object} Graph JSON
+ */
+function encode(points, segments) {
+  const nodes = [];
+  let lat = 0;
+  let lon = 0;
+  points.forEach(([nextLat, nextLon]) => {
+    nodes.push(Math.round(nextLat * 100000) - lat, Math.round(nextLon * 100000) - lon);
+    lat = Math.round(nextLat * 100000);
+    lon = Math.round(nextLon * 100000);
+  });
+  return { format: 'road-graph', version: 1, scale: 100000, nodes, edges: segments.flat() };
+}
+
+// A square with one diagonal, plus a node on a road of its own
+//   0 --60-- 1
+//   |      / |
+//  300  100  60
+//   |  /     |
+//   3 --60-- 2     4 --30-- 5
+const POINTS = [[38.6, -90.3], [38.6, -90.2], [38.5, -90.2], [38.5, -90.3], [37.2, -93.3], [37.2, -93.2]];
+const SEGMENTS = [[0, 1, 60], [1, 2, 60], [2, 3, 60], [3, 0, 300], [1, 3, 100], [4, 5, 30]];
+
+test('finds the quickest route to every node', () => {
+  const graph = new RoadGraph().load(encode(POINTS, SEGMENTS));
+  assert.deepStrictEqual([...graph.getShortestTimes(0)], [0, 60, 120, 160, Infinity, Infinity]);
+  assert.deepStrictEqual([...graph.getShortestTimes(3)], [160, 100, 60, 0, Infinity, Infinity]);
+  assert.deepStrictEqual([...graph.getShortestTimes(5)], [Infinity, Infinity, Infinity, Infinity, 30, 0]);
+});
+
+test('matches an all-pairs search on a random network', () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const count = 60;
+  const points = Array.from({ length: count }, () => [36 + random() * 4, -95 + random() * 6]);
+  const segments = Array.from({ length: 150 }, () => [Math.floor(random() * count), Math.floor(random() * count), 1 + Math.floor(random() * 600)]);
+
+  // Floyd-Warshall over the same segments
+  const expected = Array.from({ length: count }, (unused, i) => Array.from({ length: count }, (unused2, j) => (i === j ? 0 : Infinity)));
+  segments.forEach(([a, b, seconds]) => {
+    if (a === b) return;
+    expected[a][b] = Math.min(expected[a][b], seconds);
+    expected[b][a] = Math.min(expected[b][a], seconds);
+  });
+  for (let k = 0; k < count; k++) {
+    for (let i = 0; i < count; i++) {
+      for (let j = 0; j < count; j++) {
+        if (expected[i][k] + expected[k][j] < expected[i][j]) expected[i][j] = expected[i][k] + expected[k][j];
+      }
+    }
+  }
+
+  const graph = new RoadGraph().load(encode(points, segments));
+  for (let source = 0; source < count; source++) {
+    assert.deepStrictEqual([...graph.getShortestTimes(source)], expected[source], `from node ${source}`);
+  }
+});
+
+test('adds the drive to and from the nearest roads to each hospital', async () => {
+  const graph = new RoadGraph({ accessSpeed: 20, maxSnapDistance: 10 }).load(encode(POINTS, SEGMENTS));
+  const hospitals = [
+    { Id: 'at-node-2', LAT: 38.5, LON: -90.2 },
+    { Id: 'other-road', LAT: 37.2, LON: -93.2 },
+    { Id: 'far-away', LAT: 40.5, LON: -80 }
+  ];
+  const times = await graph.getTravelTimes({ lat: 38.6, lon: -90.3 }, hospitals);
+  assert.deepStrictEqual(plain([...times]), [['at-node-2', 2]]);
+
+  // Starting off the road adds the access drive at accessSpeed
+  const offRoad = { lat: 38.6, lon: -90.25 };
+  const snapped = graph.snap(offRoad);
+  const [[, minutes]] = await graph.getTravelTimes(offRoad, [hospitals[0]]);
+  assert.ok(Math.abs(minutes - (graph.getShortestTimes(snapped.node)[2] / 60 + snapped.miles / 20 * 60)) < 1e-9);
+});
+
+test('leaves points beyond the snap distance off the graph', async () => {
+  const graph = new RoadGraph({ maxSnapDistance: 10 }).load(encode(POINTS, SEGMENTS));
+  assert.strictEqual(graph.snap({ lat: 40.5, lon: -80 }), null);
+  assert.strictEqual((await graph.getTravelTimes({ lat: 40.5, lon: -80 }, [{ Id: 'h1', LAT: 38.5, LON: -90.2 }])).size, 0);
+});
+
+test('rejects graphs in another format', () => {
+  assert.throws(() => new RoadGraph().load({ format: 'road-graph', version: 2, nodes: [], edges: [] }), /Unsupported road graph format/);
+  assert.throws(() => new RoadGraph().load(null), /Unsupported road graph format/);
+});
+
+test('the bundled Missouri graph is one connected network', () => {
+  const json = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/roads/missouri.json'), 'utf8'));
+  const graph = new RoadGraph().load(json);
+  assert.ok(graph.nodeCount > 0);
+  assert.ok(graph.getShortestTimes(0).every(seconds => isFinite(seconds)));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { SearchIndex } = loadClasses(['js/html-utils.js', 'js/search-index.js'], ['SearchIndex']);
+
+const HOSPITALS = [
+  { Id: 'h1', NAME: 'Liberty Hospital', CITY: 'Liberty' },
+  { Id: 'h2', NAME: 'Saint Luke’s Hospital of Kansas City', CITY: 'Kansas City' },
+  { Id: 'h3', NAME: 'Mercy Hospital Springfield', CITY: 'Springfield' },
+  { Id: 'h4', NAME: 'Lake Regional Health System', CITY: 'Osage Beach' },
+  { Id: 'h5', NAME: 'Clínica Médica', CITY: 'Liberty' }
+];
+
+/**
+ * Build an index over the sample hospitals
+ * @param {Object} options - SearchIndex options
+ * @returns {SearchIndex} Index
+ */
+function buildIndex(options) {
+  return new SearchIndex([{ name: 'NAME', weight: 3 }, { name: 'CITY', weight: 1 }], options).build(HOSPITALS);
+}
+
+const idsOf = results => plain(results.map(result => result.document.Id));
+
+test('tokenizes to distinct lowercase words without accents', () => {
+  assert.deepStrictEqual(plain(buildIndex().tokenize('Clínica  MÉDICA, médica-12')), ['clinica', 'medica', '12']);
+  assert.deepStrictEqual(plain(buildIndex().tokenize(null)), []);
+});
+
+test('requires every query word to match', () => {
+  const index = buildIndex();
+  assert.deepStrictEqual(idsOf(index.search('mercy springfield')), ['h3']);
+  assert.deepStrictEqual(idsOf(index.search('mercy liberty')), []);
+  assert.deepStrictEqual(idsOf(index.search('   ')), []);
+});
+
+test('ranks matches in heavier fields first', () => {
+  assert.deepStrictEqual(idsOf(buildIndex().search('liberty')), ['h1', 'h5']);
+});
+
+test('matches the start of a word unless prefixes are turned off', () => {
+  const index = buildIndex();
+  assert.deepStrictEqual(idsOf(index.search('spring')), ['h3']);
+  assert.deepStrictEqual(idsOf(index.search('spring', { prefix: false })), []);
+});
+
+test('tolerates typos in longer words only', () => {
+  const index = buildIndex();
+  assert.deepStrictEqual(idsOf(index.search('liberty hospitl')), ['h1']);
+  assert.deepStrictEqual(idsOf(index.search('regoinal')), ['h4']);
+  assert.deepStrictEqual(idsOf(index.search('lak', { prefix: false })), []);
+});
+
+test('scores an exact word above a prefix or typo match', () => {
+  const index = buildIndex();
+  const [exact] = index.search('regional');
+  const [prefix] = index.search('regio');
+  const [typo] = index.search('regionel');
+  assert.ok(exact.score > prefix.score && prefix.score > typo.score);
+});
+
+test('expands aliases to the indexed word', () => {
+  const index = buildIndex({ aliases: { st: 'saint' } });
+  assert.deepStrictEqual(idsOf(index.search('st lukes', { prefix: false })), ['h2']);
+});
+
+test('searches only the named fields and honours the limit', () => {
+  const index = buildIndex();
+  assert.deepStrictEqual(idsOf(index.search('liberty', { fields: ['CITY'] })), ['h1', 'h5']);
+  assert.strictEqual(index.search('hospital', { limit: 2 }).length, 2);
+});
+
+test('highlights matched words and escapes the rest', () => {
+  const index = buildIndex();
+  assert.strictEqual(index.highlight('Liberty <Hospital>', 'liberty hosp'), '<mark>Liberty</mark> &lt;<mark>Hospital</mark>&gt;');
+});
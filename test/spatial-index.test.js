@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { SpatialIndex } = loadClasses(['js/spatial-index.js'], ['SpatialIndex']);
+
+/**
+ * Great-circle distance, computed independently of the index
+ * @param {Object} a - {lat, lon}
+ * @param {Object} b - {lat, lon}
+ * @returns {number} Miles
+ */
+function haversine(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Points scattered over Missouri from a fixed seed, so failures repeat
+ * @param {number} count - Number of points
+ * @returns {Array} [{Id, LAT, LON}]
+ */
+function scatter(count) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  return Array.from({ length: count }, (unused, index) => ({ Id: `h${index}`, LAT: 36 + random() * 4.6, LON: -95.8 + random() * 6.7 }));
+}
+
+const POINTS = scatter(500);
+const CENTER = { lat: 38.63, lon: -90.2 };
+
+/**
+ * Every point by distance from the center, the slow way
+ * @param {Array} points - Points
+ * @returns {Array} [{item, distance}] nearest first
+ */
+function byDistance(points) {
+  return points
+    .map(item => ({ item, distance: haversine(CENTER, { lat: item.LAT, lon: item.LON }) }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+test('finds the same points within a radius as a full scan, nearest first', () => {
+  const index = new SpatialIndex().build(POINTS);
+  [0, 10, 50, 120, 400].forEach(radius => {
+    const found = index.within(CENTER, radius);
+    const expected = byDistance(POINTS).filter(entry => entry.distance <= radius);
+    assert.deepStrictEqual(plain(found.map(entry => entry.item.Id)), expected.map(entry => entry.item.Id), `radius ${radius}`);
+    found.forEach((entry, i) => assert.ok(Math.abs(entry.distance - expected[i].distance) < 1e-6));
+  });
+});
+
+test('finds the same nearest points as a full scan', () => {
+  const index = new SpatialIndex().build(POINTS);
+  [1, 5, 25, 600].forEach(count => {
+    const expected = byDistance(POINTS).slice(0, count).map(entry => entry.item.Id);
+    assert.deepStrictEqual(plain(index.nearest(CENTER, count).map(entry => entry.item.Id)), expected, `count ${count}`);
+  });
+  assert.strictEqual(index.nearest(CENTER, 0).length, 0);
+});
+
+test('counts only accepted items toward nearest', () => {
+  const index = new SpatialIndex().build(POINTS);
+  const even = item => Number(item.Id.slice(1)) % 2 === 0;
+  const expected = byDistance(POINTS.filter(even)).slice(0, 10).map(entry => entry.item.Id);
+  assert.deepStrictEqual(plain(index.nearest(CENTER, 10, even).map(entry => entry.item.Id)), expected);
+});
+
+test('leaves out items without valid coordinates', () => {
+  const items = [
+    { Id: 'ok', LAT: 38.6, LON: -90.2 },
+    { Id: 'missing', LAT: null, LON: -90.2 },
+    { Id: 'text', LAT: '38.6', LON: '-90.2' },
+    { Id: 'nan', LAT: NaN, LON: -90.2 }
+  ];
+  const index = new SpatialIndex().build(items);
+  assert.deepStrictEqual(plain(index.within(CENTER, 1000).map(entry => entry.item.Id)), ['ok']);
+});
+
+test('measures across the date line and near the poles', () => {
+  const items = [
+    { Id: 'east', lat: 0, lng: 179.9 },
+    { Id: 'west', lat: 0, lng: -179.9 },
+    { Id: 'pole', lat: 89.9, lng: 0 },
+    { Id: 'across', lat: 89.9, lng: 180 }
+  ];
+  const index = new SpatialIndex({ latField: 'lat', lonField: 'lng' }).build(items);
+
+  const [west] = index.nearest({ lat: 0, lon: 179.95 }, 2).filter(entry => entry.item.Id === 'west');
+  assert.ok(Math.abs(west.distance - haversine({ lat: 0, lon: 179.95 }, { lat: 0, lon: -179.9 })) < 1e-6);
+  assert.deepStrictEqual(plain(index.within({ lat: 89.9, lon: 90 }, 20).map(entry => entry.item.Id).sort()), ['across', 'pole']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClasses, plain } = require('./helpers');
+
+const { UrlStateService, window } = loadClasses(['js/url-state.js'], ['UrlStateService']);
+
+// The page's location and history, with a default procedure of 'mri'
+const listeners = {};
+const pushed = [];
+window.location = { pathname: '/index.html', search: '', hash: '' };
+window.history = { pushState: (state, title, url) => pushed.push(url) };
+window.addEventListener = (type, listener) => { listeners[type] = listener; };
+window.procedureCatalog = { getDefaultKey: () => 'mri' };
+
+/**
+ * A service over a page at the given query string
+ * @param {string} search - Query string including the "?"
+ * @returns {Object} {service, restored}; restored collects what restoreState received
+ */
+function createService(search) {
+  window.location.search = search;
+  const restored = [];
+  const service = new UrlStateService({ restoreState: state => restored.push(plain(state)) });
+  return { service, restored };
+}
+
+test('reads nothing from a URL without search state', () => {
+  assert.strictEqual(createService('').service.read(), null);
+  assert.strictEqual(createService('?utm_source=mail').service.read(), null);
+});
+
+test('fills in defaults around the parameters given', () => {
+  const { service } = createService('?treatment=knee&sort=price-low&page=3&compare=a,,b');
+  assert.deepStrictEqual(plain(service.read()), {
+    ...service.defaults,
+    treatment: 'knee',
+    sort: 'price-low',
+    page: 3,
+    compare: ['a', 'b']
+  });
+  assert.strictEqual(createService('?page=-2').service.read().page, 1);
+});
+
+test('writes only what differs from the defaults', () => {
+  const { service } = createService('');
+  const state = { ...service.defaults, procedure: 'mri', compare: [] };
+  assert.strictEqual(service.toQuery(state), '');
+  assert.strictEqual(service.toQuery({ ...state, procedure: 'ct-scan' }), '?procedure=ct-scan');
+  assert.strictEqual(service.toQuery({ ...state, location: 'Kansas City, MO', page: 2, compare: ['a', 'b'] }),
+    '?location=Kansas+City%2C+MO&page=2&procedure=mri&compare=a%2Cb');
+});
+
+test('reads back the state it writes', () => {
+  const { service } = createService('');
+  const state = { ...service.defaults, treatment: 'hip & knee', rating: '4', page: 2, procedure: 'mri', compare: ['h1'] };
+  assert.deepStrictEqual(plain(createService(service.toQuery(state)).service.read()), state);
+});
+
+test('pushes a history entry only when the query changes', () => {
+  const { service } = createService('');
+  const state = { ...service.defaults, treatment: 'mri', procedure: 'mri', compare: [] };
+  pushed.length = 0;
+  window.location.hash = '#/hospital/h1';
+  service.save(state);
+  service.save(state);
+  assert.deepStrictEqual(pushed, ['/index.html?treatment=mri&procedure=mri#/hospital/h1']);
+  window.location.hash = '';
+});
+
+test('restores the search on back and forward, but not on hash changes', () => {
+  const { service, restored } = createService('?treatment=mri');
+  listeners.popstate();
+  assert.strictEqual(restored.length, 0);
+
+  window.location.search = '';
+  listeners.popstate();
+  assert.deepStrictEqual(restored, [plain(service.defaults)]);
+});
+
+test('drops control characters from free text and caps its length', () => {
+  const { service } = createService(`?treatment=${encodeURIComponent('knee\u0000\nscan')}&location=${'x'.repeat(300)}`);
+  const state = service.read();
+  assert.strictEqual(state.treatment, 'knee  scan');
+  assert.strictEqual(state.location.length, service.maxTextLength);
+});